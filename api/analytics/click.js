@@ -12,17 +12,21 @@
  * - Comprehensive error handling
  * - GeoIP integration
  * - Standardized analytics schema
+ * - Signed beacon verification with replay detection
+ * - Honours Global Privacy Control, Do-Not-Track and the consent banner
+ * - Bot scores on clicks; suspected bots are skipped or flagged
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.5.0
  * @module api/analytics/click
- * @lastModified 2025-04-25
+ * @lastModified 2026-10-18
  */
 
 // api/analytics/click.js
 module.exports = async (req, res) => {
   // Use common utilities for consistent IP extraction
   const commonUtils = require("../../lib/commonUtils");
+  const { handleCors } = require("../../lib/corsPolicy");
 
   // CRITICAL: Extract the true end-user IP with highest priority
   const clientIp = commonUtils.extractClientIp(req);
@@ -38,15 +42,11 @@ module.exports = async (req, res) => {
     clientIp, // Will be redacted in standard logs
   });
 
-  // Set CORS headers using common utilities
-  commonUtils.setCorsHeaders(res);
-
-  // Handle preflight
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res, { profile: "analytics" })) {
     commonUtils.logEvent("info", "options_request", "click-analytics", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
@@ -60,9 +60,15 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { recordClick } = require("../../lib/queryAnalytics");
+    const {
+      recordClick,
+      recordQuarantinedBeacon,
+    } = require("../../lib/queryAnalytics");
+    const { checkBeacon } = require("../../lib/beaconSigner");
     const { createStandardClickData } = require("../../lib/schemaHandler");
     const { getLocationData } = require("../../lib/geoIpService");
+    const { getAnalyticsBotFields } = require("../../lib/botDetection");
+    const { getAnalyticsConsentFields } = require("../../lib/analyticsConsent");
 
     const clickData = req.body || {};
 
@@ -177,11 +183,51 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Only clicks carrying the token from their search response are recorded
+    const verdict = await checkBeacon(req, {
+      token: clickData.analyticsToken,
+      sessionId: clickData.sessionId || sessionInfo.sessionId,
+      query: normalizedClickData.originalQuery,
+      fingerprint: `click:${normalizedClickData.clickedUrl}`,
+    });
+
+    if (verdict.action !== "accept") {
+      commonUtils.logEvent("warn", "beacon_not_accepted", "click-analytics", {
+        requestId,
+        status: verdict.status,
+        reason: verdict.reason,
+        action: verdict.action,
+      });
+
+      if (verdict.action === "reject") {
+        return res.status(verdict.status === "replayed" ? 409 : 403).json({
+          error: "Invalid analytics token",
+          reason: verdict.reason,
+          requestId,
+        });
+      }
+
+      await recordQuarantinedBeacon({
+        kind: "click",
+        status: verdict.status,
+        reason: verdict.reason,
+        tokenRequestId: verdict.claims?.rid,
+        sessionId: normalizedClickData.sessionId,
+        clientIp,
+        userAgent: req.headers["user-agent"],
+        requestId,
+        payload: clickData,
+      });
+      return res.status(202).json({ success: true, quarantined: true, requestId });
+    }
+
     // CRITICAL: Add server-side data with the correct client IP
     normalizedClickData.clientIp = clientIp;
     normalizedClickData.userAgent = req.headers["user-agent"];
     normalizedClickData.referer = req.headers.referer;
     normalizedClickData.requestId = requestId;
+    Object.assign(normalizedClickData, getAnalyticsBotFields(req));
+    Object.assign(normalizedClickData, getAnalyticsConsentFields(req));
 
     // Add location data
     normalizedClickData.city =
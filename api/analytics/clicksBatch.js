@@ -13,17 +13,21 @@
  * - Comprehensive error handling
  * - Standardized analytics schema
  * - Efficient batch processing
+ * - Signed beacon verification per click, with replay detection
+ * - Honours Global Privacy Control, Do-Not-Track and the consent banner
+ * - Bot scores on clicks; suspected bots are skipped or flagged
  * 
  * @author Victor Chimenti
- * @version 3.0.0
+ * @version 3.4.0
  * @module api/analytics/clicksBatch
- * @lastModified 2025-04-23
+ * @lastModified 2026-10-18
  */
 
 // api/analytics/clicksBatch.js
 module.exports = async (req, res) => {
     // Use common utilities for consistent IP extraction
     const commonUtils = require("../../lib/commonUtils");
+    const { handleCors } = require('../../lib/corsPolicy');
     const clientIp = commonUtils.extractClientIp(req);
     const requestId = commonUtils.getRequestId(req);
 
@@ -37,13 +41,9 @@ module.exports = async (req, res) => {
         clientIp // Will be redacted in standard logs
     });
 
-    // Set CORS headers using common utilities
-    commonUtils.setCorsHeaders(res);
-
-    // Handle preflight
-    if (req.method === 'OPTIONS') {
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res, { profile: 'analytics' })) {
         commonUtils.logEvent('info', 'options_request', 'clicks-batch-analytics', { requestId });
-        res.status(200).end();
         return;
     }
 
@@ -57,9 +57,12 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const { recordClicks } = require('../../lib/queryAnalytics');
+        const { recordClicks, recordQuarantinedBeacon } = require('../../lib/queryAnalytics');
+        const { checkBeacon } = require('../../lib/beaconSigner');
         const { createStandardClickData } = require('../../lib/schemaHandler');
         const { getLocationData } = require('../../lib/geoIpService');
+        const { getAnalyticsBotFields } = require('../../lib/botDetection');
+        const { getAnalyticsConsentFields } = require('../../lib/analyticsConsent');
 
         // Get batch data from request body
         const clicksData = req.body || [];
@@ -113,8 +116,51 @@ module.exports = async (req, res) => {
             };
         }
 
+        // Each click must carry the token from its search response, in the item or the header
+        const verdicts = await Promise.all(clicksData.map((clickData) => checkBeacon(req, {
+            token: clickData.analyticsToken,
+            sessionId: clickData.sessionId || sessionInfo.sessionId,
+            query: clickData.originalQuery || clickData.query || "",
+            fingerprint: `click:${clickData.clickedUrl || clickData.url || ""}`
+        })));
+
+        const acceptedClicks = clicksData.filter((_, index) => verdicts[index].action === 'accept');
+        const rejectedCount = verdicts.filter((verdict) => verdict.action === 'reject').length;
+        const quarantinedCount = verdicts.filter((verdict) => verdict.action === 'quarantine').length;
+
+        if (acceptedClicks.length < clicksData.length) {
+            commonUtils.logEvent('warn', 'beacons_not_accepted', 'clicks-batch-analytics', {
+                requestId,
+                rejected: rejectedCount,
+                quarantined: quarantinedCount,
+                reasons: [...new Set(verdicts.map((verdict) => verdict.reason).filter(Boolean))]
+            });
+
+            await Promise.all(verdicts.map((verdict, index) => verdict.action === 'quarantine'
+                ? recordQuarantinedBeacon({
+                    kind: 'clicks-batch',
+                    status: verdict.status,
+                    reason: verdict.reason,
+                    tokenRequestId: verdict.claims?.rid,
+                    sessionId: clicksData[index].sessionId || sessionInfo.sessionId,
+                    clientIp,
+                    userAgent: req.headers['user-agent'],
+                    requestId: `${requestId}-item-${index}`,
+                    payload: clicksData[index]
+                })
+                : null));
+        }
+
+        if (acceptedClicks.length === 0 && rejectedCount > 0) {
+            return res.status(403).json({
+                error: 'Invalid analytics token',
+                rejected: rejectedCount,
+                requestId
+            });
+        }
+
         // Process each click in the batch with enhanced data
-        const processedClicks = clicksData.map((clickData, index) => {
+        const processedClicks = acceptedClicks.map((clickData, index) => {
             // Normalize field names consistently
             const normalizedClick = {
                 ...clickData,
@@ -141,6 +187,9 @@ module.exports = async (req, res) => {
                 country: locationData?.country || null,
                 latitude: locationData?.latitude || null,
                 longitude: locationData?.longitude || null,
+                // Bot score and consent come from the request, never from the click item
+                ...getAnalyticsBotFields(req),
+                ...getAnalyticsConsentFields(req),
                 timestamp: new Date()
             };
 
@@ -171,6 +220,8 @@ module.exports = async (req, res) => {
             success: true,
             processed: result.processed,
             total: clicksData.length,
+            rejected: rejectedCount,
+            quarantined: quarantinedCount,
             requestId
         });
     } catch (error) {
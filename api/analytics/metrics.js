@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Search Quality Metrics API
+ *
+ * Admin endpoint serving the click-based metrics in lib/searchMetrics.js:
+ * CTR, abandonment rate, average clicked position, MRR and time to first
+ * click, overall, per ISO week and per query.
+ *
+ * Features:
+ * - Filters: from/to (ISO dates, default the last 8 weeks), handler (default
+ *   the full-search handlers, search and server), collection, includeBots,
+ *   and query to follow a single query
+ * - Week-over-week change for every metric
+ * - Paginated per-query table (page, pageSize, minSearches)
+ * - Requires an admin key with the read role (see lib/adminAuth.js)
+ *
+ * Examples:
+ *   GET /api/analytics/metrics?handler=search&from=2026-08-24
+ *   GET /api/analytics/metrics?query=nursing
+ *   Authorization: Bearer <admin key>
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/analytics/metrics
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+const { parseReportFilters } = require("../../lib/analyticsReports");
+const {
+  METRICS_CONFIG,
+  parseMetricOptions,
+  getSearchMetrics,
+} = require("../../lib/searchMetrics");
+
+/**
+ * Handler for search quality metric requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+  const query = req.query || {};
+
+  commonUtils.logEvent("info", "request_received", "search-metrics", {
+    requestId,
+    method: req.method,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: "analytics.metrics",
+    role: "read",
+    requestId,
+  });
+  if (!admin) return;
+
+  const filters = parseReportFilters(query, {
+    defaultDays: METRICS_CONFIG.defaultDays,
+  });
+  const options = parseMetricOptions(query);
+  const invalid = filters.error || options.error;
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+      requestId,
+    });
+  }
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  try {
+    const metrics = await getSearchMetrics(filters, options);
+
+    commonUtils.logEvent("info", "metrics_generated", "search-metrics", {
+      requestId,
+      actor: admin.name,
+      searches: metrics.overall?.searches || 0,
+      weeks: metrics.weekly.length,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    res.status(200).json({
+      success: true,
+      filters: {
+        from: filters.from.toISOString(),
+        to: filters.to.toISOString(),
+        handler: filters.handler,
+        collection: filters.collection,
+        query: options.query,
+        minSearches: options.minSearches,
+        includeBots: filters.includeBots,
+      },
+      ...metrics,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(error, "search-metrics", "metrics_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: "Metrics failed",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Analytics Reporting API
+ *
+ * Admin endpoint serving the aggregate reports in lib/analyticsReports.js
+ * over the stored Query records.
+ *
+ * Features:
+ * - Reports: topQueries, zeroResults, volume, tabs, cache, responseTime
+ * - Filters: from/to (ISO dates, default last 7 days), handler, collection,
+ *   interval (day or hour, volume only), includeBots
+ * - Paginated JSON output (page, pageSize)
+ * - Requires an admin key with the read role (see lib/adminAuth.js)
+ *
+ * Examples:
+ *   GET /api/analytics/report?type=topQueries&handler=search&from=2026-10-01
+ *   GET /api/analytics/report/volume?interval=hour&from=2026-10-17
+ *   Authorization: Bearer <admin key>
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @module api/analytics/report
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+const {
+  REPORTS,
+  parseReportFilters,
+  runReport,
+} = require("../../lib/analyticsReports");
+
+/**
+ * Handler for analytics report requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+  const query = req.query || {};
+  const type = query.type;
+
+  commonUtils.logEvent("info", "request_received", "analytics-report", {
+    requestId,
+    method: req.method,
+    type,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: "analytics.report",
+    role: "read",
+    requestId,
+    details: { type },
+  });
+  if (!admin) return;
+
+  if (!Object.prototype.hasOwnProperty.call(REPORTS, type)) {
+    return res.status(400).json({
+      success: false,
+      error: "Unknown report type",
+      reports: Object.fromEntries(
+        Object.entries(REPORTS).map(([name, report]) => [name, report.description])
+      ),
+      requestId,
+    });
+  }
+
+  const filters = parseReportFilters(query);
+  if (filters.error) {
+    return res.status(400).json({
+      success: false,
+      error: filters.error,
+      requestId,
+    });
+  }
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  try {
+    const { rows, pagination } = await runReport(type, filters);
+
+    commonUtils.logEvent("info", "report_generated", "analytics-report", {
+      requestId,
+      type,
+      actor: admin.name,
+      rows: rows.length,
+      total: pagination.total,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    res.status(200).json({
+      success: true,
+      report: type,
+      description: REPORTS[type].description,
+      filters: {
+        from: filters.from.toISOString(),
+        to: filters.to.toISOString(),
+        handler: filters.handler,
+        collection: filters.collection,
+        interval: type === "volume" ? filters.interval : undefined,
+        includeBots: filters.includeBots,
+      },
+      pagination,
+      rows,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(error, "analytics-report", "report_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: "Report failed",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Analytics Rollups API
+ *
+ * Admin and cron endpoint for the daily and weekly summaries built by
+ * lib/analyticsRollups.js.
+ *
+ * Features:
+ * - Vercel cron rolls up the previous UTC day and its ISO week every night
+ *   (GET with CRON_SECRET)
+ * - POST rolls up a day or a range of days (within the last 29, ending
+ *   before today) and their weeks; re-running a day is safe
+ * - GET reads stored summaries by period (day or week), dimension (query,
+ *   handler, tab or country), from/to, handler and key, paginated
+ * - GET needs the read role, POST the write role (see lib/adminAuth.js)
+ *
+ * Examples:
+ *   GET /api/analytics/rollups?period=week&dimension=handler&from=2026-01-01
+ *   POST /api/analytics/rollups
+ *   Authorization: Bearer <admin key>
+ *   { "from": "2026-10-01", "to": "2026-10-17" }
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/analytics/rollups
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+const { parseReportFilters } = require("../../lib/analyticsReports");
+const {
+  ROLLUP_CONFIG,
+  DIMENSIONS,
+  getDayPeriod,
+  runRollups,
+  getRollups,
+} = require("../../lib/analyticsRollups");
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the days to roll up from the request body
+ * Defaults to yesterday; only completed UTC days whose raw records are all
+ * still kept may be rolled up.
+ *
+ * @param {Object} source - Body or query fields ({ day } or { from, to })
+ * @returns {Object} Range ({ firstDay, lastDay }) or { error }
+ */
+function parseRollupRange(source) {
+  const today = getDayPeriod(new Date()).start;
+  const yesterday = new Date(today.getTime() - ONE_DAY_MS);
+  const parse = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  const firstDay = source.day || source.from ? parse(source.day || source.from) : yesterday;
+  const lastDay = source.day ? firstDay : source.to ? parse(source.to) : firstDay;
+  if (!firstDay || !lastDay) {
+    return { error: "day, from and to must be dates as YYYY-MM-DD" };
+  }
+  if (lastDay >= today) {
+    return { error: "Only completed days (before today, UTC) can be rolled up" };
+  }
+  if (firstDay > lastDay) {
+    return { error: "from must not be after to" };
+  }
+  if (firstDay < new Date(today.getTime() - ROLLUP_CONFIG.maxBackfillDays * ONE_DAY_MS)) {
+    return { error: `Only the last ${ROLLUP_CONFIG.maxBackfillDays} days can be rolled up` };
+  }
+
+  return { firstDay, lastDay };
+}
+
+/**
+ * Handler for rollup requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const requestId = commonUtils.getRequestId(req);
+  const query = req.query || {};
+
+  commonUtils.logEvent("info", "request_received", "analytics-rollup", {
+    requestId,
+    method: req.method,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const isRun = req.method === "POST";
+  const admin = await authorizeAdmin(req, res, {
+    action: isRun ? "analytics.rollups.run" : "analytics.rollups.read",
+    role: isRun ? "write" : "read",
+    allowCron: true,
+    requestId,
+  });
+  if (!admin) return;
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  try {
+    // The nightly cron calls with GET and rolls up yesterday
+    if (isRun || admin.type === "cron") {
+      const range = parseRollupRange(isRun ? req.body || {} : {});
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          error: range.error,
+          requestId,
+        });
+      }
+
+      const report = await runRollups(range.firstDay, range.lastDay, { requestId });
+      return res.status(report.success ? 200 : 500).json({ ...report, requestId });
+    }
+
+    const period = query.period || "day";
+    const dimension = query.dimension || "handler";
+    if (period !== "day" && period !== "week") {
+      return res.status(400).json({
+        success: false,
+        error: "period must be day or week",
+        requestId,
+      });
+    }
+    if (!DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({
+        success: false,
+        error: `dimension must be one of: ${DIMENSIONS.join(", ")}`,
+        requestId,
+      });
+    }
+
+    const filters = parseReportFilters(query, {
+      defaultDays: period === "week" ? 84 : 30,
+    });
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        error: filters.error,
+        requestId,
+      });
+    }
+
+    const key = query.key ? String(query.key).slice(0, 256) : null;
+    const { rows, pagination } = await getRollups({
+      period,
+      dimension,
+      from: filters.from,
+      to: filters.to,
+      handler: filters.handler,
+      key,
+      page: filters.page,
+      pageSize: filters.pageSize,
+    });
+
+    res.status(200).json({
+      success: true,
+      filters: {
+        period,
+        dimension,
+        from: filters.from.toISOString(),
+        to: filters.to.toISOString(),
+        handler: filters.handler,
+        key,
+      },
+      pagination,
+      rows,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(error, "analytics-rollup", "rollup_request_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: isRun ? "Rollup failed" : "Rollups unavailable",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Search Session Analysis API
+ *
+ * Admin endpoint for lib/sessionAnalysis.js: the table of common query
+ * rewrites ("A → B" without a click on A) as synonym candidates, or the
+ * reconstructed timeline of one session.
+ *
+ * Features:
+ * - Rewrite table with session outcome and suggestion-acceptance totals;
+ *   report filters (from/to, default the last 7 days, handler, collection),
+ *   minCount (default 2) and pagination
+ * - sessionId returns that session's timelines, reformulations, suggestion
+ *   transitions and final successful query
+ * - The rewrite table needs the read role; a single session's timeline is one
+ *   visitor's data and needs the write role, like the data subject export
+ *   (see lib/adminAuth.js and api/dataSubject.js)
+ *
+ * Examples:
+ *   GET /api/analytics/sessions?from=2026-10-01&minCount=3
+ *   GET /api/analytics/sessions?sessionId=sess_abc123
+ *   Authorization: Bearer <admin key>
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/analytics/sessions
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+const { parseReportFilters } = require("../../lib/analyticsReports");
+const {
+  getSessionTimeline,
+  getReformulationTable,
+} = require("../../lib/sessionAnalysis");
+
+/**
+ * Handler for session analysis requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+  const query = req.query || {};
+
+  commonUtils.logEvent("info", "request_received", "session-analysis", {
+    requestId,
+    method: req.method,
+    timeline: Boolean(query.sessionId),
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: query.sessionId ? "analytics.sessions.timeline" : "analytics.sessions.rewrites",
+    role: query.sessionId ? "write" : "read",
+    requestId,
+  });
+  if (!admin) return;
+
+  if (query.sessionId && !/^[\w.:-]{1,128}$/.test(query.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: "sessionId is not a valid session ID",
+      requestId,
+    });
+  }
+
+  const filters = parseReportFilters(query);
+  if (filters.error) {
+    return res.status(400).json({
+      success: false,
+      error: filters.error,
+      requestId,
+    });
+  }
+
+  const minCount = parseInt(query.minCount, 10) || undefined;
+  if (minCount !== undefined && (minCount < 1 || minCount > 1000)) {
+    return res.status(400).json({
+      success: false,
+      error: "minCount must be from 1 to 1000",
+      requestId,
+    });
+  }
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  try {
+    if (query.sessionId) {
+      const sessions = await getSessionTimeline(query.sessionId);
+      return res.status(200).json({
+        success: true,
+        sessionId: query.sessionId,
+        sessions,
+        requestId,
+      });
+    }
+
+    const table = await getReformulationTable(filters, { minCount });
+
+    commonUtils.logEvent("info", "rewrites_generated", "session-analysis", {
+      requestId,
+      actor: admin.name,
+      sessions: table.summary.sessions,
+      rewrites: table.pagination.total,
+      truncated: table.truncated,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    res.status(200).json({
+      success: true,
+      filters: {
+        from: filters.from.toISOString(),
+        to: filters.to.toISOString(),
+        handler: filters.handler,
+        collection: filters.collection,
+        includeBots: filters.includeBots,
+      },
+      ...table,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(error, "session-analysis", "session_analysis_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: "Session analysis failed",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
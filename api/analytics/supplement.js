@@ -12,17 +12,20 @@
  * - Detailed structured logging
  * - Comprehensive error handling
  * - Standardized analytics schema
+ * - Signed beacon verification with replay detection
+ * - Honours Global Privacy Control, Do-Not-Track and the consent banner
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.5.0
  * @module api/analytics/supplement
- * @lastModified 2025-04-25
+ * @lastModified 2026-10-18
  */
 
 // api/analytics/supplement.js
 module.exports = async (req, res) => {
   // Use common utilities for consistent IP extraction
   const commonUtils = require("../../lib/commonUtils");
+  const { handleCors } = require("../../lib/corsPolicy");
 
   // CRITICAL: Extract the true end-user IP with highest priority
   const clientIp = commonUtils.extractClientIp(req);
@@ -38,15 +41,11 @@ module.exports = async (req, res) => {
     clientIp, // Will be redacted in standard logs
   });
 
-  // Set CORS headers using common utilities
-  commonUtils.setCorsHeaders(res);
-
-  // Handle preflight
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res, { profile: "analytics" })) {
     commonUtils.logEvent("info", "options_request", "supplement-analytics", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
@@ -61,9 +60,15 @@ module.exports = async (req, res) => {
 
   try {
     // Import only the exported functions from queryAnalytics
-    const { recordQuery } = require("../../lib/queryAnalytics");
+    const {
+      recordQuery,
+      recordQuarantinedBeacon,
+    } = require("../../lib/queryAnalytics");
+    const { checkBeacon } = require("../../lib/beaconSigner");
     const { createStandardAnalyticsData } = require("../../lib/schemaHandler");
     const { getLocationData } = require("../../lib/geoIpService");
+    const { getAnalyticsBotFields } = require("../../lib/botDetection");
+    const { getAnalyticsConsentFields } = require("../../lib/analyticsConsent");
 
     const data = req.body || {};
 
@@ -96,6 +101,49 @@ module.exports = async (req, res) => {
       requestId
     );
 
+    // Only supplements carrying the token from their search response are recorded
+    const verdict = await checkBeacon(req, {
+      token: data.analyticsToken,
+      sessionId: data.sessionId || sessionInfo.sessionId,
+      query: data.query,
+      fingerprint: "supplement",
+    });
+
+    if (verdict.action !== "accept") {
+      commonUtils.logEvent(
+        "warn",
+        "beacon_not_accepted",
+        "supplement-analytics",
+        {
+          requestId,
+          status: verdict.status,
+          reason: verdict.reason,
+          action: verdict.action,
+        }
+      );
+
+      if (verdict.action === "reject") {
+        return res.status(verdict.status === "replayed" ? 409 : 403).json({
+          error: "Invalid analytics token",
+          reason: verdict.reason,
+          requestId,
+        });
+      }
+
+      await recordQuarantinedBeacon({
+        kind: "supplement",
+        status: verdict.status,
+        reason: verdict.reason,
+        tokenRequestId: verdict.claims?.rid,
+        sessionId: sessionInfo.sessionId,
+        clientIp,
+        userAgent: req.headers["user-agent"],
+        requestId,
+        payload: data,
+      });
+      return res.status(202).json({ success: true, quarantined: true, requestId });
+    }
+
     // Get location data based on the ACTUAL USER IP - Critical for consistency
     let locationData = null;
     try {
@@ -155,6 +203,8 @@ module.exports = async (req, res) => {
       userAgent: req.headers["user-agent"],
       referer: req.headers.referer,
       sessionId: sessionInfo.sessionId,
+      ...getAnalyticsBotFields(req),
+      ...getAnalyticsConsentFields(req),
       city:
         locationData?.city ||
         (req.headers["x-vercel-ip-city"]
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Zero-Result Worklist API
+ *
+ * Admin and cron endpoint for the zero-result query worklist built by
+ * lib/zeroResultWorklist.js: clustered queries that found nothing, with what
+ * the spelling and suggest endpoints offer for them and a suggested action.
+ *
+ * Features:
+ * - GET returns the latest stored worklist as JSON or CSV (format=csv)
+ * - POST generates a new worklist now; filters are from/to (default the last
+ *   30 days), handler, collection and limit (clusters, at most 500)
+ * - Vercel cron regenerates it daily (GET with CRON_SECRET)
+ * - GET needs the read role, POST the write role (see lib/adminAuth.js)
+ *
+ * Examples:
+ *   GET /api/analytics/zeroResults?format=csv
+ *   POST /api/analytics/zeroResults
+ *   Authorization: Bearer <admin key>
+ *   { "from": "2026-09-01", "handler": "search", "limit": 200 }
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @module api/analytics/zeroResults
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+const { parseReportFilters } = require("../../lib/analyticsReports");
+const {
+  WORKLIST_DEFAULTS,
+  generateWorklist,
+  getLatestWorklist,
+  toCsv,
+} = require("../../lib/zeroResultWorklist");
+
+/** Most clusters a run may keep */
+const MAX_LIMIT = 500;
+
+/**
+ * Generates a worklist and sends it
+ *
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object
+ * @param {string} requestId - The request ID
+ * @returns {Promise<void>}
+ */
+async function sendNewWorklist(req, res, requestId) {
+  const source = { ...req.query, ...(req.body || {}) };
+  const filters = parseReportFilters(source, {
+    defaultDays: WORKLIST_DEFAULTS.days,
+  });
+  if (filters.error) {
+    return res.status(400).json({
+      success: false,
+      error: filters.error,
+      requestId,
+    });
+  }
+
+  const limit = parseInt(source.limit, 10) || WORKLIST_DEFAULTS.limit;
+  if (limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({
+      success: false,
+      error: `limit must be from 1 to ${MAX_LIMIT}`,
+      requestId,
+    });
+  }
+
+  const worklist = await generateWorklist(filters, { limit, requestId });
+  res.status(200).json({ success: true, worklist, requestId });
+}
+
+/**
+ * Handler for zero-result worklist requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const requestId = commonUtils.getRequestId(req);
+
+  commonUtils.logEvent("info", "request_received", "zero-result-worklist", {
+    requestId,
+    method: req.method,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const isGenerate = req.method === "POST";
+  const admin = await authorizeAdmin(req, res, {
+    action: isGenerate ? "analytics.zeroResults.generate" : "analytics.zeroResults.export",
+    role: isGenerate ? "write" : "read",
+    allowCron: true,
+    requestId,
+  });
+  if (!admin) return;
+
+  const format = req.query?.format || "json";
+  if (!isGenerate && format !== "json" && format !== "csv") {
+    return res.status(400).json({
+      success: false,
+      error: "format must be json or csv",
+      requestId,
+    });
+  }
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  try {
+    // The daily cron calls with GET
+    if (isGenerate || admin.type === "cron") {
+      return await sendNewWorklist(req, res, requestId);
+    }
+
+    const worklist = await getLatestWorklist();
+    if (!worklist) {
+      return res.status(404).json({
+        success: false,
+        error: "No worklist has been generated yet; POST to generate one",
+        requestId,
+      });
+    }
+
+    if (format === "csv") {
+      const day = worklist.generatedAt.toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="zero-result-worklist-${day}.csv"`
+      );
+      return res.status(200).send(toCsv(worklist));
+    }
+
+    res.status(200).json({ success: true, worklist, requestId });
+  } catch (error) {
+    commonUtils.formatError(error, "zero-result-worklist", "worklist_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: isGenerate ? "Worklist generation failed" : "Worklist unavailable",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Cache Invalidation API for Funnelback Search Integration
+ *
+ * Admin endpoint that purges cached suggestion entries in bulk, e.g. after the
+ * programs collection is republished. Entries can be dropped by endpoint, by
+ * tag, by query prefix, or by a combination of these.
+ *
+ * Features:
+ * - Invalidation by endpoint, tag or case-insensitive query prefix
+ * - Reports how many entries matched and were dropped
+ * - Requires an admin key with the write role (see lib/adminAuth.js); calls are audited
+ * - Structured JSON logging for Vercel
+ *
+ * Example:
+ *   POST /api/cache/invalidate
+ *   Authorization: Bearer <admin key>
+ *   { "endpoint": "programs", "prefix": "nurs" }
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/cache/invalidate
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { invalidateCacheEntries } = require("../../lib/cacheService");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+
+/**
+ * Reads and validates invalidation criteria from the body or query string
+ *
+ * @param {Object} req - The request object
+ * @returns {Object} Criteria ({ endpoint, tag, prefix }) or { error }
+ */
+function parseCriteria(req) {
+  const source = { ...req.query, ...(req.body || {}) };
+  const criteria = {};
+
+  if (source.endpoint) {
+    if (!/^[A-Za-z]+$/.test(source.endpoint)) {
+      return { error: "endpoint must contain letters only" };
+    }
+    criteria.endpoint = source.endpoint;
+  }
+
+  if (source.tag) {
+    if (typeof source.tag !== "string" || source.tag.length > 200) {
+      return { error: "tag must be a string of at most 200 characters" };
+    }
+    criteria.tag = source.tag;
+  }
+
+  if (source.prefix) {
+    if (typeof source.prefix !== "string" || source.prefix.length > 100) {
+      return { error: "prefix must be a string of at most 100 characters" };
+    }
+    criteria.prefix = source.prefix;
+  }
+
+  if (!criteria.endpoint && !criteria.tag && !criteria.prefix) {
+    return { error: "At least one of endpoint, tag or prefix is required" };
+  }
+
+  return criteria;
+}
+
+/**
+ * Handler for cache invalidation requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+
+  commonUtils.logEvent("info", "request_received", "cache-invalidate", {
+    requestId,
+    method: req.method,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: "cache.invalidate",
+    role: "write",
+    requestId,
+  });
+  if (!admin) return;
+
+  const criteria = parseCriteria(req);
+  if (criteria.error) {
+    return res.status(400).json({
+      success: false,
+      error: criteria.error,
+      requestId,
+    });
+  }
+
+  try {
+    const result = await invalidateCacheEntries(criteria, requestId);
+
+    commonUtils.logEvent("info", "cache_invalidated", "cache-invalidate", {
+      requestId,
+      criteria,
+      matched: result.matched,
+      dropped: result.dropped,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    if (!result.success) {
+      return res.status(503).json({
+        success: false,
+        error: "Cache store is unavailable",
+        criteria,
+        requestId,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      criteria,
+      matched: result.matched,
+      dropped: result.dropped,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(
+      error,
+      "cache-invalidate",
+      "cache_invalidation_failed",
+      requestId
+    );
+
+    res.status(500).json({
+      success: false,
+      error: "Cache invalidation failed",
+      message: error.message,
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
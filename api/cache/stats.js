@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Cache Statistics API for Funnelback Search Integration
+ *
+ * Admin endpoint that reports how the suggestion caches are performing and
+ * what they hold, so cache behaviour can be checked without searching the
+ * CACHE-LOG lines in the Vercel logs.
+ *
+ * Features:
+ * - Hit, miss, stale and error counts and hit ratio per endpoint, in hourly buckets
+ * - Key counts per endpoint prefix, Redis memory usage and the largest entries
+ * - Lookup mode showing the stored value, TTL and size for an endpoint plus params
+ * - Requires an admin key with the read role (see lib/adminAuth.js); calls are audited
+ * - Structured JSON logging for Vercel
+ *
+ * Examples:
+ *   GET /api/cache/stats?hours=6&top=20
+ *   GET /api/cache/stats?lookup=programs&query=nursing
+ *   Authorization: Bearer <admin key>
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/cache/stats
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { getCacheStats, inspectCacheEntry } = require("../../lib/cacheService");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+
+/** Bounds for caller-supplied options */
+const OPTION_LIMITS = {
+  hours: { min: 1, max: 168 },
+  top: { min: 1, max: 50 },
+};
+
+/**
+ * Reads report options from the query string, clamping out-of-range numbers
+ *
+ * @param {Object} query - The request query
+ * @returns {Object} Options for getCacheStats
+ */
+function parseOptions(query) {
+  const options = {};
+
+  for (const [name, { min, max }] of Object.entries(OPTION_LIMITS)) {
+    const value = parseInt(query[name], 10);
+    if (!Number.isNaN(value)) {
+      options[name] = Math.min(Math.max(value, min), max);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Splits a lookup request into the endpoint and the params to look up
+ * Every query parameter other than "lookup" is treated as a cache param.
+ *
+ * @param {Object} query - The request query
+ * @returns {Object} Lookup ({ endpoint, params }) or { error }
+ */
+function parseLookup(query) {
+  const { lookup: endpoint, ...params } = query;
+
+  if (!/^[A-Za-z]+$/.test(endpoint)) {
+    return { error: "lookup must be an endpoint name containing letters only" };
+  }
+
+  return { endpoint, params };
+}
+
+/**
+ * Handler for cache statistics requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+  const query = req.query || {};
+  const mode = query.lookup !== undefined ? "lookup" : "stats";
+
+  commonUtils.logEvent("info", "request_received", "cache-stats", {
+    requestId,
+    method: req.method,
+    mode,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: "cache.stats",
+    role: "read",
+    requestId,
+  });
+  if (!admin) return;
+
+  try {
+    let result;
+
+    if (mode === "lookup") {
+      const lookup = parseLookup(query);
+      if (lookup.error) {
+        return res.status(400).json({
+          success: false,
+          error: lookup.error,
+          requestId,
+        });
+      }
+      result = await inspectCacheEntry(lookup.endpoint, lookup.params);
+    } else {
+      result = await getCacheStats(parseOptions(query));
+    }
+
+    commonUtils.logEvent("info", "cache_stats_served", "cache-stats", {
+      requestId,
+      mode,
+      success: result.success,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    if (!result.success) {
+      return res.status(503).json({
+        success: false,
+        error: "Cache store is unavailable",
+        requestId,
+      });
+    }
+
+    res.status(200).json({ ...result, requestId });
+  } catch (error) {
+    commonUtils.formatError(error, "cache-stats", "cache_stats_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: "Cache statistics failed",
+      message: error.message,
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Cache Warm-up API for Funnelback Search Integration
+ *
+ * Admin and cron endpoint that pre-populates the suggestion caches with the
+ * most frequent recent queries (see lib/cacheWarmer.js) and reports what was
+ * warmed and how long it took.
+ *
+ * Features:
+ * - Triggered by Vercel cron (GET with CRON_SECRET) or manually by an admin
+ * - Optional days, limit and handlers overrides
+ * - Per-handler report of warmed, skipped, empty and failed queries
+ * - Admin calls need the write role (see lib/adminAuth.js); all calls are audited
+ * - Structured JSON logging for Vercel
+ *
+ * Example:
+ *   POST /api/cache/warm
+ *   Authorization: Bearer <admin key>
+ *   { "days": 3, "limit": 50, "handlers": "suggest,suggestPrograms" }
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/cache/warm
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { warmCache } = require("../../lib/cacheWarmer");
+const { authorizeAdmin } = require("../../lib/adminAuth");
+
+/** Bounds for caller-supplied options */
+const OPTION_LIMITS = {
+  days: { min: 1, max: 30 },
+  limit: { min: 1, max: 100 },
+};
+
+/**
+ * Reads warm-up options from the body or query string
+ * Out-of-range numbers are clamped; unknown handlers are ignored by the warmer.
+ *
+ * @param {Object} req - The request object
+ * @returns {Object} Options for warmCache
+ */
+function parseOptions(req) {
+  const source = { ...req.query, ...(req.body || {}) };
+  const options = {};
+
+  for (const [name, { min, max }] of Object.entries(OPTION_LIMITS)) {
+    const value = parseInt(source[name], 10);
+    if (!Number.isNaN(value)) {
+      options[name] = Math.min(Math.max(value, min), max);
+    }
+  }
+
+  if (source.handlers) {
+    options.handlers = String(source.handlers)
+      .split(",")
+      .map((handler) => handler.trim())
+      .filter(Boolean);
+  }
+
+  return options;
+}
+
+/**
+ * Handler for cache warm-up requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const requestId = commonUtils.getRequestId(req);
+
+  commonUtils.logEvent("info", "request_received", "cache-warm", {
+    requestId,
+    method: req.method,
+    cron: Boolean(req.headers["user-agent"]?.includes("vercel-cron")),
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  const admin = await authorizeAdmin(req, res, {
+    action: "cache.warm",
+    role: "write",
+    allowCron: true,
+    requestId,
+  });
+  if (!admin) return;
+
+  try {
+    const report = await warmCache({ ...parseOptions(req), requestId });
+
+    // Per-handler failures are reported in the body; only an unavailable cache is a 503
+    res.status(report.error ? 503 : 200).json({ ...report, requestId });
+  } catch (error) {
+    commonUtils.formatError(error, "cache-warm", "cache_warm_failed", requestId);
+
+    res.status(500).json({
+      success: false,
+      error: "Cache warm-up failed",
+      message: error.message,
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Data Subject Request API for Stored Analytics
+ *
+ * Admin endpoint for privacy requests: exports or erases every query, click
+ * and quarantined beacon stored about one visitor, identified by exactly one
+ * of sessionId, clientIp (raw or its stored hash) or requestId.
+ *
+ * Features:
+ * - POST with mode "export" exports matching records as JSON (default) or CSV
+ *   (format=csv); GET with the identifier in the query string does the same,
+ *   but puts it in access and proxy logs
+ * - POST erases them; mode "delete" removes records, "anonymize" (default)
+ *   clears personal fields and keeps query text and clicks for aggregate reports
+ * - Requires an admin key with the write role (see lib/adminAuth.js)
+ * - Each completed operation is written to the audit log with record counts
+ *   and a hashed reference to the subject, never the identifier itself
+ *
+ * Examples:
+ *   POST /api/dataSubject
+ *   Authorization: Bearer <admin key>
+ *   { "sessionId": "abc123", "mode": "export", "format": "csv" }
+ *
+ *   POST /api/dataSubject
+ *   Authorization: Bearer <admin key>
+ *   { "clientIp": "203.0.113.9", "mode": "delete" }
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @module api/dataSubject
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("../lib/commonUtils");
+const { authorizeAdmin } = require("../lib/adminAuth");
+const { recordAuditEntry } = require("../lib/auditLog");
+const {
+  parseSubject,
+  getSubjectReference,
+  findSubjectRecords,
+  countClicks,
+  toCsv,
+  eraseSubjectRecords,
+} = require("../lib/dataSubject");
+
+/** Erasure modes */
+const ERASE_MODES = ["anonymize", "delete"];
+
+/**
+ * Writes the audit entry for a completed operation
+ *
+ * @param {Object} req - The request object
+ * @param {Object} admin - Principal from authorizeAdmin
+ * @param {string} action - Audited action name
+ * @param {string} requestId - The request ID
+ * @param {Object} details - Operation details (counts, mode, subject reference)
+ * @returns {Promise<void>}
+ */
+async function auditCompletion(req, admin, action, requestId, details) {
+  await recordAuditEntry({
+    action,
+    outcome: "completed",
+    actor: admin.name,
+    role: admin.role,
+    credentialType: admin.type,
+    method: req.method,
+    path: req.url?.split("?")[0],
+    status: 200,
+    clientIp: commonUtils.extractClientIp(req),
+    userAgent: req.headers?.["user-agent"],
+    requestId,
+    details,
+  });
+}
+
+/**
+ * Handler for data subject export and erasure requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = commonUtils.getRequestId(req);
+
+  commonUtils.logEvent("info", "request_received", "data-subject", {
+    requestId,
+    method: req.method,
+  });
+
+  res.setHeader("X-Request-ID", requestId);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({
+      success: false,
+      error: "Method Not Allowed",
+      requestId,
+    });
+  }
+
+  // Exports read the identifier from the body (mode "export") or, for GET,
+  // from the query string
+  const source = req.method === "GET" ? req.query || {} : req.body || {};
+  const isExport = req.method === "GET" || source.mode === "export";
+  const action = isExport ? "privacy.export" : "privacy.erase";
+  const subject = parseSubject(source);
+
+  const admin = await authorizeAdmin(req, res, {
+    action,
+    role: "write",
+    requestId,
+    details: subject.error ? undefined : { identifierType: subject.type },
+  });
+  if (!admin) return;
+
+  if (subject.error) {
+    return res.status(400).json({
+      success: false,
+      error: subject.error,
+      requestId,
+    });
+  }
+
+  const mode = source.mode || "anonymize";
+  if (!isExport && !ERASE_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `mode must be one of: export, ${ERASE_MODES.join(", ")}`,
+      requestId,
+    });
+  }
+
+  const format = source.format || "json";
+  if (isExport && format !== "json" && format !== "csv") {
+    return res.status(400).json({
+      success: false,
+      error: "format must be json or csv",
+      requestId,
+    });
+  }
+
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({
+      success: false,
+      error: "Analytics storage is not configured",
+      requestId,
+    });
+  }
+
+  const subjectReference = getSubjectReference(subject);
+
+  try {
+    if (isExport) {
+      const records = await findSubjectRecords(subject);
+      const counts = {
+        queries: records.queries.length,
+        clicks: countClicks(records.queries),
+        beacons: records.beacons.length,
+      };
+
+      await auditCompletion(req, admin, action, requestId, {
+        identifierType: subject.type,
+        subjectReference,
+        format,
+        ...counts,
+        truncated: records.truncated,
+      });
+
+      commonUtils.logEvent("info", "subject_exported", "data-subject", {
+        requestId,
+        identifierType: subject.type,
+        subjectReference,
+        ...counts,
+        processingTime: `${Date.now() - startTime}ms`,
+      });
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="data-subject-${subjectReference}.csv"`
+        );
+        return res.status(200).send(toCsv(records));
+      }
+
+      return res.status(200).json({
+        success: true,
+        subject: { type: subject.type, reference: subjectReference },
+        counts,
+        truncated: records.truncated,
+        records: { queries: records.queries, beacons: records.beacons },
+        requestId,
+      });
+    }
+
+    const result = await eraseSubjectRecords(subject, mode);
+
+    await auditCompletion(req, admin, action, requestId, {
+      identifierType: subject.type,
+      subjectReference,
+      mode,
+      ...result,
+    });
+
+    commonUtils.logEvent("info", "subject_erased", "data-subject", {
+      requestId,
+      identifierType: subject.type,
+      subjectReference,
+      mode,
+      ...result,
+      processingTime: `${Date.now() - startTime}ms`,
+    });
+
+    res.status(200).json({
+      success: true,
+      subject: { type: subject.type, reference: subjectReference },
+      mode,
+      counts: {
+        queries: result.queries,
+        clicks: result.clicks,
+        beacons: result.beacons,
+      },
+      // More records remain; repeat the request to erase them
+      truncated: result.truncated,
+      requestId,
+    });
+  } catch (error) {
+    commonUtils.formatError(error, "data-subject", `${action}_failed`, requestId);
+
+    await recordAuditEntry({
+      action,
+      outcome: "failed",
+      actor: admin.name,
+      role: admin.role,
+      credentialType: admin.type,
+      method: req.method,
+      path: req.url?.split("?")[0],
+      status: 500,
+      requestId,
+      details: { identifierType: subject.type, subjectReference, error: error.message },
+    });
+
+    res.status(500).json({
+      success: false,
+      error: isExport ? "Export failed" : "Erasure failed",
+      requestId,
+    });
+  }
+}
+
+module.exports = handler;
@@ -3,21 +3,20 @@
  * 
  * This API processes small batches of records to avoid timeouts.
  * It returns progress information so the migration can be continued with multiple calls.
+ * Requires an admin key with the write role, sent as a bearer token (see lib/adminAuth.js).
  * 
  * @author Victor Chimenti
- * @version 1.0.2
- * @lastModified 2025-05-16
+ * @version 1.1.0
+ * @lastModified 2026-10-18
  */
 
 const mongoose = require('mongoose');
+const { authorizeAdmin } = require('../lib/adminAuth');
 
 // TTL values in seconds (should match those in queryAnalytics.js)
 const SUGGESTION_TTL = 60 * 60 * 24 * 30; // 30 days in seconds
 const SEARCH_CLICK_TTL = 60 * 60 * 24 * 60; // 60 days in seconds
 
-// Security key (use a random string)
-const AUTH_KEY = process.env.MIGRATION_AUTH_KEY || 'secure-migration-key';
-
 // Very small batch size to avoid timeouts
 const BATCH_SIZE = 10000;
 
@@ -25,16 +24,19 @@ const BATCH_SIZE = 10000;
 module.exports = async (req, res) => {
   // Log the request start
   console.log('Migration function triggered', {
-    query: req.query,
+    type: req.query.type,
+    skip: req.query.skip,
     method: req.method
   });
 
-  // Basic security check
-  if (req.query.key !== AUTH_KEY) {
-    return res.status(401).json({ 
-      success: false,
-      error: "Unauthorized access" 
-    });
+  // Migrations change every record, so they need the write role
+  const admin = await authorizeAdmin(req, res, {
+    action: 'migration.ttl',
+    role: 'write',
+    details: { type: req.query.type || 'suggestion', skip: req.query.skip || 0 }
+  });
+  if (!admin) {
+    return;
   }
 
   // Connect to MongoDB
@@ -103,8 +105,8 @@ module.exports = async (req, res) => {
           batchSize: suggestionRecords.length,
           skip: skip,
           remaining: remaining,
-          nextBatch: remaining > 0 ? `?key=${AUTH_KEY}&type=suggestion&skip=${skip + BATCH_SIZE}` : null,
-          switchToOther: remaining === 0 ? `?key=${AUTH_KEY}&type=other&skip=0` : null
+          nextBatch: remaining > 0 ? `?type=suggestion&skip=${skip + BATCH_SIZE}` : null,
+          switchToOther: remaining === 0 ? `?type=other&skip=0` : null
         });
       } else {
         // No more suggestion records, switch to other type
@@ -113,7 +115,7 @@ module.exports = async (req, res) => {
           type: 'suggestion',
           processed: 0,
           message: 'No more suggestion records to process',
-          switchToOther: `?key=${AUTH_KEY}&type=other&skip=0`
+          switchToOther: `?type=other&skip=0`
         });
       }
     } else {
@@ -148,7 +150,7 @@ module.exports = async (req, res) => {
           batchSize: otherRecords.length,
           skip: skip,
           remaining: remaining,
-          nextBatch: remaining > 0 ? `?key=${AUTH_KEY}&type=other&skip=${skip + BATCH_SIZE}` : null,
+          nextBatch: remaining > 0 ? `?type=other&skip=${skip + BATCH_SIZE}` : null,
           complete: remaining === 0
         });
       } else {
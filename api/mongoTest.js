@@ -13,20 +13,23 @@
  * - Recent queries retrieval
  * - Connection state reporting
  * - Comprehensive error handling
+ * - Requires an admin key with the write role, since it saves a test document
  * 
  * Used during deployment processes and by monitoring systems to verify
  * that database models and schemas are correctly functioning.
  * 
  * @author Victor Chimenti
- * @version 1.2.0
+ * @version 1.4.0
  * @namespace mongoTest
  * @module api/mongoTest
  * @license MIT
- * @lastModified 2025-03-23
+ * @lastModified 2026-10-18
  */
 
 // api/mongoTest.js
 const mongoose = require('mongoose');
+const { handleCors } = require('../lib/corsPolicy');
+const { authorizeAdmin } = require('../lib/adminAuth');
 const { Query } = require('../lib/queryAnalytics');
 
 /**
@@ -40,9 +43,19 @@ const { Query } = require('../lib/queryAnalytics');
  */
 async function handler(req, res) {
   try {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
+      return;
+    }
+
+    // Diagnostics are admin-only
+    const admin = await authorizeAdmin(req, res, {
+      action: 'diagnostics.mongoTest',
+      role: 'write'
+    });
+    if (!admin) {
+      return;
+    }
     
     // Add a timeout to the MongoDB connection attempt
     const connectPromise = mongoose.connect(process.env.MONGODB_URI, {
@@ -12,20 +12,23 @@
  * - Database metadata reporting
  * - Graceful error handling with detailed status codes
  * - CORS support for diagnostic interfaces
+ * - Requires an admin key with the read role
  * 
  * Used by monitoring dashboards and deployment verification processes
  * to confirm database availability and proper configuration.
  * 
  * @author Victor Chimenti
- * @version 1.1.0
+ * @version 1.3.0
  * @namespace mongoStatus
  * @module api/queryCount
  * @license MIT
- * @lastModified 2025-03-23
+ * @lastModified 2026-10-18
  */
 
 // api/queryCount.js
 const mongoose = require('mongoose');
+const { handleCors } = require('../lib/corsPolicy');
+const { authorizeAdmin } = require('../lib/adminAuth');
 
 /**
  * API handler function for MongoDB connection status checking
@@ -38,9 +41,19 @@ const mongoose = require('mongoose');
  */
 async function handler(req, res) {
   try {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
+      return;
+    }
+
+    // Diagnostics are admin-only
+    const admin = await authorizeAdmin(req, res, {
+      action: 'diagnostics.queryCount',
+      role: 'read'
+    });
+    if (!admin) {
+      return;
+    }
     
     // Add a timeout to the MongoDB connection attempt
     const connectPromise = mongoose.connect(process.env.MONGODB_URI, {
@@ -7,27 +7,32 @@
  * Features:
  * - CORS handling with standardized headers
  * - Search-specific parameter management
+ * - Parameter validation before any upstream call
  * - Detailed logging using common utilities
  * - Enhanced analytics with consistent schema
  * - Click-through attribution
+ * - Signed analytics beacon tokens (X-Analytics-Token)
  * - Session tracking with consistent ID management
  * - GeoIP-based location tracking
  * - Consistent IP extraction across all request types
  *
  * @author Victor Chimenti
  * @namespace searchHandler
- * @version 5.1.1
+ * @version 5.5.0
  * @license MIT
- * @lastModified 2025-06-04
+ * @lastModified 2026-10-18
  */
 
-const axios = require("axios");
-
-/** Timeout for Funnelback search requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 5000;
+const funnelbackClient = require("../lib/funnelbackClient");
 const { getLocationData } = require("../lib/geoIpService");
 const { recordQuery } = require("../lib/queryAnalytics");
 const commonUtils = require("../lib/commonUtils");
+const { handleCors } = require("../lib/corsPolicy");
+const { issueBeaconToken } = require("../lib/beaconSigner");
+const {
+  validateRequest,
+  sendValidationError,
+} = require("../lib/requestValidator");
 const {
   createStandardAnalyticsData,
   createRequestAnalytics,
@@ -85,22 +90,31 @@ async function handler(req, res) {
   const sessionInfo = commonUtils.extractSessionInfo(req);
   commonUtils.logSessionHandling(req, sessionInfo, "search-handler", requestId);
 
-  // Set CORS headers
-  commonUtils.setCorsHeaders(res);
-
-  // Handle OPTIONS requests
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res)) {
     commonUtils.logEvent("info", "options_request", "search-handler", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
-  try {
-    const funnelbackUrl =
-      "https://dxp-us-search.funnelback.squiz.cloud/s/search.html";
+  // Only declared parameters with valid values reach Funnelback
+  const validation = validateRequest("search", req.query);
+  if (!validation.valid) {
+    commonUtils.logEvent("warn", "invalid_parameters", "search-handler", {
+      requestId,
+      violations: validation.violations,
+    });
+    return sendValidationError(res, validation, requestId);
+  }
+
+  // Analytics beacons for this response must carry this token
+  issueBeaconToken(req, res, {
+    query: req.query.query,
+    requestId,
+  });
 
+  try {
     // Get location data based on the ACTUAL USER IP - Critical for consistency
     let locationData = null;
     try {
@@ -134,37 +148,21 @@ async function handler(req, res) {
       };
     }
 
-    // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-    // This ensures Funnelback gets the actual client IP, not our server IP
-    const funnelbackHeaders = {
-      Accept: "text/html",
-      "X-Forwarded-For": clientIp,
-      "X-Original-Client-Ip": clientIp,
-      "X-Real-Ip": clientIp,
-      "X-Geo-City": locationData.city || "",
-      "X-Geo-Region": locationData.region || "",
-      "X-Geo-Country": locationData.country || "",
-      "X-Geo-Timezone": locationData.timezone || "",
-      "X-Request-ID": requestId,
-    };
-
-    // Log detailed headers for debugging
-    console.log(`- Outgoing Headers to Funnelback:`, {
-      funnelbackHeaders,
-    });
-
-    // Log outgoing request with IP verification
+    // Log outgoing request
     commonUtils.logEvent("info", "outgoing_request", "search-handler", {
       requestId,
-      url: funnelbackUrl,
       query: req.query.query || "",
-      outgoingClientIp: clientIp, // Log which IP we're sending
     });
 
-    const response = await axios.get(funnelbackUrl, {
-      params: req.query,
-      headers: funnelbackHeaders,
-      timeout: FUNNELBACK_TIMEOUT_MS,
+    // CRITICAL: The client forwards the TRUE USER IP in X-Forwarded-For
+    const response = await funnelbackClient.get("search.html", {
+      params: validation.params,
+      clientIp,
+      locationData,
+      requestId,
+      accept: "text/html",
+      type: "search",
+      handlerName: "search-handler",
     });
 
     // Log successful response
@@ -201,7 +199,7 @@ async function handler(req, res) {
           resultCount: resultCount,
           hasResults: resultCount > 0,
           enrichmentData: {
-            searchParams: req.query,
+            searchParams: validation.params,
             resultCount: resultCount,
             responseTime: processingTime,
           },
@@ -255,6 +253,7 @@ async function handler(req, res) {
 
     // Send response to client with request ID
     res.setHeader("X-Request-ID", requestId);
+    funnelbackClient.setUpstreamHeaders(res, response);
     res.send(response.data);
   } catch (error) {
     // Handle errors using common utils
@@ -274,10 +273,13 @@ async function handler(req, res) {
         message: error.message,
         responseStatus: error.response?.status,
         axiosError: error.isAxiosError,
+        reason: error.reason,
+        circuitState: error.circuitState,
       },
     });
 
     // Send error response
+    funnelbackClient.setUpstreamHeaders(res, error);
     res
       .status(errorInfo.status)
       .send("Search error: " + (error.response?.data || error.message));
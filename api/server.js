@@ -6,26 +6,30 @@
  * managing CORS, request forwarding, and IP handling.
  * 
  * Features:
- * - CORS handling for Seattle University domain
+ * - CORS handling from the shared origin allowlist
  * - IP forwarding to Funnelback
  * - Query parameter management
+ * - Parameter validation before any upstream call
  * - Error handling and logging
  * - Analytics integration
  * - Consistent schema handling
+ * - Signed analytics beacon tokens (X-Analytics-Token)
  * 
  * @author Victor Chimenti
- * @version 4.1.0
+ * @version 4.7.0
  * @namespace server default
  * @license MIT
- * @lastModified 2025-03-18
+ * @lastModified 2026-10-18
  */
 
-const axios = require('axios');
-
-/** Timeout for Funnelback search requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 5000;
+const funnelbackClient = require('../lib/funnelbackClient');
+const { handleCors } = require('../lib/corsPolicy');
+const { issueBeaconToken } = require('../lib/beaconSigner');
+const { validateRequest, sendValidationError } = require('../lib/requestValidator');
 const { getLocationData } = require('../lib/geoIpService');
 const { recordQuery } = require('../lib/queryAnalytics');
+const { getAnalyticsBotFields } = require('../lib/botDetection');
+const { getAnalyticsConsentFields } = require('../lib/analyticsConsent');
 const { 
     createStandardAnalyticsData, 
     sanitizeSessionId, 
@@ -64,48 +68,48 @@ function extractResultCount(htmlContent) {
 async function handler(req, res) {
     const startTime = Date.now();
 
-    res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
     const userIp = req.headers['x-original-client-ip'] || 
     (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || 
     (req.headers['x-real-ip']) || 
     req.socket.remoteAddress;
 
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
         return;
     }
 
-    try {
-        const funnelbackUrl = 'https://dxp-us-search.funnelback.squiz.cloud/s/search.html';
+    // Only declared parameters with valid values reach Funnelback
+    const validation = validateRequest('server', req.query);
+    if (!validation.valid) {
+        console.log('Invalid search request parameters:', validation.violations);
+        return sendValidationError(res, validation, req.headers['x-request-id']);
+    }
+
+    // Analytics beacons for this response must carry this token
+    issueBeaconToken(req, res, {
+        query: req.query.query || req.query.partial_query,
+        requestId: req.headers['x-request-id'] || null
+    });
 
+    try {
         // Add default parameters if not provided
         const params = {
             collection: 'seattleu~sp-search',
             profile: '_default',
             form: 'partial',
-            ...req.query
+            ...validation.params
         };
 
         const locationData = await getLocationData(userIp);
         console.log('GeoIP location data:', locationData);
 
-        const funnelbackHeaders = {
-            'Accept': 'text/html',
-            'X-Forwarded-For': userIp,
-            'X-Geo-City': locationData.city,
-            'X-Geo-Region': locationData.region,
-            'X-Geo-Country': locationData.country,
-            'X-Geo-Timezone': locationData.timezone
-        };
-        console.log('- Outgoing Headers to Funnelback (with actual user location):', funnelbackHeaders);
-
-        const response = await axios.get(funnelbackUrl, {
+        const response = await funnelbackClient.get('search.html', {
             params: params,
-            headers: funnelbackHeaders,
-            timeout: FUNNELBACK_TIMEOUT_MS
+            clientIp: userIp,
+            locationData,
+            accept: 'text/html',
+            type: 'search',
+            handlerName: 'server'
         });
 
         console.log('Funnelback response received successfully');
@@ -146,6 +150,8 @@ async function handler(req, res) {
                     isStaffTab: Boolean(req.query['f.Tabs|seattleu~ds-staff']),
                     tabs: [],
                     sessionId: sessionId,
+                    ...getAnalyticsBotFields(req),
+                    ...getAnalyticsConsentFields(req),
                     clickedResults: [], // Initialize empty array to ensure field exists
                     timestamp: new Date()
                 };
@@ -180,6 +186,7 @@ async function handler(req, res) {
             console.error('Analytics error:', analyticsError);
         }
         
+        funnelbackClient.setUpstreamHeaders(res, response);
         res.send(response.data);
     } catch (error) {
         console.error('Error in main search handler:', {
@@ -187,7 +194,8 @@ async function handler(req, res) {
             status: error.response?.status,
             data: error.response?.data
         });
-        res.status(500).send('Search error: ' + (error.response?.data || error.message));
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.status(error.status || 500).send('Search error: ' + (error.response?.data || error.message));
     }
 }
 
@@ -8,56 +8,33 @@
  * Features:
  * - CORS handling
  * - Spelling-specific parameter management
+ * - Parameter validation before any upstream call
  * - Detailed request logging
  * - Enhanced analytics integration
  * - GeoIP-based location tracking
  * - Session tracking
  * 
  * @author Victor Chimenti
- * @version 4.1.0
+ * @version 4.7.0
  * @namespace spellingHandler
  * @license MIT
- * @lastModified 2025-03-18
+ * @lastModified 2026-10-18
  */
 
-const axios = require('axios');
-
-/** Timeout for Funnelback search requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 5000;
+const funnelbackClient = require('../lib/funnelbackClient');
+const { fetchSpelling } = require('../lib/suggestionFetchers');
+const { handleCors } = require('../lib/corsPolicy');
+const { validateRequest, sendValidationError } = require('../lib/requestValidator');
 const { getLocationData } = require('../lib/geoIpService');
 const { recordQuery } = require('../lib/queryAnalytics');
+const { getAnalyticsBotFields } = require('../lib/botDetection');
+const { getAnalyticsConsentFields } = require('../lib/analyticsConsent');
 const { 
     createStandardAnalyticsData, 
     sanitizeSessionId, 
     logAnalyticsData 
 } = require('../lib/schemaHandler');
 
-/**
- * Extracts spelling suggestions from HTML response
- * 
- * @param {string} htmlContent - The HTML response from Funnelback
- * @returns {Array} Array of spelling suggestions, or empty array if none found
- */
-function extractSpellingSuggestions(htmlContent) {
-    try {
-        // Simple regex to extract spelling suggestions
-        const regex = /class="spelling">Did you mean:([^<]+)</g;
-        const matches = [];
-        let match;
-        
-        while ((match = regex.exec(htmlContent)) !== null) {
-            if (match[1]) {
-                matches.push(match[1].trim());
-            }
-        }
-        
-        return matches;
-    } catch (error) {
-        console.error('Error extracting spelling suggestions:', error);
-        return [];
-    }
-}
-
 /**
  * Handler for spelling suggestion requests.
  * 
@@ -86,53 +63,35 @@ async function handler(req, res) {
         vercelIpCity: req.headers['x-vercel-ip-city'],
         finalUserIp: userIp
     });
-    
-    res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
         return;
     }
 
-    try {
-        const funnelbackUrl = 'https://dxp-us-search.funnelback.squiz.cloud/s/search.html';
-        
-        const params = new URLSearchParams({
-            ...req.query,
-            collection: 'seattleu~sp-search',
-            profile: '_default',
-            form: 'partial'
-        });
+    // Only declared parameters with valid values reach Funnelback
+    const validation = validateRequest('spelling', req.query);
+    if (!validation.valid) {
+        console.log('Invalid spelling request parameters:', validation.violations);
+        return sendValidationError(res, validation, req.headers['x-request-id']);
+    }
 
+    try {
         console.log('Making Funnelback spelling request:');
-        console.log('- URL:', `${funnelbackUrl}?${params.toString()}`);
+        console.log('- Query:', validation.params.query || validation.params.partial_query);
 
         // Get location data based on the user's IP
         const locationData = await getLocationData(userIp);
         console.log('GeoIP location data:', locationData);
 
-        const funnelbackHeaders = {
-            'Accept': 'text/html',
-            'X-Forwarded-For': userIp,
-            'X-Geo-City': locationData.city,
-            'X-Geo-Region': locationData.region,
-            'X-Geo-Country': locationData.country,
-            'X-Geo-Timezone': locationData.timezone
-        };
-        console.log('- Outgoing Headers to Funnelback:', funnelbackHeaders);
-
-        const response = await axios.get(funnelbackUrl, {
-            params: params,
-            headers: funnelbackHeaders,
-            timeout: FUNNELBACK_TIMEOUT_MS
+        // Fetch the partial search page and extract spelling suggestions
+        const { response, data: suggestions } = await fetchSpelling(validation.params, {
+            clientIp: userIp,
+            locationData,
+            requestId: req.headers['x-request-id']
         });
-
         console.log('Spelling response received successfully');
-        
-        // Extract spelling suggestions
-        const suggestions = extractSpellingSuggestions(response.data);
+
         const processingTime = Date.now() - startTime;
         
         // Extract and sanitize session ID
@@ -172,6 +131,8 @@ async function handler(req, res) {
                     isStaffTab: Boolean(req.query['f.Tabs|seattleu~ds-staff']),
                     tabs: [],
                     sessionId: sessionId,
+                    ...getAnalyticsBotFields(req),
+                    ...getAnalyticsConsentFields(req),
                     // Additional spelling-specific data
                     hasSuggestions: suggestions.length > 0,
                     suggestions: suggestions,
@@ -209,6 +170,7 @@ async function handler(req, res) {
             console.error('Analytics error:', analyticsError);
         }
         
+        funnelbackClient.setUpstreamHeaders(res, response);
         res.send(response.data);
     } catch (error) {
         console.error('Error in spelling handler:', {
@@ -216,7 +178,8 @@ async function handler(req, res) {
             status: error.response?.status,
             data: error.response?.data
         });
-        res.status(500).send('Spelling error: ' + (error.response?.data || error.message));
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.status(error.status || 500).send('Spelling error: ' + (error.response?.data || error.message));
     }
 }
 
@@ -8,8 +8,10 @@
  *
  * Features:
  * - Consistent IP tracking using commonUtils
- * - CORS handling for Seattle University domain
+ * - CORS handling from the shared origin allowlist
  * - Redis Caching for improved performance and reduced latency
+ * - Stale-while-revalidate and stale-if-error cache serving
+ * - Single-flight coalescing of concurrent cache misses
  * - Structured JSON logging for Vercel
  * - Request/Response tracking with detailed headers
  * - Query parameter tracking
@@ -17,29 +19,36 @@
  * - Enrichment data recording
  * - Comprehensive error handling with detailed logging
  * - Query analytics integration
+ * - Signed analytics beacon tokens (X-Analytics-Token)
+ * - Parameter validation before any upstream call
  *
  * @author Victor Chimenti
- * @version 5.1.0
+ * @version 5.8.0
  * @namespace suggestionHandler
  * @license MIT
- * @lastModified 2025-04-24
+ * @lastModified 2026-10-18
  */
 
-const axios = require("axios");
-
-/** Timeout for Funnelback suggestion requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 3000;
+const funnelbackClient = require("../lib/funnelbackClient");
+const { fetchSuggestions } = require("../lib/suggestionFetchers");
 const { getLocationData } = require("../lib/geoIpService");
 const { recordQuery } = require("../lib/queryAnalytics");
 const commonUtils = require("../lib/commonUtils");
+const { handleCors } = require("../lib/corsPolicy");
+const { issueBeaconToken } = require("../lib/beaconSigner");
+const {
+  validateRequest,
+  sendValidationError,
+} = require("../lib/requestValidator");
 const {
   createStandardAnalyticsData,
   createRequestAnalytics,
   logAnalyticsData,
 } = require("../lib/schemaHandler");
 const {
-  getCachedData,
-  setCachedData,
+  getCachedEntry,
+  getStaleData,
+  fetchWithCoalescing,
   isCachingEnabled,
   logCacheCheck,
   logCacheHit,
@@ -48,68 +57,6 @@ const {
   logCacheSet,
 } = require("../lib/cacheService");
 
-/**
- * Enriches suggestions with metadata based on content and tab parameters
- *
- * @param {Array<string>} suggestions - Raw suggestions from Funnelback
- * @param {Object} query - Query parameters including tab information
- * @param {string} requestId - Request ID for tracking
- * @returns {Array<Object>} Enriched suggestions with metadata
- */
-function enrichSuggestions(suggestions, query, requestId) {
-  if (!Array.isArray(suggestions)) {
-    commonUtils.logEvent(
-      "warn",
-      "invalid_suggestions_format",
-      "suggest-handler",
-      {
-        requestId,
-        suggestionsType: typeof suggestions,
-      }
-    );
-    return [];
-  }
-
-  // Extract tab information
-  const isProgramTab = Boolean(query["f.Tabs|programMain"]);
-  const isStaffTab = Boolean(query["f.Tabs|seattleu~ds-staff"]);
-
-  // Log enrichment process
-  commonUtils.logEvent("debug", "enriching_suggestions", "suggest-handler", {
-    requestId,
-    isProgramTab,
-    isStaffTab,
-    suggestionCount: suggestions.length,
-  });
-
-  const enrichedSuggestions = suggestions.map((suggestion) => {
-    let metadata = {
-      tabs: [],
-    };
-
-    // Add tab information based on the source of the request
-    if (isProgramTab) {
-      metadata.tabs.push("program-main");
-    }
-    if (isStaffTab) {
-      metadata.tabs.push("Faculty & Staff");
-    }
-
-    return {
-      display: suggestion,
-      metadata,
-    };
-  });
-
-  // Log completion
-  commonUtils.logEvent("debug", "suggestions_enriched", "suggest-handler", {
-    requestId,
-    totalEnriched: enrichedSuggestions.length,
-  });
-
-  return enrichedSuggestions;
-}
-
 /**
  * Records analytics data for the query
  *
@@ -239,18 +186,31 @@ async function handler(req, res) {
     clientIp, // Will be redacted in standard logs
   });
 
-  // Set CORS headers
-  commonUtils.setCorsHeaders(res);
-
-  // Handle OPTIONS requests
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res)) {
     commonUtils.logEvent("info", "options_request", "suggest-handler", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
+  // Only declared parameters with valid values reach Funnelback
+  const validation = validateRequest("suggest", req.query);
+  if (!validation.valid) {
+    commonUtils.logEvent("warn", "invalid_parameters", "suggest-handler", {
+      requestId,
+      violations: validation.violations,
+    });
+    return sendValidationError(res, validation, requestId);
+  }
+  const { params } = validation;
+
+  // Analytics beacons for this response must carry this token
+  issueBeaconToken(req, res, {
+    query: req.query.query || req.query.partial_query,
+    requestId,
+  });
+
   // Extract session information
   const sessionInfo = commonUtils.extractSessionInfo(req);
   commonUtils.logSessionHandling(
@@ -326,18 +286,27 @@ async function handler(req, res) {
     };
   }
 
+  const fetchContext = { clientIp, locationData, requestId };
+
   // Try to get data from cache first
   if (canUseCache) {
     try {
-      const cachedData = await getCachedData(
+      const cacheEntry = await getCachedEntry(
         "suggestions",
-        req.query,
-        requestId
+        params,
+        requestId,
+        {
+          // Refresh stale entries in the background; never cache empty results
+          refresh: async () => {
+            const { data } = await fetchSuggestions(params, fetchContext);
+            return data.length > 0 ? data : null;
+          },
+        }
       );
 
-      if (cachedData) {
+      if (cacheEntry) {
         cacheHit = true;
-        enrichedResponse = cachedData;
+        enrichedResponse = cacheEntry.data;
 
         // Calculate processing time
         const processingTime = Date.now() - startTime;
@@ -349,11 +318,13 @@ async function handler(req, res) {
           processingTime: `${processingTime}ms`,
           suggestionsCount: enrichedResponse.length || 0,
           query: req.query.query || req.query.partial_query,
+          cacheStatus: cacheEntry.status,
         });
 
         // Send cached response
         res.setHeader("Content-Type", "application/json");
         res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", cacheEntry.status);
         res.json(enrichedResponse);
 
         // Record analytics in background
@@ -383,86 +354,46 @@ async function handler(req, res) {
   }
 
   try {
-    const funnelbackUrl =
-      "https://dxp-us-search.funnelback.squiz.cloud/s/suggest.json";
-
-    // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-    // This ensures Funnelback gets the actual client IP, not our server IP
-    const funnelbackHeaders = {
-      Accept: "text/html",
-      // Essential for Funnelback location detection - must be end user IP
-      "X-Forwarded-For": clientIp,
-      // Additional headers for our own tracking across service boundaries
-      "X-Original-Client-Ip": clientIp,
-      "X-Real-Ip": clientIp,
-      // Forward location data if already determined
-      "X-Geo-City": locationData.city || "",
-      "X-Geo-Region": locationData.region || "",
-      "X-Geo-Country": locationData.country || "",
-      "X-Geo-Timezone": locationData.timezone || "",
-      "X-Request-ID": requestId,
-    };
-
-    // Log outgoing request with IP verification
+    // Log outgoing request
     commonUtils.logEvent("info", "outgoing_request", "suggest-handler", {
       requestId,
-      url: funnelbackUrl,
       query: req.query.query || req.query.partial_query,
-      outgoingClientIp: clientIp, // Log which IP we're sending
     });
 
-    // Log detailed headers for debugging
-    console.log(`- Outgoing Headers to Funnelback:`, {
-      funnelbackHeaders,
-    });
-
-    // Make request to Funnelback with proper IP forwarding
-    const response = await axios.get(funnelbackUrl, {
-      params: req.query,
-      headers: funnelbackHeaders,
-      timeout: FUNNELBACK_TIMEOUT_MS,
-    });
-
-    // Log successful response
-    commonUtils.logEvent("info", "funnelback_response", "suggest-handler", {
-      requestId,
-      status: response.status,
-      resultCount: Array.isArray(response.data) ? response.data.length : 0,
-    });
-
-    // Ensure response data is an array (handle API inconsistencies)
-    const responseData = Array.isArray(response.data) ? response.data : [];
-
-    // Enrich suggestions with metadata
-    enrichedResponse = enrichSuggestions(responseData, req.query, requestId);
-
-    // Check if we should cache the results
-    if (willUseCache && enrichedResponse && enrichedResponse.length > 0) {
-      try {
-        cacheResult = await setCachedData(
-          "suggestions",
-          req.query,
-          enrichedResponse,
-          requestId
-        );
+    let response = null;
+    let coalesced = false;
 
-        commonUtils.logEvent("debug", "cache_set_result", "suggest-handler", {
-          requestId,
-          success: cacheResult,
-          itemCount: enrichedResponse.length,
-        });
-      } catch (cacheSetError) {
-        commonUtils.logEvent("error", "cache_set_error", "suggest-handler", {
+    if (willUseCache) {
+      // Coalesce concurrent misses for the same key into a single upstream fetch
+      const result = await fetchWithCoalescing(
+        "suggestions",
+        params,
+        () => fetchSuggestions(params, fetchContext),
+        {
           requestId,
-          error: cacheSetError.message,
-        });
-        cacheResult = false;
-      }
+          shouldCache: (data) => data.length > 0,
+        }
+      );
+      response = result.response || null;
+      enrichedResponse = result.data;
+      cacheResult = result.cacheResult;
+      coalesced = result.coalesced;
+
+      commonUtils.logEvent("debug", "cache_set_result", "suggest-handler", {
+        requestId,
+        success: cacheResult,
+        coalesced,
+        itemCount: enrichedResponse.length,
+      });
     } else {
+      const result = await fetchSuggestions(params, fetchContext);
+      response = result.response;
+      enrichedResponse = result.data;
+
       commonUtils.logEvent("debug", "cache_skipped", "suggest-handler", {
         requestId,
         willUseCache,
-        resultCount: enrichedResponse?.length || 0,
+        resultCount: enrichedResponse.length,
       });
     }
 
@@ -472,16 +403,22 @@ async function handler(req, res) {
     // Log complete response
     commonUtils.logEvent("info", "request_completed", "suggest-handler", {
       requestId,
-      status: response.status,
+      status: response?.status || 200,
       processingTime: `${processingTime}ms`,
       suggestionsCount: enrichedResponse.length || 0,
       query: req.query.query || req.query.partial_query,
       cacheHit: false,
+      coalesced,
     });
 
     // Send response to client with request ID
     res.setHeader("Content-Type", "application/json");
     res.setHeader("X-Request-ID", requestId);
+    res.setHeader(
+      "X-Cache-Status",
+      coalesced ? "coalesced" : willUseCache ? "miss" : "bypass"
+    );
+    funnelbackClient.setUpstreamHeaders(res, response);
     res.json(enrichedResponse);
 
     // Record analytics in background
@@ -512,10 +449,45 @@ async function handler(req, res) {
         message: error.message,
         responseStatus: error.response?.status,
         axiosError: error.isAxiosError,
+        reason: error.reason,
+        circuitState: error.circuitState,
       },
     });
 
+    // Serve a stale cached copy rather than failing (stale-if-error)
+    if (willUseCache) {
+      const staleEntry = await getStaleData("suggestions", params, requestId);
+
+      if (staleEntry) {
+        commonUtils.logEvent("warn", "stale_served_on_error", "suggest-handler", {
+          requestId,
+          query: req.query.query || req.query.partial_query,
+          age: staleEntry.age,
+          reason: error.reason,
+        });
+
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", "stale");
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.json(staleEntry.data);
+
+        // Record analytics in background
+        recordQueryAnalytics(
+          req,
+          locationData,
+          startTime,
+          staleEntry.data,
+          true,
+          null,
+          requestId
+        );
+        return;
+      }
+    }
+
     // Send error response
+    funnelbackClient.setUpstreamHeaders(res, error);
     res.status(errorInfo.status).json({
       error: "Suggestion error",
       message: error.message,
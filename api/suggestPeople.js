@@ -9,36 +9,45 @@
  * Features:
  * - Consistent IP tracking using commonUtils
  * - Redis caching for fast response times
- * - CORS handling for Seattle University domain
+ * - Stale-while-revalidate and stale-if-error cache serving
+ * - Single-flight coalescing of concurrent cache misses
+ * - CORS handling from the shared origin allowlist
  * - Structured JSON logging for Vercel
  * - Request/Response tracking with detailed headers
  * - Enhanced response format with rich metadata
  * - Title cleaning and formatting
  * - Comprehensive error handling with detailed logging
  * - Analytics integration
+ * - Signed analytics beacon tokens (X-Analytics-Token)
+ * - Parameter validation before any upstream call
  *
  * @author Victor Chimenti
- * @version 5.1.0
+ * @version 5.8.0
  * @namespace suggestPeople
- * @lastmodified 2025-04-24
+ * @lastmodified 2026-10-18
  * @license MIT
  */
 
-const axios = require("axios");
-
-/** Timeout for Funnelback suggestion requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 3000;
+const funnelbackClient = require("../lib/funnelbackClient");
+const { fetchPeople } = require("../lib/suggestionFetchers");
 const { getLocationData } = require("../lib/geoIpService");
 const { recordQuery } = require("../lib/queryAnalytics");
 const commonUtils = require("../lib/commonUtils");
+const { handleCors } = require("../lib/corsPolicy");
+const { issueBeaconToken } = require("../lib/beaconSigner");
+const {
+  validateRequest,
+  sendValidationError,
+} = require("../lib/requestValidator");
 const {
   createStandardAnalyticsData,
   createRequestAnalytics,
   logAnalyticsData,
 } = require("../lib/schemaHandler");
 const {
-  getCachedData,
-  setCachedData,
+  getCachedEntry,
+  getStaleData,
+  fetchWithCoalescing,
   isCachingEnabled,
   logCacheHit,
   logCacheMiss,
@@ -46,19 +55,6 @@ const {
   logCacheSet,
 } = require("../lib/cacheService");
 
-/**
- * Cleans a title string by removing HTML tags and taking only the first part before any pipe character
- *
- * @param {string} title - The raw title string to clean
- * @returns {string} The cleaned title
- */
-function cleanTitle(title = "") {
-  return title
-    .replace(/<\/?[^>]+(>|$)/g, "") // Remove HTML tags
-    .split("|")[0] // Take first part before pipe
-    .trim(); // Clean up whitespace
-}
-
 /**
  * Records analytics data for people search
  *
@@ -195,18 +191,31 @@ async function handler(req, res) {
   const sessionInfo = commonUtils.extractSessionInfo(req);
   commonUtils.logSessionHandling(req, sessionInfo, "suggest-people", requestId);
 
-  // Set CORS headers
-  commonUtils.setCorsHeaders(res);
-
-  // Handle OPTIONS requests
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res)) {
     commonUtils.logEvent("info", "options_request", "suggest-people", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
+  // Only declared parameters with valid values reach Funnelback
+  const validation = validateRequest("suggestPeople", req.query);
+  if (!validation.valid) {
+    commonUtils.logEvent("warn", "invalid_parameters", "suggest-people", {
+      requestId,
+      violations: validation.violations,
+    });
+    return sendValidationError(res, validation, requestId);
+  }
+  const { params } = validation;
+
+  // Analytics beacons for this response must carry this token
+  issueBeaconToken(req, res, {
+    query: req.query.query,
+    requestId,
+  });
+
   // Check caching capability
   let cachingEnabled = false;
   try {
@@ -263,13 +272,21 @@ async function handler(req, res) {
     };
   }
 
+  const fetchContext = { clientIp, locationData, requestId };
+
   // Try to get data from cache first
   if (canUseCache) {
     try {
-      const cachedData = await getCachedData("people", req.query, requestId);
-      if (cachedData) {
+      const cacheEntry = await getCachedEntry("people", params, requestId, {
+        // Refresh stale entries in the background; never cache empty results
+        refresh: async () => {
+          const { data } = await fetchPeople(params, fetchContext);
+          return data.length > 0 ? data : null;
+        },
+      });
+      if (cacheEntry) {
         cacheHit = true;
-        formattedResults = cachedData;
+        formattedResults = cacheEntry.data;
 
         // Calculate processing time
         const processingTime = Date.now() - startTime;
@@ -281,11 +298,13 @@ async function handler(req, res) {
           processingTime: `${processingTime}ms`,
           resultCount: formattedResults.length || 0,
           query: req.query.query,
+          cacheStatus: cacheEntry.status,
         });
 
         // Send cached response
         res.setHeader("Content-Type", "application/json");
         res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", cacheEntry.status);
         res.send(formattedResults);
 
         // Record analytics in background
@@ -315,129 +334,40 @@ async function handler(req, res) {
   }
 
   try {
-    const funnelbackUrl =
-      "https://dxp-us-search.funnelback.squiz.cloud/s/search.json";
-
-    // Keep params for logging
-    const params = new URLSearchParams();
-    params.append("form", "partial");
-    params.append("profile", "_default");
-    params.append("query", req.query.query || "");
-    params.append("f.Tabs|seattleu|Eds-staff", "Faculty & Staff");
-    params.append("collection", "seattleu~sp-search");
-    params.append("num_ranks", "5");
-
-    // Use correctly encoded queryString for request
-    const queryString = [
-      "form=partial",
-      "profile=_default",
-      `query=${encodeURIComponent(req.query.query || "")}`,
-      "f.Tabs%7Cseattleu%7Eds-staff=Faculty+%26+Staff",
-      "collection=seattleu~sp-search",
-      "num_ranks=5",
-    ].join("&");
-
-    const url = `${funnelbackUrl}?${queryString}`;
-
-    // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-    // This ensures Funnelback gets the actual client IP, not our server IP
-    const funnelbackHeaders = {
-      Accept: "text/html",
-      // Essential for Funnelback location detection - must be end user IP
-      "X-Forwarded-For": clientIp,
-      // Additional headers for our own tracking across service boundaries
-      "X-Original-Client-Ip": clientIp,
-      "X-Real-Ip": clientIp,
-      // Forward location data if already determined
-      "X-Geo-City": locationData.city || "",
-      "X-Geo-Region": locationData.region || "",
-      "X-Geo-Country": locationData.country || "",
-      "X-Geo-Timezone": locationData.timezone || "",
-      "X-Request-ID": requestId,
-    };
-
-    // Log outgoing request with IP verification
-    commonUtils.logEvent("info", "outgoing_request", "suggest-people", {
-      requestId,
-      url: url,
-      query: req.query.query || "",
-      outgoingClientIp: clientIp, // Log which IP we're sending
-    });
-
-    // Log detailed headers for debugging
-    console.log(`- Outgoing Headers to Funnelback:`, {
-      funnelbackHeaders,
-    });
-
-    // Make request to Funnelback with proper IP forwarding
-    const response = await axios.get(url, {
-      headers: funnelbackHeaders,
-      timeout: FUNNELBACK_TIMEOUT_MS,
-    });
-
-    // Log successful response
-    commonUtils.logEvent("info", "funnelback_response", "suggest-people", {
-      requestId,
-      status: response.status,
-      resultCount: response.data?.response?.resultPacket?.results?.length || 0,
-    });
-
-    // Format and prepare response
-    formattedResults = (
-      response.data?.response?.resultPacket?.results || []
-    ).map((result) => {
-      // Extract and clean metadata fields
-      const affiliation = result.listMetadata?.affiliation?.[0]
-        ? cleanTitle(result.listMetadata.affiliation[0])
-        : null;
-      const position = result.listMetadata?.peoplePosition?.[0]
-        ? cleanTitle(result.listMetadata.peoplePosition[0])
-        : null;
-      const department = result.listMetadata?.peopleDepartment?.[0]
-        ? cleanTitle(result.listMetadata.peopleDepartment[0])
-        : null;
-      const college = result.listMetadata?.college?.[0]
-        ? cleanTitle(result.listMetadata.college[0])
-        : null;
-
-      return {
-        title: cleanTitle(result.title) || "",
-        affiliation: affiliation,
-        position: position,
-        department: department,
-        college: college,
-        url: result.liveUrl || "",
-        image: result.listMetadata?.image?.[0] || null,
-      };
-    });
-
-    // Check if we should cache the results
-    if (canUseCache && formattedResults && formattedResults.length > 0) {
-      try {
-        cacheResult = await setCachedData(
-          "people",
-          req.query,
-          formattedResults,
-          requestId
-        );
-
-        commonUtils.logEvent("debug", "cache_set_result", "suggest-people", {
-          requestId,
-          success: cacheResult,
-          itemCount: formattedResults.length,
-        });
-      } catch (cacheSetError) {
-        commonUtils.logEvent("error", "cache_set_error", "suggest-people", {
+    let response = null;
+    let coalesced = false;
+
+    if (canUseCache) {
+      // Coalesce concurrent misses for the same key into a single upstream fetch
+      const result = await fetchWithCoalescing(
+        "people",
+        params,
+        () => fetchPeople(params, fetchContext),
+        {
           requestId,
-          error: cacheSetError.message,
-        });
-        cacheResult = false;
-      }
+          shouldCache: (data) => data.length > 0,
+        }
+      );
+      response = result.response || null;
+      formattedResults = result.data;
+      cacheResult = result.cacheResult;
+      coalesced = result.coalesced;
+
+      commonUtils.logEvent("debug", "cache_set_result", "suggest-people", {
+        requestId,
+        success: cacheResult,
+        coalesced,
+        itemCount: formattedResults.length,
+      });
     } else {
+      const result = await fetchPeople(params, fetchContext);
+      response = result.response;
+      formattedResults = result.data;
+
       commonUtils.logEvent("debug", "cache_skipped", "suggest-people", {
         requestId,
         canUseCache,
-        resultCount: formattedResults?.length || 0,
+        resultCount: formattedResults.length,
       });
     }
 
@@ -447,16 +377,22 @@ async function handler(req, res) {
     // Log complete response
     commonUtils.logEvent("info", "request_completed", "suggest-people", {
       requestId,
-      status: response.status,
+      status: response?.status || 200,
       processingTime: `${processingTime}ms`,
       resultCount: formattedResults.length || 0,
       query: req.query.query,
       cacheHit: false,
+      coalesced,
     });
 
     // Send response to client with request ID
     res.setHeader("Content-Type", "application/json");
     res.setHeader("X-Request-ID", requestId);
+    res.setHeader(
+      "X-Cache-Status",
+      coalesced ? "coalesced" : canUseCache ? "miss" : "bypass"
+    );
+    funnelbackClient.setUpstreamHeaders(res, response);
     res.send(formattedResults);
 
     // Record analytics in background
@@ -487,10 +423,45 @@ async function handler(req, res) {
         message: error.message,
         responseStatus: error.response?.status,
         axiosError: error.isAxiosError,
+        reason: error.reason,
+        circuitState: error.circuitState,
       },
     });
 
+    // Serve a stale cached copy rather than failing (stale-if-error)
+    if (canUseCache) {
+      const staleEntry = await getStaleData("people", params, requestId);
+
+      if (staleEntry) {
+        commonUtils.logEvent("warn", "stale_served_on_error", "suggest-people", {
+          requestId,
+          query: req.query.query,
+          age: staleEntry.age,
+          reason: error.reason,
+        });
+
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", "stale");
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.send(staleEntry.data);
+
+        // Record analytics in background
+        recordQueryAnalytics(
+          req,
+          locationData,
+          startTime,
+          staleEntry.data,
+          true,
+          null,
+          requestId
+        );
+        return;
+      }
+    }
+
     // Send error response
+    funnelbackClient.setUpstreamHeaders(res, error);
     res.status(errorInfo.status).json({
       error: "People search error",
       message: error.message,
@@ -10,63 +10,54 @@
  * Features:
  * - Consistent IP tracking using commonUtils
  * - Redis caching for improved performance
+ * - Stale-while-revalidate and stale-if-error cache serving
+ * - Single-flight coalescing of concurrent cache misses
  * - JSON endpoint integration with Funnelback
  * - Limited to top 5 most relevant results
  * - Correct response path traversal
  * - Title cleaning and HTML tag removal
- * - CORS handling for Seattle University domain
+ * - CORS handling from the shared origin allowlist
  * - Structured JSON logging with proper query tracking
  * - Request/Response tracking with detailed headers
  * - Comprehensive error handling
  * - Enhanced analytics with standardized approach
  * - Session tracking
+ * - Signed analytics beacon tokens (X-Analytics-Token)
+ * - Parameter validation before any upstream call
  *
  * @author Victor Chimenti
- * @version 5.1.0
+ * @version 5.8.0
  * @namespace suggestPrograms
  * @license MIT
- * @lastModified 2025-04-24
+ * @lastModified 2026-10-18
  */
 
-const axios = require("axios");
-
-/** Timeout for Funnelback suggestion requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 3000;
+const funnelbackClient = require("../lib/funnelbackClient");
+const { fetchPrograms } = require("../lib/suggestionFetchers");
 const { getLocationData } = require("../lib/geoIpService");
 const { recordQuery } = require("../lib/queryAnalytics");
 const commonUtils = require("../lib/commonUtils");
+const { handleCors } = require("../lib/corsPolicy");
+const { issueBeaconToken } = require("../lib/beaconSigner");
+const {
+  validateRequest,
+  sendValidationError,
+} = require("../lib/requestValidator");
 const {
   createStandardAnalyticsData,
   createRequestAnalytics,
   logAnalyticsData,
 } = require("../lib/schemaHandler");
 const {
-  getCachedData,
-  setCachedData,
+  getCachedEntry,
+  getStaleData,
+  fetchWithCoalescing,
   isCachingEnabled,
   logCacheHit,
   logCacheMiss,
   logCacheError,
 } = require("../lib/cacheService");
 
-/**
- * Cleans program titles by removing HTML tags and selecting first pipe-separated value
- *
- * @param {string} title - Raw title from Funnelback
- * @returns {string} Cleaned title without HTML tags and additional metadata
- */
-function cleanProgramTitle(title) {
-  if (!title) return "";
-
-  // Get first pipe-separated value
-  const firstTitle = title.split("|")[0];
-
-  // Remove HTML tags and trim whitespace
-  return firstTitle
-    .replace(/<[^>]+>/g, "") // Remove HTML tags
-    .trim(); // Clean up whitespace
-}
-
 /**
  * Records analytics data for program queries
  *
@@ -224,25 +215,30 @@ async function handler(req, res) {
     requestId
   );
 
-  // Set CORS headers
-  commonUtils.setCorsHeaders(res);
-
-  // Handle OPTIONS requests
-  if (req.method === "OPTIONS") {
+  // Apply the CORS policy; preflight requests are answered here
+  if (handleCors(req, res)) {
     commonUtils.logEvent("info", "options_request", "suggest-programs", {
       requestId,
     });
-    res.status(200).end();
     return;
   }
 
-  const query = {
-    ...req.query,
-    collection: "seattleu~ds-programs",
-    profile: "_default",
-    num_ranks: 5,
-    form: "partial",
-  };
+  // Only declared parameters with valid values reach Funnelback
+  const validation = validateRequest("suggestPrograms", req.query);
+  if (!validation.valid) {
+    commonUtils.logEvent("warn", "invalid_parameters", "suggest-programs", {
+      requestId,
+      violations: validation.violations,
+    });
+    return sendValidationError(res, validation, requestId);
+  }
+  const { params } = validation;
+
+  // Analytics beacons for this response must carry this token
+  issueBeaconToken(req, res, {
+    query: req.query.query,
+    requestId,
+  });
 
   // Check caching capability
   let cachingEnabled = false;
@@ -305,13 +301,21 @@ async function handler(req, res) {
     };
   }
 
+  const fetchContext = { clientIp, locationData, requestId };
+
   // Try to get data from cache first
   if (canUseCache) {
     try {
-      const cachedData = await getCachedData("programs", req.query, requestId);
-      if (cachedData) {
+      const cacheEntry = await getCachedEntry("programs", params, requestId, {
+        // Refresh stale entries in the background; never cache empty results
+        refresh: async () => {
+          const { data } = await fetchPrograms(params, fetchContext);
+          return data.programs.length > 0 ? data : null;
+        },
+      });
+      if (cacheEntry) {
         cacheHit = true;
-        formattedResponse = cachedData;
+        formattedResponse = cacheEntry.data;
 
         // Calculate processing time
         const processingTime = Date.now() - startTime;
@@ -323,11 +327,13 @@ async function handler(req, res) {
           processingTime: `${processingTime}ms`,
           responseContent: formattedResponse,
           cacheHit: true,
+          cacheStatus: cacheEntry.status,
         });
 
         // Send cached response
         res.setHeader("Content-Type", "application/json");
         res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", cacheEntry.status);
         res.send(formattedResponse);
 
         // Record analytics in background
@@ -357,113 +363,40 @@ async function handler(req, res) {
   }
 
   try {
-    const funnelbackUrl =
-      "https://dxp-us-search.funnelback.squiz.cloud/s/search.json";
-
-    // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-    // This ensures Funnelback gets the actual client IP, not our server IP
-    const funnelbackHeaders = {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      // Essential for Funnelback location detection - must be end user IP
-      "X-Forwarded-For": clientIp,
-      // Additional headers for our own tracking across service boundaries
-      "X-Original-Client-Ip": clientIp,
-      "X-Real-Ip": clientIp,
-      // Forward location data if already determined
-      "X-Geo-City": locationData.city || "",
-      "X-Geo-Region": locationData.region || "",
-      "X-Geo-Country": locationData.country || "",
-      "X-Geo-Timezone": locationData.timezone || "",
-      "X-Request-ID": requestId,
-    };
-
-    // Log detailed headers for debugging
-    console.log(`- Outgoing Headers to Funnelback:`, funnelbackHeaders);
-
-    // Log outgoing request with IP verification
-    commonUtils.logEvent("info", "outgoing_request", "suggest-programs", {
-      requestId,
-      url: funnelbackUrl,
-      query: req.query.query || "",
-      outgoingClientIp: clientIp, // Log which IP we're sending
-    });
-
-    // Make request to Funnelback with proper IP forwarding
-    const response = await axios.get(funnelbackUrl, {
-      params: query,
-      headers: funnelbackHeaders,
-      timeout: FUNNELBACK_TIMEOUT_MS,
-    });
-
-    // Log successful response
-    commonUtils.logEvent("info", "funnelback_response", "suggest-programs", {
-      requestId,
-      status: response.status,
-      resultCount: response.data?.response?.resultPacket?.results?.length || 0,
-    });
-
-    // Format response for frontend consumption with correct path traversal
-    formattedResponse = {
-      metadata: {
-        totalResults:
-          response.data.response?.resultPacket?.resultsSummary?.totalMatching ||
-          0,
-        queryTime:
-          response.data.response?.resultPacket?.resultsSummary?.queryTime || 0,
-        searchTerm: query.query || "",
-      },
-      programs: (response.data.response?.resultPacket?.results || []).map(
-        (result) => ({
-          id: result.rank,
-          title: cleanProgramTitle(result.title),
-          url: result.liveUrl,
-          details: {
-            type: result.listMetadata?.programCredentialType?.[0] || null,
-            school: result.listMetadata?.provider?.[0] || null,
-            credits: result.listMetadata?.credits?.[0] || null,
-            area: result.listMetadata?.areaOfStudy?.[0] || null,
-            level: result.listMetadata?.category?.[0] || null,
-            mode: result.listMetadata?.programMode?.[0] || null,
-          },
-          image: result.listMetadata?.image?.[0] || null,
-          description: result.listMetadata?.c?.[0] || null,
-        })
-      ),
-    };
-
-    // Check if we should cache the results
-    if (
-      canUseCache &&
-      formattedResponse &&
-      formattedResponse.programs &&
-      formattedResponse.programs.length > 0
-    ) {
-      try {
-        cacheResult = await setCachedData(
-          "programs",
-          req.query,
-          formattedResponse,
-          requestId
-        );
-
-        commonUtils.logEvent("debug", "cache_set_result", "suggest-programs", {
-          requestId,
-          success: cacheResult,
-          itemCount: formattedResponse.programs.length,
-        });
-      } catch (cacheSetError) {
-        commonUtils.logEvent("error", "cache_set_error", "suggest-programs", {
+    let response = null;
+    let coalesced = false;
+
+    if (canUseCache) {
+      // Coalesce concurrent misses for the same key into a single upstream fetch
+      const result = await fetchWithCoalescing(
+        "programs",
+        params,
+        () => fetchPrograms(params, fetchContext),
+        {
           requestId,
-          error: cacheSetError.message,
-        });
-        cacheResult = false;
-      }
+          shouldCache: (data) => data.programs.length > 0,
+        }
+      );
+      response = result.response || null;
+      formattedResponse = result.data;
+      cacheResult = result.cacheResult;
+      coalesced = result.coalesced;
+
+      commonUtils.logEvent("debug", "cache_set_result", "suggest-programs", {
+        requestId,
+        success: cacheResult,
+        coalesced,
+        itemCount: formattedResponse.programs.length,
+      });
     } else {
+      const result = await fetchPrograms(params, fetchContext);
+      response = result.response;
+      formattedResponse = result.data;
+
       commonUtils.logEvent("debug", "cache_skipped", "suggest-programs", {
         requestId,
         canUseCache,
-        resultCount: formattedResponse?.programs?.length || 0,
+        resultCount: formattedResponse.programs.length,
       });
     }
 
@@ -473,16 +406,22 @@ async function handler(req, res) {
     // Log complete response
     commonUtils.logEvent("info", "request_completed", "suggest-programs", {
       requestId,
-      status: response.status,
+      status: response?.status || 200,
       processingTime: `${processingTime}ms`,
       resultCount: formattedResponse.programs.length || 0,
       query: req.query.query,
       cacheHit: false,
+      coalesced,
     });
 
     // Send response to client with request ID
     res.setHeader("Content-Type", "application/json");
     res.setHeader("X-Request-ID", requestId);
+    res.setHeader(
+      "X-Cache-Status",
+      coalesced ? "coalesced" : canUseCache ? "miss" : "bypass"
+    );
+    funnelbackClient.setUpstreamHeaders(res, response);
     res.send(formattedResponse);
 
     // Record analytics in background
@@ -513,10 +452,45 @@ async function handler(req, res) {
         message: error.message,
         responseStatus: error.response?.status,
         axiosError: error.isAxiosError,
+        reason: error.reason,
+        circuitState: error.circuitState,
       },
     });
 
+    // Serve a stale cached copy rather than failing (stale-if-error)
+    if (canUseCache) {
+      const staleEntry = await getStaleData("programs", params, requestId);
+
+      if (staleEntry) {
+        commonUtils.logEvent("warn", "stale_served_on_error", "suggest-programs", {
+          requestId,
+          query: req.query.query,
+          age: staleEntry.age,
+          reason: error.reason,
+        });
+
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("X-Request-ID", requestId);
+        res.setHeader("X-Cache-Status", "stale");
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.send(staleEntry.data);
+
+        // Record analytics in background
+        recordQueryAnalytics(
+          req,
+          locationData,
+          startTime,
+          staleEntry.data,
+          true,
+          null,
+          requestId
+        );
+        return;
+      }
+    }
+
     // Send error response
+    funnelbackClient.setUpstreamHeaders(res, error);
     res.status(errorInfo.status).json({
       error: "Program search error",
       message: error.message,
@@ -1,12 +1,24 @@
 // api/testAnalytics.js
 const mongoose = require('mongoose');
+const { handleCors } = require('../lib/corsPolicy');
+const { authorizeAdmin } = require('../lib/adminAuth');
 const { recordQuery } = require('../lib/queryAnalytics');
 
 async function handler(req, res) {
   try {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
+      return;
+    }
+
+    // Diagnostics are admin-only
+    const admin = await authorizeAdmin(req, res, {
+      action: 'diagnostics.testAnalytics',
+      role: 'write'
+    });
+    if (!admin) {
+      return;
+    }
     
     // Extract user data from request
     const userIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
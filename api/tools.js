@@ -8,24 +8,26 @@
  * Features:
  * - CORS handling
  * - Tool-specific parameter management
- * - Request path handling
+ * - Request path restricted to an allowlist of Funnelback tool paths
+ * - Parameter validation before any upstream call
  * - Enhanced analytics integration
  * - GeoIP-based location tracking
  * - Session tracking
  * 
  * @author Victor Chimenti
- * @version 4.1.0
+ * @version 4.6.0
  * @namespace toolsHandler
  * @license MIT
- * @lastModified 2025-03-18
+ * @lastModified 2026-10-18
  */
 
-const axios = require('axios');
-
-/** Timeout for Funnelback search requests (ms) */
-const FUNNELBACK_TIMEOUT_MS = 5000;
+const funnelbackClient = require('../lib/funnelbackClient');
+const { handleCors } = require('../lib/corsPolicy');
+const { validateRequest, sendValidationError } = require('../lib/requestValidator');
 const { getLocationData } = require('../lib/geoIpService');
 const { recordQuery } = require('../lib/queryAnalytics');
+const { getAnalyticsBotFields } = require('../lib/botDetection');
+const { getAnalyticsConsentFields } = require('../lib/analyticsConsent');
 const { 
     createStandardAnalyticsData, 
     sanitizeSessionId, 
@@ -60,10 +62,6 @@ async function handler(req, res) {
         vercelIpCity: req.headers['x-vercel-ip-city'],
         finalUserIp: userIp
     });
-    
-    res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
     // Log request details
     console.log('Tools Request:');
@@ -71,37 +69,36 @@ async function handler(req, res) {
     console.log('- Query Parameters:', req.query);
     console.log('- Request Headers:', req.headers);
 
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
+    // Apply the CORS policy; preflight requests are answered here
+    if (handleCors(req, res)) {
         return;
     }
 
+    // Only the allowed tool paths and declared parameters reach Funnelback
+    const validation = validateRequest('tools', req.query);
+    if (!validation.valid) {
+        console.log('Invalid tools request parameters:', validation.violations);
+        return sendValidationError(res, validation, req.headers['x-request-id']);
+    }
+
     try {
-        const funnelbackUrl = 'https://dxp-us-search.funnelback.squiz.cloud/s';
-        const toolPath = req.query.path || '';
+        const toolPath = req.query.path;
         
         console.log('Making Funnelback tools request:');
-        console.log('- Base URL:', funnelbackUrl);
+        console.log('- Base URL:', funnelbackClient.getBaseUrl());
         console.log('- Tool Path:', toolPath);
 
         // Get location data based on the user's IP
         const locationData = await getLocationData(userIp);
         console.log('GeoIP location data:', locationData);
 
-        const funnelbackHeaders = {
-            'Accept': 'text/html',
-            'X-Forwarded-For': userIp,
-            'X-Geo-City': locationData.city,
-            'X-Geo-Region': locationData.region,
-            'X-Geo-Country': locationData.country,
-            'X-Geo-Timezone': locationData.timezone
-        };
-        console.log('- Outgoing Headers to Funnelback:', funnelbackHeaders);
-
-        const response = await axios.get(`${funnelbackUrl}/${toolPath}`, {
-            params: req.query,
-            headers: funnelbackHeaders,
-            timeout: FUNNELBACK_TIMEOUT_MS
+        const response = await funnelbackClient.get(toolPath, {
+            params: validation.params,
+            clientIp: userIp,
+            locationData,
+            accept: 'text/html',
+            type: 'search',
+            handlerName: 'tools'
         });
 
         console.log('Tools response received successfully');
@@ -146,6 +143,8 @@ async function handler(req, res) {
                     isStaffTab: Boolean(req.query['f.Tabs|seattleu~ds-staff']),
                     tabs: [],
                     sessionId: sessionId,
+                    ...getAnalyticsBotFields(req),
+                    ...getAnalyticsConsentFields(req),
                     // Additional tools-specific data
                     toolPath: toolPath,
                     timestamp: new Date(),
@@ -182,6 +181,7 @@ async function handler(req, res) {
             console.error('Analytics error:', analyticsError);
         }
         
+        funnelbackClient.setUpstreamHeaders(res, response);
         res.send(response.data);
     } catch (error) {
         console.error('Error in tools handler:', {
@@ -189,7 +189,8 @@ async function handler(req, res) {
             status: error.response?.status,
             data: error.response?.data
         });
-        res.status(500).send('Tools error: ' + (error.response?.data || error.message));
+        funnelbackClient.setUpstreamHeaders(res, error);
+        res.status(error.status || 500).send('Tools error: ' + (error.response?.data || error.message));
     }
 }
 
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Authentication and Roles for Administrative Endpoints
+ *
+ * Shared guard for every /api/* admin route (diagnostics, cache controls and
+ * migrations). Replaces the per-route checks that used a query-string key with
+ * a hard-coded default, or no check at all.
+ *
+ * Credentials ("Authorization: Bearer <key>" or "X-Admin-Key: <key>"):
+ * - Static keys from ADMIN_API_KEYS ("name:role:secret", comma separated)
+ * - Signed keys ("<keyId>.<role>.<expiresAt>.<signature>") verified with
+ *   ADMIN_KEY_SIGNING_SECRET, so keys can be issued and expired without a
+ *   redeploy; ADMIN_REVOKED_KEY_IDS revokes them early
+ * - Legacy secrets: CACHE_ADMIN_KEY and MIGRATION_AUTH_KEY (write role), and
+ *   CRON_SECRET on routes that Vercel cron invokes
+ *
+ * Roles:
+ * - read: read-only diagnostics and statistics
+ * - write: anything that changes data (cache invalidation, warming, test
+ *   records, migrations); implies read
+ *
+ * Secrets are compared in constant time, and every call is audited
+ * (see lib/auditLog.js).
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace adminAuth
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const crypto = require("crypto");
+const commonUtils = require("./commonUtils");
+const { recordAuditEntry } = require("./auditLog");
+
+/**
+ * Role levels; a principal may call any route at or below its level
+ * @type {Object<string, number>}
+ * @constant
+ */
+const ROLES = {
+  read: 1,
+  write: 2,
+};
+
+/**
+ * Hashes a value so comparisons do not depend on its length
+ *
+ * @param {string} value - The value
+ * @returns {Buffer} SHA-256 digest
+ * @private
+ */
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param {string} provided - The supplied value
+ * @param {string} expected - The expected value
+ * @returns {boolean} Whether they match
+ * @private
+ */
+function safeEqual(provided, expected) {
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Gets the credential supplied with a request
+ *
+ * @param {Object} req - The request object
+ * @returns {string} The supplied credential, or an empty string
+ * @private
+ */
+function getProvidedKey(req) {
+  const authHeader = req.headers?.authorization || "";
+  if (authHeader.startsWith("Bearer ")) {
+    return authHeader.slice(7).trim();
+  }
+  return String(req.headers?.["x-admin-key"] || "");
+}
+
+/**
+ * Reads the static keys configured in the environment
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowCron=false] - Whether CRON_SECRET is accepted
+ * @returns {Array<Object>} Keys ({ name, role, secret, type })
+ * @private
+ */
+function getStaticKeys({ allowCron = false } = {}) {
+  const keys = String(process.env.ADMIN_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...secret] = entry.split(":");
+      return { name, role, secret: secret.join(":"), type: "static" };
+    })
+    .filter((key) => key.name && ROLES[key.role] && key.secret);
+
+  if (process.env.CACHE_ADMIN_KEY) {
+    keys.push({
+      name: "cache-admin",
+      role: "write",
+      secret: process.env.CACHE_ADMIN_KEY,
+      type: "static",
+    });
+  }
+  if (process.env.MIGRATION_AUTH_KEY) {
+    keys.push({
+      name: "migration",
+      role: "write",
+      secret: process.env.MIGRATION_AUTH_KEY,
+      type: "static",
+    });
+  }
+  if (allowCron && process.env.CRON_SECRET) {
+    keys.push({
+      name: "vercel-cron",
+      role: "write",
+      secret: process.env.CRON_SECRET,
+      type: "cron",
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * Computes the signature of a signed key's fields
+ *
+ * @param {string} payload - "<keyId>.<role>.<expiresAt>"
+ * @param {string} secret - ADMIN_KEY_SIGNING_SECRET
+ * @returns {string} base64url HMAC-SHA256
+ * @private
+ */
+function signPayload(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * Issues a signed admin key
+ * Run from a shell with ADMIN_KEY_SIGNING_SECRET set, e.g.
+ * node -e "console.log(require('./lib/adminAuth').signAdminKey({ keyId: 'dashboard', role: 'read', days: 90 }))"
+ *
+ * @param {Object} options - Key options
+ * @param {string} options.keyId - Name recorded in the audit log (letters, digits, - and _)
+ * @param {string} options.role - A key of ROLES
+ * @param {number} [options.days=90] - Days until the key expires
+ * @returns {string} The signed key
+ */
+function signAdminKey({ keyId, role, days = 90 }) {
+  const secret = process.env.ADMIN_KEY_SIGNING_SECRET;
+  if (!secret) throw new Error("ADMIN_KEY_SIGNING_SECRET is not set");
+  if (!/^[A-Za-z0-9_-]+$/.test(keyId || "")) throw new Error("Invalid keyId");
+  if (!ROLES[role]) throw new Error(`Unknown role: ${role}`);
+
+  const expiresAt = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+  const payload = `${keyId}.${role}.${expiresAt}`;
+  return `${payload}.${signPayload(payload, secret)}`;
+}
+
+/**
+ * Verifies a signed admin key
+ *
+ * @param {string} provided - The supplied credential
+ * @returns {Object|null} Principal ({ name, role, type }), or null if not a valid signed key
+ * @private
+ */
+function verifySignedKey(provided) {
+  const secret = process.env.ADMIN_KEY_SIGNING_SECRET;
+  const parts = provided.split(".");
+  if (!secret || parts.length !== 4) return null;
+
+  const [keyId, role, expiresAt, signature] = parts;
+  if (!safeEqual(signature, signPayload(`${keyId}.${role}.${expiresAt}`, secret))) {
+    return null;
+  }
+
+  const revoked = String(process.env.ADMIN_REVOKED_KEY_IDS || "")
+    .split(",")
+    .map((id) => id.trim());
+  if (
+    !ROLES[role] ||
+    revoked.includes(keyId) ||
+    Number(expiresAt) < Math.floor(Date.now() / 1000)
+  ) {
+    return null;
+  }
+
+  return { name: keyId, role, type: "signed" };
+}
+
+/**
+ * Checks whether any admin credential is configured
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowCron=false] - Whether CRON_SECRET counts
+ * @returns {boolean} Whether requests can be authenticated at all
+ */
+function isAdminAuthConfigured(options = {}) {
+  return (
+    getStaticKeys(options).length > 0 ||
+    Boolean(process.env.ADMIN_KEY_SIGNING_SECRET)
+  );
+}
+
+/**
+ * Identifies the principal behind a request
+ * Every static key is compared, so timing does not reveal which one matched.
+ *
+ * @param {Object} req - The request object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowCron=false] - Whether CRON_SECRET is accepted
+ * @returns {Object|null} Principal ({ name, role, type }), or null if unauthenticated
+ */
+function authenticate(req, options = {}) {
+  const provided = getProvidedKey(req);
+  if (!provided) return null;
+
+  const match = getStaticKeys(options).reduce(
+    (found, key) => (safeEqual(provided, key.secret) && !found ? key : found),
+    null
+  );
+  if (match) {
+    return { name: match.name, role: match.role, type: match.type };
+  }
+
+  return verifySignedKey(provided);
+}
+
+/**
+ * Checks whether a principal holds a role
+ *
+ * @param {Object} principal - Principal from authenticate
+ * @param {string} role - Required role
+ * @returns {boolean} Whether the principal's role is at least the required one
+ */
+function hasRole(principal, role) {
+  return Boolean(principal) && (ROLES[principal.role] || 0) >= ROLES[role];
+}
+
+/**
+ * Authorizes an admin request, answering it when it is not allowed
+ * Writes one audit entry per call; calls without valid credentials only reach
+ * the logs, so anonymous probes cannot fill the audit collection.
+ * Unconfigured deployments get 503, missing or invalid credentials 401 and
+ * insufficient roles 403.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Route requirements
+ * @param {string} options.action - Audited action name (e.g. 'cache.invalidate')
+ * @param {string} options.role - Required role (a key of ROLES)
+ * @param {boolean} [options.allowCron=false] - Whether CRON_SECRET is accepted
+ * @param {string} [options.requestId] - Request ID for logs and responses
+ * @param {Object} [options.details] - Extra fields to audit (never secrets)
+ * @returns {Promise<Object|null>} The principal, or null if a response was sent
+ */
+async function authorizeAdmin(req, res, options) {
+  const { action, role, allowCron = false, details } = options;
+  const requestId = options.requestId || commonUtils.getRequestId(req);
+
+  let outcome = "allowed";
+  let status = null;
+  let principal = null;
+
+  if (!isAdminAuthConfigured({ allowCron })) {
+    outcome = "not_configured";
+    status = 503;
+  } else {
+    principal = authenticate(req, { allowCron });
+    if (!principal) {
+      outcome = "unauthenticated";
+      status = 401;
+    } else if (!hasRole(principal, role)) {
+      outcome = "denied";
+      status = 403;
+    }
+  }
+
+  await recordAuditEntry({
+    action,
+    outcome,
+    actor: principal?.name || null,
+    role: principal?.role || null,
+    credentialType: principal?.type || null,
+    requiredRole: role,
+    method: req.method,
+    // Query strings may carry personal identifiers (see api/dataSubject.js)
+    path: req.url?.split("?")[0],
+    status,
+    clientIp: commonUtils.extractClientIp(req),
+    userAgent: req.headers?.["user-agent"],
+    requestId,
+    details,
+  }, { persist: Boolean(principal) });
+
+  if (outcome === "allowed") {
+    return principal;
+  }
+
+  const errors = {
+    not_configured: "Administration is not configured",
+    unauthenticated: "Unauthorized access",
+    denied: "Insufficient role",
+  };
+  res.status(status).json({
+    success: false,
+    error: errors[outcome],
+    requestId,
+  });
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  hasRole,
+  isAdminAuthConfigured,
+  authorizeAdmin,
+  signAdminKey,
+};
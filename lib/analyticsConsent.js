@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Analytics Consent for Funnelback Search Integration
+ *
+ * Decides whether a request may be recorded as an individual analytics record
+ * (session, client, location, clicks) or only counted in the aggregate query
+ * counters. Lets the search pages ship a consent banner: the banner sets the
+ * consent cookie or parameter, and browser privacy signals always win.
+ *
+ * Precedence:
+ * 1. Sec-GPC: 1 (Global Privacy Control) or DNT: 1 - denied
+ * 2. analyticsConsent parameter (query string or JSON body) - granted/denied
+ * 3. analytics_consent cookie - granted/denied
+ * 4. ANALYTICS_CONSENT_DEFAULT - granted unless set to denied
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace analyticsConsent
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+/** Consent configuration */
+const CONSENT_CONFIG = {
+  // 'denied' makes analytics opt-in, for visitors who never answered the banner
+  defaultConsent:
+    process.env.ANALYTICS_CONSENT_DEFAULT === "denied" ? "denied" : "granted",
+  param: "analyticsConsent",
+  cookie: "analytics_consent",
+};
+
+/** Accepted spellings of an explicit choice */
+const CONSENT_VALUES = {
+  granted: "granted",
+  true: "granted",
+  1: "granted",
+  denied: "denied",
+  false: "denied",
+  0: "denied",
+};
+
+/**
+ * Reads a cookie from the Cookie header
+ *
+ * @param {string} header - Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value, or null if absent
+ * @private
+ */
+function readCookie(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join("="));
+      } catch (error) {
+        return value.join("=");
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes an explicit consent value
+ *
+ * @param {*} value - Parameter or cookie value
+ * @returns {string|null} 'granted', 'denied', or null if not a recognised choice
+ * @private
+ */
+function normalizeConsent(value) {
+  if (value === undefined || value === null) return null;
+  return CONSENT_VALUES[String(value).trim().toLowerCase()] || null;
+}
+
+/**
+ * Determines the analytics consent for a request
+ *
+ * @param {Object} req - Node/Express request object
+ * @returns {Object} Consent ({ granted, source }); source is 'gpc', 'dnt',
+ *   'param', 'cookie' or 'default'
+ */
+function getConsentStatus(req) {
+  const headers = req?.headers || {};
+
+  if (String(headers["sec-gpc"]).trim() === "1") {
+    return { granted: false, source: "gpc" };
+  }
+  if (String(headers.dnt).trim() === "1") {
+    return { granted: false, source: "dnt" };
+  }
+
+  const param = normalizeConsent(
+    req?.query?.[CONSENT_CONFIG.param] ?? req?.body?.[CONSENT_CONFIG.param]
+  );
+  if (param) {
+    return { granted: param === "granted", source: "param" };
+  }
+
+  const cookie = normalizeConsent(readCookie(headers.cookie, CONSENT_CONFIG.cookie));
+  if (cookie) {
+    return { granted: cookie === "granted", source: "cookie" };
+  }
+
+  return {
+    granted: CONSENT_CONFIG.defaultConsent === "granted",
+    source: "default",
+  };
+}
+
+/**
+ * Gets the consent fields carried with analytics data to recordQuery/recordClick
+ *
+ * @param {Object} req - Node/Express request object
+ * @returns {Object} Fields ({ analyticsConsent, consentSource })
+ */
+function getAnalyticsConsentFields(req) {
+  const { granted, source } = getConsentStatus(req);
+  return { analyticsConsent: granted, consentSource: source };
+}
+
+/**
+ * Checks whether analytics data may be stored as an individual record
+ * Data without consent fields (e.g. internal test records) counts as consented.
+ *
+ * @param {Object} data - Analytics data
+ * @returns {boolean} False when only aggregate counters may be kept
+ */
+function hasAnalyticsConsent(data) {
+  return data?.analyticsConsent !== false;
+}
+
+module.exports = {
+  CONSENT_CONFIG,
+  getConsentStatus,
+  getAnalyticsConsentFields,
+  hasAnalyticsConsent,
+};
@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Analytics Reports over the Query Collection
+ *
+ * MongoDB aggregation pipelines behind /api/analytics/report. Every report
+ * shares the same filters (date range, handler, collection) and pagination,
+ * so new reports only describe their grouping.
+ *
+ * Reports:
+ * - topQueries: most frequent queries per handler, with zero-result and click counts
+ * - zeroResults: queries that returned nothing, most frequent first
+ * - volume: searches per day or hour
+ * - tabs: searches, zero results and clicks per tab (all, programs, staff)
+ * - cache: cache hit ratio per handler
+ * - responseTime: median, 95th percentile and average response time per handler
+ *
+ * topQueries, zeroResults and daily volume also count the aggregate counters
+ * kept for visitors without analytics consent (see lib/analyticsConsent.js).
+ * Suspected bots are left out unless includeBots is set. Times are UTC.
+ *
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @namespace analyticsReports
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const { Query, QueryCounter, connectToMongoDB } = require("./queryAnalytics");
+
+/** Report defaults and limits */
+const REPORT_LIMITS = {
+  defaultDays: 7,
+  maxDays: 366,
+  defaultPageSize: 50,
+  maxPageSize: 200,
+};
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date filter
+ *
+ * @param {string} value - ISO date or date-time
+ * @returns {Date|null} The date, or null if invalid
+ * @private
+ */
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses and validates report filters from the query string
+ *
+ * @param {Object} source - Query parameters
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.defaultDays] - Range used when from is not given
+ * @returns {Object} Filters ({ from, to, handler, collection, includeBots,
+ *   interval, page, pageSize }) or { error }
+ */
+function parseReportFilters(source = {}, options = {}) {
+  const defaultDays = options.defaultDays || REPORT_LIMITS.defaultDays;
+  const to = source.to ? parseDate(source.to) : new Date();
+  if (!to) return { error: "to must be an ISO date" };
+
+  const from = source.from
+    ? parseDate(source.from)
+    : new Date(to.getTime() - defaultDays * ONE_DAY_MS);
+  if (!from) return { error: "from must be an ISO date" };
+  if (from >= to) return { error: "from must be before to" };
+  if (to - from > REPORT_LIMITS.maxDays * ONE_DAY_MS) {
+    return { error: `The date range may span at most ${REPORT_LIMITS.maxDays} days` };
+  }
+
+  if (source.handler && !/^[A-Za-z-]{1,40}$/.test(source.handler)) {
+    return { error: "handler must contain letters and hyphens only" };
+  }
+  if (source.collection && !/^[\w~.-]{1,100}$/.test(source.collection)) {
+    return { error: "collection is not a valid collection name" };
+  }
+
+  const interval = source.interval || "day";
+  if (interval !== "day" && interval !== "hour") {
+    return { error: "interval must be day or hour" };
+  }
+
+  const page = parseInt(source.page, 10) || 1;
+  const pageSize = parseInt(source.pageSize, 10) || REPORT_LIMITS.defaultPageSize;
+  if (page < 1) return { error: "page must be 1 or more" };
+  if (pageSize < 1 || pageSize > REPORT_LIMITS.maxPageSize) {
+    return { error: `pageSize must be from 1 to ${REPORT_LIMITS.maxPageSize}` };
+  }
+
+  return {
+    from,
+    to,
+    handler: source.handler || null,
+    collection: source.collection || null,
+    includeBots: source.includeBots === "true",
+    interval,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Builds the $match stage for Query records
+ *
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Object} MongoDB filter
+ */
+function buildQueryMatch(filters) {
+  const match = { timestamp: { $gte: filters.from, $lt: filters.to } };
+  if (filters.handler) match.handler = filters.handler;
+  if (filters.collection) match.searchCollection = filters.collection;
+  if (!filters.includeBots) match.isSuspectedBot = { $ne: true };
+  return match;
+}
+
+/**
+ * Builds the $match stage for the aggregate counters (whole UTC days)
+ *
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Object} MongoDB filter
+ * @private
+ */
+function buildCounterMatch(filters) {
+  const match = {
+    day: {
+      $gte: filters.from.toISOString().slice(0, 10),
+      $lte: new Date(filters.to.getTime() - 1).toISOString().slice(0, 10),
+    },
+  };
+  if (filters.handler) match.handler = filters.handler;
+  if (filters.collection) match.searchCollection = filters.collection;
+  return match;
+}
+
+/**
+ * Stage that appends the aggregate counters in the shape of projected queries
+ * ({ handler, query, searches, zeroResults, clicks, period })
+ *
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Object} $unionWith stage
+ */
+function unionCounters(filters) {
+  return {
+    $unionWith: {
+      coll: QueryCounter.collection.name,
+      pipeline: [
+        { $match: buildCounterMatch(filters) },
+        {
+          $project: {
+            _id: 0,
+            handler: 1,
+            query: 1,
+            searches: "$searches",
+            zeroResults: "$zeroResults",
+            clicks: "$clicks",
+            period: "$day",
+            timestamp: { $dateFromString: { dateString: "$day" } },
+          },
+        },
+      ],
+    },
+  };
+}
+
+/** Projects one Query record into countable fields */
+const PROJECT_QUERY = {
+  $project: {
+    _id: 0,
+    handler: 1,
+    query: { $toLower: { $trim: { input: "$query" } } },
+    searches: { $literal: 1 },
+    zeroResults: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] },
+    clicks: { $size: { $ifNull: ["$clickedResults", []] } },
+    timestamp: 1,
+  },
+};
+
+/** Queries that carry no text */
+const EMPTY_QUERIES = ["", "[empty query]"];
+
+/**
+ * Report definitions
+ * Each builds the pipeline stages between the base $match and pagination,
+ * and names its sort order.
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const REPORTS = {
+  topQueries: {
+    description: "Most frequent queries per handler",
+    build: (filters) => [
+      PROJECT_QUERY,
+      unionCounters(filters),
+      { $match: { query: { $nin: EMPTY_QUERIES } } },
+      {
+        $group: {
+          _id: { handler: "$handler", query: "$query" },
+          searches: { $sum: "$searches" },
+          zeroResults: { $sum: "$zeroResults" },
+          clicks: { $sum: "$clicks" },
+        },
+      },
+      { $match: { searches: { $gt: 0 } } },
+      {
+        $project: {
+          _id: 0,
+          handler: "$_id.handler",
+          query: "$_id.query",
+          searches: 1,
+          zeroResults: 1,
+          clicks: 1,
+        },
+      },
+    ],
+    sort: { searches: -1, query: 1 },
+  },
+
+  zeroResults: {
+    description: "Queries that returned no results",
+    build: (filters) => [
+      PROJECT_QUERY,
+      unionCounters(filters),
+      { $match: { query: { $nin: EMPTY_QUERIES }, zeroResults: { $gt: 0 } } },
+      {
+        $group: {
+          _id: { handler: "$handler", query: "$query" },
+          zeroResults: { $sum: "$zeroResults" },
+          lastSeen: { $max: "$timestamp" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          handler: "$_id.handler",
+          query: "$_id.query",
+          zeroResults: 1,
+          lastSeen: 1,
+        },
+      },
+    ],
+    sort: { zeroResults: -1, query: 1 },
+  },
+
+  volume: {
+    description: "Searches per day or hour",
+    build: (filters) => {
+      const format = filters.interval === "hour" ? "%Y-%m-%dT%H:00Z" : "%Y-%m-%d";
+      const stages = [
+        PROJECT_QUERY,
+        {
+          $addFields: {
+            period: { $dateToString: { format, date: "$timestamp" } },
+          },
+        },
+      ];
+      // Counters are daily, so hourly volume covers consented traffic only
+      if (filters.interval === "day") stages.push(unionCounters(filters));
+      stages.push(
+        {
+          $group: {
+            _id: "$period",
+            searches: { $sum: "$searches" },
+            zeroResults: { $sum: "$zeroResults" },
+            clicks: { $sum: "$clicks" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            period: "$_id",
+            searches: 1,
+            zeroResults: 1,
+            clicks: 1,
+          },
+        }
+      );
+      return stages;
+    },
+    sort: { period: 1 },
+  },
+
+  tabs: {
+    description: "Searches, zero results and clicks per tab",
+    build: () => [
+      {
+        $group: {
+          _id: {
+            handler: "$handler",
+            tab: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$isProgramTab", true] }, then: "programs" },
+                  { case: { $eq: ["$isStaffTab", true] }, then: "staff" },
+                ],
+                default: "all",
+              },
+            },
+          },
+          searches: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+          clicks: { $sum: { $size: { $ifNull: ["$clickedResults", []] } } },
+          searchesWithClicks: {
+            $sum: {
+              $cond: [{ $gt: [{ $size: { $ifNull: ["$clickedResults", []] } }, 0] }, 1, 0],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          handler: "$_id.handler",
+          tab: "$_id.tab",
+          searches: 1,
+          zeroResults: 1,
+          clicks: 1,
+          clickThroughRate: {
+            $round: [{ $divide: ["$searchesWithClicks", "$searches"] }, 4],
+          },
+        },
+      },
+    ],
+    sort: { handler: 1, tab: 1 },
+  },
+
+  cache: {
+    description: "Cache hit ratio per handler",
+    build: () => [
+      { $match: { cacheHit: { $in: [true, false] } } },
+      {
+        $group: {
+          _id: "$handler",
+          hits: { $sum: { $cond: ["$cacheHit", 1, 0] } },
+          misses: { $sum: { $cond: ["$cacheHit", 0, 1] } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          handler: "$_id",
+          hits: 1,
+          misses: 1,
+          hitRatio: {
+            $round: [{ $divide: ["$hits", { $add: ["$hits", "$misses"] }] }, 4],
+          },
+        },
+      },
+    ],
+    sort: { handler: 1 },
+  },
+
+  responseTime: {
+    description: "Median, 95th percentile and average response time per handler (ms)",
+    build: () => [
+      { $match: { responseTime: { $gt: 0 } } },
+      {
+        $group: {
+          _id: "$handler",
+          requests: { $sum: 1 },
+          average: { $avg: "$responseTime" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          handler: "$_id",
+          requests: 1,
+          average: { $round: ["$average", 1] },
+        },
+      },
+    ],
+    sort: { handler: 1 },
+    // Percentiles are looked up per row, without $median (MongoDB 7+ only)
+    enrich: async (rows, match) =>
+      Promise.all(
+        rows.map(async (row) => {
+          const handlerMatch = { ...match, handler: row.handler, responseTime: { $gt: 0 } };
+          const [median, p95] = await Promise.all([
+            getPercentile(handlerMatch, row.requests, 0.5),
+            getPercentile(handlerMatch, row.requests, 0.95),
+          ]);
+          return { ...row, median, p95 };
+        })
+      ),
+  },
+};
+
+/**
+ * Reads a response time percentile by skipping into the sorted records
+ *
+ * @param {Object} match - Filter for the records
+ * @param {number} count - Number of matching records
+ * @param {number} fraction - Percentile as a fraction (0.5 for the median)
+ * @returns {Promise<number|null>} Response time in ms, or null without records
+ */
+async function getPercentile(match, count, fraction) {
+  if (!count) return null;
+  const [record] = await Query.find(match, { responseTime: 1 })
+    .sort({ responseTime: 1 })
+    .skip(Math.min(count - 1, Math.floor((count - 1) * fraction)))
+    .limit(1)
+    .lean();
+  return record ? record.responseTime : null;
+}
+
+/**
+ * Runs a report
+ *
+ * @param {string} type - A key of REPORTS
+ * @param {Object} filters - Result of parseReportFilters
+ * @returns {Promise<Object>} Report ({ rows, pagination })
+ */
+async function runReport(type, filters) {
+  const report = REPORTS[type];
+  if (!report) throw new Error(`Unknown report: ${type}`);
+
+  await connectToMongoDB();
+
+  const match = buildQueryMatch(filters);
+  const skip = (filters.page - 1) * filters.pageSize;
+  const [result] = await Query.aggregate([
+    { $match: match },
+    ...report.build(filters),
+    {
+      $facet: {
+        rows: [{ $sort: report.sort }, { $skip: skip }, { $limit: filters.pageSize }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const total = result?.total[0]?.count || 0;
+  let rows = result?.rows || [];
+  if (report.enrich) rows = await report.enrich(rows, match);
+
+  return {
+    rows,
+    pagination: {
+      page: filters.page,
+      pageSize: filters.pageSize,
+      total,
+      totalPages: Math.ceil(total / filters.pageSize),
+    },
+  };
+}
+
+module.exports = {
+  REPORTS,
+  REPORT_LIMITS,
+  EMPTY_QUERIES,
+  PROJECT_QUERY,
+  parseReportFilters,
+  buildQueryMatch,
+  unionCounters,
+  getPercentile,
+  runReport,
+};
@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Daily and Weekly Analytics Rollups
+ *
+ * Aggregates raw Query records (and the aggregate counters kept for visitors
+ * without consent) into summary collections that are kept indefinitely, so
+ * trends survive the 30-60 day expiry of raw records and long-range reports
+ * do not scan the raw collection.
+ *
+ * Features:
+ * - Daily (UTC) and ISO-week summaries in the dailyrollups and weeklyrollups collections
+ * - Dimensions: query, handler, tab and country, each per handler
+ * - Searches, zero results, clicks and CTR; response time average, median and
+ *   95th percentile and cache hit ratio per handler
+ * - No IPs, sessions or other per-visitor fields are stored
+ * - Idempotent: a re-run replaces the summaries of the same period, and rows
+ *   the re-run no longer produces are removed for the handlers it found data for
+ * - Completed periods whose raw records may have started to expire are never
+ *   rewritten, so backfills cannot replace full summaries with partial ones
+ *
+ * searches includes the counted searches of visitors without consent;
+ * recordedSearches, CTR, tabs, countries, response times and cache stats come
+ * from stored records only. Suspected bots are left out.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace analyticsRollups
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const commonUtils = require("./commonUtils");
+const { Query, MIN_RETENTION_DAYS, connectToMongoDB } = require("./queryAnalytics");
+const {
+  EMPTY_QUERIES,
+  unionCounters,
+  getPercentile,
+} = require("./analyticsReports");
+
+/** Rollup settings */
+const ROLLUP_CONFIG = {
+  // Queries kept per handler and period, most searched first
+  maxQueriesPerHandler: parseInt(process.env.ROLLUP_MAX_QUERIES_PER_HANDLER, 10) || 1000,
+  // Days back a rollup may reach; suggest records expire after 30 days
+  // (search and click records after 60), so only days still fully kept count
+  maxBackfillDays: MIN_RETENTION_DAYS - 1,
+  maxDurationMs: parseInt(process.env.ROLLUP_MAX_DURATION_MS, 10) || 50000,
+  writeBatchSize: 1000,
+};
+
+/** Dimensions each period is summarized by */
+const DIMENSIONS = ["query", "handler", "tab", "country"];
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const RollupSchema = new Schema({
+  periodKey: { type: String, required: true }, // '2026-10-17' or '2026-W42'
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  complete: { type: Boolean }, // False while the period is still running
+  dimension: { type: String, required: true }, // 'query', 'handler', 'tab' or 'country'
+  handler: { type: String, required: true },
+  key: { type: String, default: "" }, // Query text, tab or country; '' for handler rows
+  searches: { type: Number, default: 0 },
+  recordedSearches: { type: Number, default: 0 },
+  zeroResults: { type: Number, default: 0 },
+  clicks: { type: Number, default: 0 },
+  searchesWithClicks: { type: Number, default: 0 },
+  ctr: { type: Number },
+  responseTime: {
+    count: { type: Number },
+    average: { type: Number },
+    median: { type: Number },
+    p95: { type: Number },
+  },
+  cache: {
+    hits: { type: Number },
+    misses: { type: Number },
+    hitRatio: { type: Number },
+  },
+  generatedAt: { type: Date, required: true },
+});
+
+RollupSchema.index(
+  { periodKey: 1, dimension: 1, handler: 1, key: 1 },
+  { unique: true }
+);
+RollupSchema.index({ dimension: 1, periodStart: 1 });
+
+let DailyRollup;
+let WeeklyRollup;
+try {
+  DailyRollup = mongoose.model("DailyRollup");
+  WeeklyRollup = mongoose.model("WeeklyRollup");
+} catch (error) {
+  DailyRollup = mongoose.model("DailyRollup", RollupSchema, "dailyrollups");
+  WeeklyRollup = mongoose.model("WeeklyRollup", RollupSchema, "weeklyrollups");
+}
+
+/** Rollup models by period type */
+const ROLLUP_MODELS = { day: DailyRollup, week: WeeklyRollup };
+
+/**
+ * Gets the UTC day containing a date
+ *
+ * @param {Date} date - Any time within the day
+ * @returns {Object} Period ({ type, key, start, end })
+ */
+function getDayPeriod(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return {
+    type: "day",
+    key: start.toISOString().slice(0, 10),
+    start,
+    end: new Date(start.getTime() + ONE_DAY_MS),
+  };
+}
+
+/**
+ * Gets the ISO week (Monday to Sunday, UTC) containing a date
+ *
+ * @param {Date} date - Any time within the week
+ * @returns {Object} Period ({ type, key, start, end })
+ */
+function getWeekPeriod(date) {
+  const day = getDayPeriod(date).start;
+  const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * ONE_DAY_MS);
+
+  // The ISO year is the year of the week's Thursday
+  const thursday = new Date(start.getTime() + 3 * ONE_DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday - yearStart) / ONE_DAY_MS / 7) + 1;
+
+  return {
+    type: "week",
+    key: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`,
+    start,
+    end: new Date(start.getTime() + 7 * ONE_DAY_MS),
+  };
+}
+
+/** Projects one Query record into summable fields */
+const PROJECT_RECORD = {
+  $project: {
+    _id: 0,
+    handler: 1,
+    query: { $toLower: { $trim: { input: "$query" } } },
+    country: { $ifNull: ["$country", "unknown"] },
+    tab: {
+      $switch: {
+        branches: [
+          { case: { $eq: ["$isProgramTab", true] }, then: "programs" },
+          { case: { $eq: ["$isStaffTab", true] }, then: "staff" },
+        ],
+        default: "all",
+      },
+    },
+    // Click-only records carry clicks for a search that was not stored
+    searches: { $cond: [{ $eq: ["$handler", "click-only"] }, 0, 1] },
+    recordedSearches: { $cond: [{ $eq: ["$handler", "click-only"] }, 0, 1] },
+    zeroResults: {
+      $cond: [
+        { $and: [{ $ne: ["$handler", "click-only"] }, { $eq: ["$resultCount", 0] }] },
+        1,
+        0,
+      ],
+    },
+    clicks: { $size: { $ifNull: ["$clickedResults", []] } },
+    searchesWithClicks: {
+      $cond: [
+        {
+          $and: [
+            { $ne: ["$handler", "click-only"] },
+            { $gt: [{ $size: { $ifNull: ["$clickedResults", []] } }, 0] },
+          ],
+        },
+        1,
+        0,
+      ],
+    },
+    cacheHit: 1,
+    responseTime: 1,
+  },
+};
+
+/** $group sums shared by every dimension */
+const SUMS = {
+  searches: { $sum: "$searches" },
+  recordedSearches: { $sum: "$recordedSearches" },
+  zeroResults: { $sum: "$zeroResults" },
+  clicks: { $sum: "$clicks" },
+  searchesWithClicks: { $sum: "$searchesWithClicks" },
+};
+
+/** $project fields turning sums into summary fields */
+const SUMMARY_FIELDS = {
+  _id: 0,
+  handler: "$_id.handler",
+  searches: 1,
+  recordedSearches: 1,
+  zeroResults: 1,
+  clicks: 1,
+  searchesWithClicks: 1,
+  ctr: {
+    $cond: [
+      { $gt: ["$recordedSearches", 0] },
+      { $round: [{ $divide: ["$searchesWithClicks", "$recordedSearches"] }, 4] },
+      null,
+    ],
+  },
+};
+
+/**
+ * Builds the $match stage for a period's records
+ *
+ * @param {Object} period - Period from getDayPeriod or getWeekPeriod
+ * @returns {Object} MongoDB filter
+ * @private
+ */
+function buildPeriodMatch(period) {
+  return {
+    timestamp: { $gte: period.start, $lt: period.end },
+    isSuspectedBot: { $ne: true },
+  };
+}
+
+/**
+ * Summarizes a period by one dimension
+ *
+ * @param {Object} period - Period from getDayPeriod or getWeekPeriod
+ * @param {string} dimension - One of DIMENSIONS
+ * @returns {Promise<Array<Object>>} Rows ({ handler, key, ...summary fields })
+ * @private
+ */
+async function summarize(period, dimension) {
+  const match = buildPeriodMatch(period);
+  const stages = [{ $match: match }, PROJECT_RECORD];
+  const counters = unionCounters({ from: period.start, to: period.end });
+
+  if (dimension === "query") {
+    stages.push(
+      counters,
+      { $match: { query: { $nin: EMPTY_QUERIES } } },
+      { $group: { _id: { handler: "$handler", key: "$query" }, ...SUMS } },
+      { $project: { ...SUMMARY_FIELDS, key: "$_id.key" } },
+      { $sort: { searches: -1, clicks: -1, key: 1 } },
+      { $group: { _id: "$handler", rows: { $push: "$$ROOT" } } },
+      { $project: { rows: { $slice: ["$rows", ROLLUP_CONFIG.maxQueriesPerHandler] } } },
+      { $unwind: "$rows" },
+      { $replaceRoot: { newRoot: "$rows" } }
+    );
+  } else if (dimension === "handler") {
+    stages.push(
+      counters,
+      {
+        $group: {
+          _id: { handler: "$handler" },
+          ...SUMS,
+          responseTimeCount: { $sum: { $cond: [{ $gt: ["$responseTime", 0] }, 1, 0] } },
+          responseTimeAverage: {
+            $avg: { $cond: [{ $gt: ["$responseTime", 0] }, "$responseTime", null] },
+          },
+          cacheHits: { $sum: { $cond: [{ $eq: ["$cacheHit", true] }, 1, 0] } },
+          cacheMisses: { $sum: { $cond: [{ $eq: ["$cacheHit", false] }, 1, 0] } },
+        },
+      },
+      {
+        $project: {
+          ...SUMMARY_FIELDS,
+          key: "",
+          responseTimeCount: 1,
+          responseTimeAverage: { $round: ["$responseTimeAverage", 1] },
+          cacheHits: 1,
+          cacheMisses: 1,
+        },
+      }
+    );
+  } else {
+    const field = dimension === "tab" ? "$tab" : "$country";
+    stages.push(
+      { $match: { handler: { $ne: "click-only" } } },
+      { $group: { _id: { handler: "$handler", key: field }, ...SUMS } },
+      { $project: { ...SUMMARY_FIELDS, key: "$_id.key" } }
+    );
+  }
+
+  const rows = await Query.aggregate(stages).allowDiskUse(true);
+  if (dimension !== "handler") return rows;
+
+  // Percentiles are looked up per handler, as in the responseTime report
+  return Promise.all(
+    rows.map(async ({ responseTimeCount, responseTimeAverage, cacheHits, cacheMisses, ...row }) => {
+      const timedMatch = { ...match, handler: row.handler, responseTime: { $gt: 0 } };
+      const [median, p95] = await Promise.all([
+        getPercentile(timedMatch, responseTimeCount, 0.5),
+        getPercentile(timedMatch, responseTimeCount, 0.95),
+      ]);
+      const cacheTotal = cacheHits + cacheMisses;
+      return {
+        ...row,
+        responseTime: {
+          count: responseTimeCount,
+          average: responseTimeAverage,
+          median,
+          p95,
+        },
+        cache: {
+          hits: cacheHits,
+          misses: cacheMisses,
+          hitRatio: cacheTotal ? Math.round((cacheHits / cacheTotal) * 10000) / 10000 : null,
+        },
+      };
+    })
+  );
+}
+
+/**
+ * Rolls up one period into its summary collection
+ * Rows are upserted by (period, dimension, handler, key); rows of the same
+ * period and a handler this run found data for, but not written by it, are
+ * removed afterwards, so re-runs converge. A completed period that starts
+ * before the shortest raw retention is left as it is.
+ *
+ * @param {Object} period - Period from getDayPeriod or getWeekPeriod
+ * @param {string} [requestId] - Request ID for tracking
+ * @returns {Promise<Object>} Result ({ period, key, rows, removed, complete }),
+ *   or ({ period, key, skipped }) when the period is kept as it is
+ */
+async function rollupPeriod(period, requestId = "analytics-rollup") {
+  const startTime = Date.now();
+  const Model = ROLLUP_MODELS[period.type];
+  const generatedAt = new Date();
+  const complete = period.end <= generatedAt;
+  const rawCutoff = new Date(generatedAt.getTime() - MIN_RETENTION_DAYS * ONE_DAY_MS);
+
+  await connectToMongoDB();
+
+  if (period.start < rawCutoff && await Model.exists({ periodKey: period.key, complete: true })) {
+    commonUtils.logEvent("warn", "period_rollup_skipped", "analytics-rollup", {
+      requestId,
+      period: period.type,
+      key: period.key,
+      reason: "raw_records_expired",
+    });
+    return { period: period.type, key: period.key, skipped: "raw_records_expired" };
+  }
+
+  let written = 0;
+  const handlers = new Set();
+  for (const dimension of DIMENSIONS) {
+    const rows = await summarize(period, dimension);
+    rows.forEach((row) => handlers.add(row.handler));
+    const operations = rows.map((row) => {
+      const filter = {
+        periodKey: period.key,
+        dimension,
+        handler: row.handler,
+        key: String(row.key ?? ""),
+      };
+      return {
+        updateOne: {
+          filter,
+          update: {
+            $set: {
+              ...row,
+              ...filter,
+              periodStart: period.start,
+              periodEnd: period.end,
+              complete,
+              generatedAt,
+            },
+          },
+          upsert: true,
+        },
+      };
+    });
+
+    for (let index = 0; index < operations.length; index += ROLLUP_CONFIG.writeBatchSize) {
+      await Model.bulkWrite(
+        operations.slice(index, index + ROLLUP_CONFIG.writeBatchSize),
+        { ordered: false }
+      );
+    }
+    written += operations.length;
+  }
+
+  // A handler with no rows may only have had its raw records expire
+  const { deletedCount } = await Model.deleteMany({
+    periodKey: period.key,
+    handler: { $in: [...handlers] },
+    generatedAt: { $lt: generatedAt },
+  });
+
+  commonUtils.logEvent("info", "period_rolled_up", "analytics-rollup", {
+    requestId,
+    period: period.type,
+    key: period.key,
+    rows: written,
+    removed: deletedCount,
+    complete,
+    duration: `${Date.now() - startTime}ms`,
+  });
+
+  return { period: period.type, key: period.key, rows: written, removed: deletedCount, complete };
+}
+
+/**
+ * Rolls up a range of completed days and the ISO weeks they fall in
+ *
+ * @param {Date} firstDay - First day to roll up
+ * @param {Date} lastDay - Last day to roll up (before today, UTC)
+ * @param {Object} [options] - Run options
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @returns {Promise<Object>} Report ({ success, periods, truncated, duration })
+ */
+async function runRollups(firstDay, lastDay, options = {}) {
+  const startTime = Date.now();
+  const requestId = options.requestId || "analytics-rollup";
+
+  const days = [];
+  for (
+    let day = getDayPeriod(firstDay);
+    day.start <= lastDay;
+    day = getDayPeriod(day.end)
+  ) {
+    days.push(day);
+  }
+  const weeks = new Map(days.map((day) => {
+    const week = getWeekPeriod(day.start);
+    return [week.key, week];
+  }));
+
+  const report = { success: true, periods: [], truncated: false };
+  for (const period of [...days, ...weeks.values()]) {
+    if (Date.now() - startTime > ROLLUP_CONFIG.maxDurationMs) {
+      report.truncated = true;
+      break;
+    }
+    try {
+      report.periods.push(await rollupPeriod(period, requestId));
+    } catch (error) {
+      commonUtils.logEvent("error", "rollup_failed", "analytics-rollup", {
+        requestId,
+        period: period.type,
+        key: period.key,
+        error: error.message,
+      });
+      report.success = false;
+      report.periods.push({ period: period.type, key: period.key, error: error.message });
+    }
+  }
+
+  report.duration = `${Date.now() - startTime}ms`;
+  return report;
+}
+
+/**
+ * Reads stored summaries
+ *
+ * @param {Object} query - Read options
+ * @param {string} query.period - 'day' or 'week'
+ * @param {string} query.dimension - One of DIMENSIONS
+ * @param {Date} query.from - Earliest period start
+ * @param {Date} query.to - Periods starting before this are included
+ * @param {string} [query.handler] - Handler filter
+ * @param {string} [query.key] - Query text (lowercase), tab or country filter
+ * @param {number} query.page - Page number
+ * @param {number} query.pageSize - Rows per page
+ * @returns {Promise<Object>} Summaries ({ rows, pagination })
+ */
+async function getRollups({ period, dimension, from, to, handler, key, page, pageSize }) {
+  await connectToMongoDB();
+
+  const filter = { dimension, periodStart: { $gte: from, $lt: to } };
+  if (handler) filter.handler = handler;
+  if (key) filter.key = key;
+
+  const Model = ROLLUP_MODELS[period];
+  const [rows, total] = await Promise.all([
+    Model.find(filter, { _id: 0, __v: 0 })
+      .sort({ periodStart: 1, searches: -1, key: 1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Model.countDocuments(filter),
+  ]);
+
+  return {
+    rows,
+    pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+  };
+}
+
+module.exports = {
+  DailyRollup,
+  WeeklyRollup,
+  ROLLUP_CONFIG,
+  DIMENSIONS,
+  getDayPeriod,
+  getWeekPeriod,
+  rollupPeriod,
+  runRollups,
+  getRollups,
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Audit Log for Administrative Operations
+ *
+ * Records who called an administrative endpoint, with which role, and what
+ * happened, so access to diagnostics, cache controls and migrations can be
+ * reviewed after the fact.
+ *
+ * Features:
+ * - One entry per admin call: actor, role, action, outcome and client
+ * - Client IP and user agent reduced by the analytics privacy policy
+ *   (lib/schemaHandler.js) before they are logged or stored
+ * - Always written to the structured Vercel logs
+ * - Persisted to the adminaudits MongoDB collection when MONGODB_URI is set,
+ *   with a one-year TTL; callers may keep an entry to the logs, so anonymous
+ *   traffic cannot drive database writes
+ * - Never throws: auditing failures are logged, not surfaced to callers
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace auditLog
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const {
+  PRIVACY_POLICY,
+  protectClientIp,
+  getUserAgentFamily,
+} = require("./schemaHandler");
+
+/** How long audit entries are kept (in seconds) */
+const AUDIT_TTL = 60 * 60 * 24 * 365;
+
+/** Longest time an audit write may hold up the request (in ms) */
+const AUDIT_WRITE_TIMEOUT = 2000;
+
+const AuditEntrySchema = new Schema({
+  action: { type: String, required: true }, // e.g. 'cache.invalidate'
+  // 'allowed', 'denied', 'unauthenticated', 'not_configured'; operations that
+  // must be provable afterwards (data subject requests) add 'completed' or 'failed'
+  outcome: { type: String, required: true },
+  actor: { type: String }, // Key name, or null when unauthenticated
+  role: { type: String },
+  requiredRole: { type: String },
+  credentialType: { type: String }, // 'static', 'signed' or 'cron'
+  method: { type: String },
+  path: { type: String },
+  status: { type: Number },
+  clientIp: { type: String },
+  userAgent: { type: String },
+  requestId: { type: String },
+  details: { type: Schema.Types.Mixed },
+  timestamp: { type: Date, default: Date.now },
+  expiresAt: { type: Date },
+});
+
+AuditEntrySchema.index({ timestamp: -1 });
+AuditEntrySchema.index({ actor: 1, timestamp: -1 });
+AuditEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+let AuditEntry;
+try {
+  AuditEntry = mongoose.model("AuditEntry");
+} catch (error) {
+  AuditEntry = mongoose.model("AuditEntry", AuditEntrySchema, "adminaudits");
+}
+
+/**
+ * Records an audit entry
+ *
+ * @param {Object} entry - Audit entry fields (see AuditEntrySchema)
+ * @param {Object} [options] - Recording options
+ * @param {boolean} [options.persist=true] - Whether to store the entry in
+ *   MongoDB as well as the logs
+ * @returns {Promise<Object|null>} The saved entry, or null if it was only logged
+ */
+async function recordAuditEntry(entry, options = {}) {
+  const { persist = true } = options;
+  const protectedEntry = {
+    ...entry,
+    clientIp: protectClientIp(entry.clientIp),
+    userAgent:
+      PRIVACY_POLICY.userAgentMode !== "full" && entry.userAgent
+        ? getUserAgentFamily(entry.userAgent)
+        : entry.userAgent,
+  };
+
+  console.log(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      service: "audit-log",
+      event: "admin_audit",
+      ...protectedEntry,
+    })
+  );
+
+  if (!persist || !process.env.MONGODB_URI) {
+    return null;
+  }
+
+  try {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI);
+    }
+
+    const record = new AuditEntry({
+      ...protectedEntry,
+      expiresAt: new Date(Date.now() + AUDIT_TTL * 1000),
+    });
+
+    return await Promise.race([
+      record.save(),
+      new Promise((_, reject) =>
+        setTimeout(
+          () => reject(new Error("Audit write timed out")),
+          AUDIT_WRITE_TIMEOUT
+        )
+      ),
+    ]);
+  } catch (error) {
+    console.error(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: "audit-log",
+        event: "audit_write_failed",
+        action: entry.action,
+        requestId: entry.requestId,
+        error: error.message,
+      })
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  AuditEntry,
+  recordAuditEntry,
+};
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Signed Analytics Beacons for Funnelback Search Integration
+ *
+ * The analytics endpoints (click, clicks-batch, supplement) are called from
+ * the browser, so without a signature anyone can post fabricated clicks or
+ * queries. The search and suggest handlers sign each response with a short
+ * lived token, and the analytics endpoints only trust beacons that carry a
+ * valid token for the same session and query.
+ *
+ * Features:
+ * - HMAC-SHA256 tokens bound to session ID, query and the issuing request ID
+ * - Issued in the X-Analytics-Token response header
+ * - Secret rotation: tokens signed with the previous secret still verify
+ * - Replay detection in Redis (SET NX) per token and beacon
+ * - Modes: enforce (reject), quarantine (store aside) or off
+ *
+ * Token format: base64url(JSON claims) + "." + base64url(HMAC of the first part)
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace beaconSigner
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const crypto = require("crypto");
+const { getRedisClient } = require("./redisClient");
+
+/** Beacon signing configuration */
+const BEACON_CONFIG = {
+  secret: process.env.ANALYTICS_BEACON_SECRET || "",
+  // Accepted for verification only, so the secret can be rotated without dropping beacons
+  previousSecret: process.env.ANALYTICS_BEACON_SECRET_PREVIOUS || "",
+  // enforce: reject; quarantine: accept but store aside; off: no checks
+  mode: process.env.ANALYTICS_BEACON_MODE || "quarantine",
+  ttlSeconds: parseInt(process.env.ANALYTICS_BEACON_TTL, 10) || 1800,
+  header: "X-Analytics-Token",
+  replayPrefix: "beacon:seen",
+  redisTimeoutMs: 300,
+};
+
+/** Token claims format version */
+const TOKEN_VERSION = 1;
+
+/**
+ * Writes a structured log line
+ *
+ * @param {string} level - Log level
+ * @param {string} event - Event name
+ * @param {Object} data - Additional data
+ * @private
+ */
+function logEvent(level, event, data = {}) {
+  console.log(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      service: "beacon-signer",
+      event,
+      ...data,
+    })
+  );
+}
+
+/**
+ * Checks whether beacons are signed and verified
+ *
+ * @returns {boolean} True when a secret is configured and the mode is not 'off'
+ */
+function isBeaconSigningEnabled() {
+  return Boolean(BEACON_CONFIG.secret) && BEACON_CONFIG.mode !== "off";
+}
+
+/**
+ * Hashes a query the way recordClick matches it (case-insensitive, trimmed)
+ *
+ * @param {string} query - The query text
+ * @returns {string} Short base64url hash
+ * @private
+ */
+function hashQuery(query) {
+  const normalized = String(query || "")
+    .normalize("NFC")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+  return crypto
+    .createHash("sha256")
+    .update(normalized)
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+/**
+ * Computes the signature of an encoded claims string
+ *
+ * @param {string} encodedClaims - base64url claims
+ * @param {string} secret - Signing secret
+ * @returns {Buffer} HMAC digest
+ * @private
+ */
+function sign(encodedClaims, secret) {
+  return crypto.createHmac("sha256", secret).update(encodedClaims).digest();
+}
+
+/**
+ * Signs a beacon token
+ *
+ * @param {Object} binding - What the token is bound to
+ * @param {string|null} binding.sessionId - Session ID the client sent, if any
+ * @param {string} binding.query - The query being served
+ * @param {string} binding.requestId - ID of the request issuing the token
+ * @param {number} [binding.now] - Issue time in ms, overridable for tests
+ * @returns {string|null} Token, or null when signing is disabled
+ */
+function signBeacon({ sessionId, query, requestId, now = Date.now() }) {
+  if (!isBeaconSigningEnabled()) return null;
+
+  const issuedAt = Math.floor(now / 1000);
+  const claims = {
+    v: TOKEN_VERSION,
+    sid: sessionId || null,
+    qh: hashQuery(query),
+    rid: requestId,
+    iat: issuedAt,
+    exp: issuedAt + BEACON_CONFIG.ttlSeconds,
+  };
+
+  const encodedClaims = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${encodedClaims}.${sign(encodedClaims, BEACON_CONFIG.secret).toString("base64url")}`;
+}
+
+/**
+ * Verifies a beacon token against the beacon it arrived with
+ * A token issued without a session ID is not checked against one.
+ *
+ * @param {string} token - The token
+ * @param {Object} beacon - The beacon's binding
+ * @param {string} [beacon.sessionId] - Session ID of the beacon
+ * @param {string} beacon.query - Query of the beacon
+ * @param {number} [beacon.now] - Verification time in ms, overridable for tests
+ * @returns {Object} Result ({ valid, reason, claims })
+ */
+function verifyBeacon(token, { sessionId, query, now = Date.now() }) {
+  if (!token) return { valid: false, reason: "missing_token", claims: null };
+
+  const [encodedClaims, signature, extra] = String(token).split(".");
+  if (!encodedClaims || !signature || extra !== undefined) {
+    return { valid: false, reason: "malformed_token", claims: null };
+  }
+
+  const provided = Buffer.from(signature, "base64url");
+  const signed = [BEACON_CONFIG.secret, BEACON_CONFIG.previousSecret]
+    .filter(Boolean)
+    .some((secret) => {
+      const expected = sign(encodedClaims, secret);
+      return (
+        provided.length === expected.length &&
+        crypto.timingSafeEqual(provided, expected)
+      );
+    });
+  if (!signed) return { valid: false, reason: "bad_signature", claims: null };
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString("utf8"));
+  } catch (error) {
+    return { valid: false, reason: "malformed_token", claims: null };
+  }
+
+  if (claims.v !== TOKEN_VERSION) {
+    return { valid: false, reason: "unsupported_version", claims };
+  }
+  if (Math.floor(now / 1000) > claims.exp) {
+    return { valid: false, reason: "expired", claims };
+  }
+  if (claims.sid && claims.sid !== sessionId) {
+    return { valid: false, reason: "session_mismatch", claims };
+  }
+  if (claims.qh !== hashQuery(query)) {
+    return { valid: false, reason: "query_mismatch", claims };
+  }
+
+  return { valid: true, reason: null, claims };
+}
+
+/**
+ * Marks a token and beacon as seen, detecting replays
+ * The same token may back several beacons (e.g. clicks on different results),
+ * so the fingerprint identifies the beacon itself. When Redis is unavailable
+ * the beacon is accepted and the failure logged.
+ *
+ * @param {string} token - A verified token
+ * @param {Object} claims - Its claims
+ * @param {string} fingerprint - Identifies the beacon (e.g. "click:<url>")
+ * @returns {Promise<Object>} Result ({ replayed, checked })
+ */
+async function claimBeacon(token, claims, fingerprint) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${token}|${fingerprint}`)
+    .digest("base64url")
+    .slice(0, 32);
+  const ttl = Math.max(60, claims.exp - Math.floor(Date.now() / 1000) + 60);
+
+  try {
+    const redis = await getRedisClient();
+    if (!redis) return { replayed: false, checked: false };
+
+    const result = await Promise.race([
+      redis.set(`${BEACON_CONFIG.replayPrefix}:${digest}`, claims.rid || "1", {
+        NX: true,
+        EX: ttl,
+      }),
+      new Promise((_, reject) =>
+        setTimeout(
+          () => reject(new Error("Redis replay check timed out")),
+          BEACON_CONFIG.redisTimeoutMs
+        )
+      ),
+    ]);
+
+    return { replayed: result === null, checked: true };
+  } catch (error) {
+    logEvent("warn", "replay_check_unavailable", { error: error.message });
+    return { replayed: false, checked: false };
+  }
+}
+
+/**
+ * Adds a beacon token for this request to the response
+ * Only a session ID the client sent itself (the sessionId query parameter) is
+ * bound; IDs generated by the middleware or handler never reach the client.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} binding - Token binding
+ * @param {string} binding.query - The query being served
+ * @param {string} binding.requestId - The request ID
+ * @returns {string|null} The token, or null when signing is disabled
+ */
+function issueBeaconToken(req, res, { query, requestId }) {
+  const token = signBeacon({
+    sessionId: req.query?.sessionId || null,
+    query,
+    requestId,
+  });
+  if (token) res.setHeader(BEACON_CONFIG.header, token);
+  return token;
+}
+
+/**
+ * Checks an analytics beacon and decides what to do with it
+ * The token is read from the item's analyticsToken field, then the
+ * X-Analytics-Token request header.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} beacon - The beacon to check
+ * @param {string} [beacon.token] - Token sent with the item, if any
+ * @param {string} [beacon.sessionId] - Session ID of the beacon
+ * @param {string} beacon.query - Query of the beacon
+ * @param {string} beacon.fingerprint - Identifies the beacon for replay detection
+ * @returns {Promise<Object>} Verdict ({ status, reason, action, claims })
+ *   status is 'valid', 'unsigned', 'invalid', 'replayed' or 'unchecked';
+ *   action is 'accept', 'quarantine' or 'reject'
+ */
+async function checkBeacon(req, { token, sessionId, query, fingerprint }) {
+  if (!isBeaconSigningEnabled()) {
+    return { status: "unchecked", reason: null, action: "accept", claims: null };
+  }
+
+  const beaconToken = token || req.headers?.[BEACON_CONFIG.header.toLowerCase()];
+  const verification = verifyBeacon(beaconToken, { sessionId, query });
+
+  let status = "valid";
+  if (!verification.valid) {
+    status = verification.reason === "missing_token" ? "unsigned" : "invalid";
+  } else {
+    const { replayed } = await claimBeacon(
+      beaconToken,
+      verification.claims,
+      fingerprint
+    );
+    if (replayed) status = "replayed";
+  }
+
+  let action = "accept";
+  if (status !== "valid") {
+    action = BEACON_CONFIG.mode === "enforce" ? "reject" : "quarantine";
+  }
+
+  return {
+    status,
+    reason: status === "replayed" ? "replayed" : verification.reason,
+    action,
+    claims: verification.claims,
+  };
+}
+
+module.exports = {
+  BEACON_CONFIG,
+  isBeaconSigningEnabled,
+  signBeacon,
+  verifyBeacon,
+  claimBeacon,
+  issueBeaconToken,
+  checkBeacon,
+};
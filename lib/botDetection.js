@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Bot and Abuse Scoring for Funnelback Proxy Requests
+ *
+ * Scores each request from 0 (browser-like) to 100 (certainly automated) so
+ * the edge middleware can throttle or challenge suspected bots and the
+ * handlers can keep crawler traffic out of the Query collection.
+ *
+ * Signals:
+ * - Missing, very short, automation-library or known crawler user agents
+ * - Missing Referer or Accept-Language headers, which browsers always send
+ *   on the search page's requests
+ * - Request cadence per session: machine-regular intervals and query rates
+ *   no person can type
+ *
+ * Actions (by score):
+ * - allow: below BOT_THROTTLE_THRESHOLD
+ * - throttle: each request costs several rate limit tokens
+ * - challenge: rejected with 403 at or above BOT_CHALLENGE_THRESHOLD
+ *
+ * Used from the Edge runtime, so it only relies on standard JavaScript.
+ * Cadence is tracked per edge isolate.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace botDetection
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+/** Detection configuration */
+const BOT_CONFIG = {
+  // enforce: throttle/challenge; monitor: score and log only; off: score only
+  mode: process.env.BOT_DETECTION_MODE || "enforce",
+  throttleThreshold: parseInt(process.env.BOT_THROTTLE_THRESHOLD, 10) || 50,
+  challengeThreshold: parseInt(process.env.BOT_CHALLENGE_THRESHOLD, 10) || 80,
+  analyticsThreshold: parseInt(process.env.BOT_ANALYTICS_THRESHOLD, 10) || 50,
+  // When false, suspected bots are recorded with isSuspectedBot instead of skipped
+  excludeFromAnalytics: process.env.BOT_ANALYTICS_EXCLUDE !== "false",
+  throttleCost: 4, // Rate limit tokens taken per throttled request
+};
+
+/** Cadence tracking configuration */
+const CADENCE_CONFIG = {
+  windowMs: 10000,
+  maxRequests: 40, // More than this in the window is not human typing
+  minIntervalMs: 120, // Median gap below this looks scripted
+  sampleSize: 8, // Requests needed before judging the median gap
+  maxTracked: 5000, // Sessions tracked per isolate
+};
+
+/** Points added per signal; the total is capped at 100 */
+const SIGNAL_WEIGHTS = {
+  missingUserAgent: 40,
+  knownCrawler: 60,
+  automationAgent: 50,
+  shortUserAgent: 15,
+  missingReferer: 15,
+  missingAcceptLanguage: 20,
+  rapidCadence: 20,
+  impossibleRate: 40,
+};
+
+/** User agents of search engine, SEO and dataset crawlers */
+const KNOWN_CRAWLERS = [
+  /googlebot|google-inspectiontool|adsbot-google/i,
+  /bingbot|msnbot|bingpreview/i,
+  /slurp|duckduckbot|baiduspider|yandex|sogou|exabot|seznambot/i,
+  /applebot|facebookexternalhit|twitterbot|linkedinbot|slackbot/i,
+  /ahrefsbot|semrushbot|mj12bot|dotbot|petalbot|rogerbot|screaming frog/i,
+  /bytespider|ccbot|amazonbot|dataforseobot/i,
+  /\b(crawler|spider|bot)\b/i,
+];
+
+/** User agents of HTTP libraries, CLIs and headless browsers */
+const AUTOMATION_AGENTS = [
+  /curl\/|wget\/|httpie/i,
+  /python-requests|python-urllib|aiohttp|httpx|scrapy/i,
+  /axios|node-fetch|undici|\bgot\b|superagent/i,
+  /go-http-client|java\/|okhttp|apache-httpclient|libwww-perl/i,
+  /headlesschrome|phantomjs|selenium|webdriver|puppeteer|playwright/i,
+  /postmanruntime|insomnia/i,
+];
+
+/** User agents shorter than this are unlikely to be browsers */
+const MIN_BROWSER_UA_LENGTH = 30;
+
+/**
+ * Creates a per-key request cadence tracker
+ *
+ * @param {Object} [options] - Overrides for CADENCE_CONFIG
+ * @returns {Object} Tracker with record(key, now)
+ */
+function createCadenceTracker(options = {}) {
+  const config = { ...CADENCE_CONFIG, ...options };
+  const history = new Map();
+
+  return {
+    /**
+     * Records a request and reports whether its cadence looks automated
+     *
+     * @param {string} key - Session ID or client IP
+     * @param {number} [now] - Request time
+     * @returns {Object} Cadence ({ count, medianIntervalMs, rapidCadence, impossibleRate })
+     */
+    record(key, now = Date.now()) {
+      const times = (history.get(key) || []).filter(
+        (time) => now - time < config.windowMs
+      );
+      times.push(now);
+
+      // Re-insert so the Map stays in least-recently-used order
+      history.delete(key);
+      if (history.size >= config.maxTracked) {
+        history.delete(history.keys().next().value);
+      }
+      history.set(key, times.slice(-config.maxRequests - 1));
+
+      let medianIntervalMs = null;
+      if (times.length >= config.sampleSize) {
+        const intervals = times
+          .slice(1)
+          .map((time, index) => time - times[index])
+          .sort((a, b) => a - b);
+        medianIntervalMs = intervals[Math.floor(intervals.length / 2)];
+      }
+
+      return {
+        count: times.length,
+        medianIntervalMs,
+        rapidCadence:
+          medianIntervalMs !== null && medianIntervalMs < config.minIntervalMs,
+        impossibleRate: times.length > config.maxRequests,
+      };
+    },
+  };
+}
+
+/**
+ * Cadence tracker shared by scoreRequest calls in this isolate
+ * @private
+ */
+const defaultTracker = createCadenceTracker();
+
+/**
+ * Reads a header from a Fetch Headers object or a Node headers object
+ *
+ * @param {Headers|Object} headers - Request headers
+ * @param {string} name - Lowercase header name
+ * @returns {string} Header value, or an empty string
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) return "";
+  const value =
+    typeof headers.get === "function" ? headers.get(name) : headers[name];
+  return String(value || "");
+}
+
+/**
+ * Scores a request from its headers and, optionally, its cadence
+ *
+ * @param {Headers|Object} headers - Request headers
+ * @param {Object} [options] - Scoring options
+ * @param {string} [options.cadenceKey] - Session ID or IP to track cadence under
+ * @param {Object} [options.tracker] - Cadence tracker, defaults to the shared one
+ * @param {number} [options.now] - Request time
+ * @returns {Object} Result ({ score, reasons, isKnownCrawler })
+ */
+function scoreRequest(headers, options = {}) {
+  const userAgent = getHeader(headers, "user-agent");
+  const reasons = [];
+
+  if (!userAgent) {
+    reasons.push("missingUserAgent");
+  } else if (KNOWN_CRAWLERS.some((pattern) => pattern.test(userAgent))) {
+    reasons.push("knownCrawler");
+  } else if (AUTOMATION_AGENTS.some((pattern) => pattern.test(userAgent))) {
+    reasons.push("automationAgent");
+  } else if (userAgent.length < MIN_BROWSER_UA_LENGTH) {
+    reasons.push("shortUserAgent");
+  }
+
+  if (!getHeader(headers, "referer")) reasons.push("missingReferer");
+  if (!getHeader(headers, "accept-language")) {
+    reasons.push("missingAcceptLanguage");
+  }
+
+  if (options.cadenceKey) {
+    const tracker = options.tracker || defaultTracker;
+    const cadence = tracker.record(options.cadenceKey, options.now);
+    if (cadence.impossibleRate) reasons.push("impossibleRate");
+    else if (cadence.rapidCadence) reasons.push("rapidCadence");
+  }
+
+  const score = Math.min(
+    100,
+    reasons.reduce((total, reason) => total + SIGNAL_WEIGHTS[reason], 0)
+  );
+
+  return { score, reasons, isKnownCrawler: reasons.includes("knownCrawler") };
+}
+
+/**
+ * Maps a score to the action the middleware should take
+ *
+ * @param {number} score - Bot score (0-100)
+ * @returns {string} 'allow', 'throttle' or 'challenge'
+ */
+function getBotAction(score) {
+  if (BOT_CONFIG.mode !== "enforce") return "allow";
+  if (score >= BOT_CONFIG.challengeThreshold) return "challenge";
+  if (score >= BOT_CONFIG.throttleThreshold) return "throttle";
+  return "allow";
+}
+
+/**
+ * Gets the bot score of a serverless request
+ * Uses the score the middleware attached (which includes cadence), and scores
+ * the headers directly when the middleware did not run.
+ *
+ * @param {Object} req - Node/Express request object
+ * @returns {number} Bot score (0-100)
+ */
+function getRequestBotScore(req) {
+  const headers = req?.headers || {};
+  const forwarded = parseInt(headers["x-bot-score"], 10);
+
+  if (headers["x-middleware-processed"] && !Number.isNaN(forwarded)) {
+    return forwarded;
+  }
+  return scoreRequest(headers).score;
+}
+
+/**
+ * Gets the bot fields stored with analytics records
+ *
+ * @param {Object} req - Node/Express request object
+ * @returns {Object} Fields ({ botScore, isSuspectedBot })
+ */
+function getAnalyticsBotFields(req) {
+  const botScore = getRequestBotScore(req);
+  return {
+    botScore,
+    isSuspectedBot: botScore >= BOT_CONFIG.analyticsThreshold,
+  };
+}
+
+/**
+ * Checks whether an analytics record should be left out of the Query collection
+ *
+ * @param {Object} data - Analytics data
+ * @returns {boolean} Whether to skip recording it
+ */
+function shouldExcludeFromAnalytics(data) {
+  return Boolean(data?.isSuspectedBot) && BOT_CONFIG.excludeFromAnalytics;
+}
+
+module.exports = {
+  BOT_CONFIG,
+  createCadenceTracker,
+  scoreRequest,
+  getBotAction,
+  getRequestBotScore,
+  getAnalyticsBotFields,
+  shouldExcludeFromAnalytics,
+};
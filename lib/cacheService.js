@@ -9,17 +9,29 @@
  * - Cache key generation based on query parameters
  * - Connection to Redis via redisClient
  * - Standardized debug logging support
+ * - Soft/hard expiry envelopes for stale-while-revalidate and stale-if-error
+ * - Background revalidation guarded by a Redis lock
+ * - Single-flight coalescing of concurrent misses (in-process and across instances)
+ * - Bounded in-process LRU (L1) in front of Redis (L2) with write-through
+ * - Per-endpoint and tag indexes for bulk invalidation by endpoint, tag or query prefix
+ * - Brotli/gzip compression of large values and per-endpoint schema versions
+ *   derived from the response formatters
+ * - Per-endpoint cache key normalization policies
+ * - Time-bucketed hit/miss/stale/error counters and keyspace inspection
  * 
  * Debug version with extra logging and error handling
  * 
  * @author Victor Chimenti
- * @version 3.0.1
+ * @version 3.10.0
  * @namespace cacheService
  * @license MIT
- * @lastModified 2025-09-02
+ * @lastModified 2026-10-18
  */
 
+const zlib = require('zlib');
 const { getRedisClient, getRedisStatus } = require('./redisClient');
+const { TRACKING_PARAMS } = require('./requestValidator');
+const { RESPONSE_SCHEMA_VERSIONS } = require('./suggestionFetchers');
 
 // Cache TTL configuration (in seconds)
 const CACHE_TTL = {
@@ -29,6 +41,149 @@ const CACHE_TTL = {
   default: 1800          // 30 minutes default (unchanged)
 };
 
+// Stale windows past the soft TTL (in seconds)
+// - revalidate: the stale value is served while it is refreshed in the background
+// - error: the stale value is served only when the upstream request fails (hard expiry)
+const CACHE_STALE_TTL = {
+  suggestions: { revalidate: 3600, error: 86400 },     // 1 hour / 1 day
+  programs: { revalidate: 86400, error: 604800 },      // 1 day / 7 days
+  people: { revalidate: 43200, error: 259200 },        // 12 hours / 3 days
+  default: { revalidate: 600, error: 3600 }            // 10 minutes / 1 hour
+};
+
+// Response shape version per endpoint, stored in every envelope
+// Derived from the formatters in lib/suggestionFetchers.js, so it changes with
+// the response shape; entries written with another version are treated as misses.
+const CACHE_SCHEMA_VERSION = {
+  ...RESPONSE_SCHEMA_VERSIONS,
+  default: 1
+};
+
+// Values larger than the threshold are compressed before they are sent to Redis
+const COMPRESSION_CONFIG = {
+  algorithm: process.env.CACHE_COMPRESSION || 'br',   // 'br', 'gzip' or 'none'
+  threshold: parseInt(process.env.CACHE_COMPRESSION_THRESHOLD, 10) || 1024, // bytes
+  brotliQuality: 5                                     // Favors speed over ratio
+};
+
+// Prefixes marking compressed values (base64 payload follows); raw JSON never starts with these
+const COMPRESSION_PREFIX = {
+  br: 'br:',
+  gzip: 'gz:'
+};
+
+// Parameters that never affect the response (tracking, cache busters, sessions)
+const IGNORED_PARAMS = [
+  /^sessionid$/i,
+  ...TRACKING_PARAMS
+];
+
+// Cache key normalization policy per endpoint
+// - aliases: parameter renames applied first (e.g. partial_query -> query)
+// - allow: parameters kept in the key (names or patterns); omit to keep all non-ignored params
+// - lowercase: parameters whose values are lowercased
+// - defaults: values equal to what Funnelback assumes anyway, dropped from the key
+// All string values are Unicode NFC-normalized, trimmed and whitespace-collapsed.
+const CACHE_KEY_POLICY = {
+  suggestions: {
+    aliases: { partial_query: 'query' },
+    allow: ['query', 'collection', 'profile', 'show', 'sort', 'alpha', 'fmt', /^f\.Tabs\|/],
+    lowercase: ['query'],
+    defaults: { profile: '_default' }
+  },
+  programs: {
+    // fetchPrograms pins collection, profile, num_ranks and form itself
+    allow: ['query', 'sort', 'start_rank', /^f\./],
+    lowercase: ['query']
+  },
+  people: {
+    // fetchPeople only forwards the query
+    allow: ['query'],
+    lowercase: ['query']
+  },
+  default: {
+    lowercase: ['query']
+  }
+};
+
+// Tags attached to every entry of an endpoint, in addition to collection:<name> from the params
+const CACHE_TAGS = {
+  programs: ['collection:seattleu~ds-programs'],
+  people: ['collection:seattleu~sp-search']
+};
+
+// Redis key prefixes for the invalidation indexes
+const INDEX_PREFIX = 'cache:index';
+const TAG_PREFIX = 'cache:tag';
+
+// How many keys are deleted per DEL during bulk invalidation
+const INVALIDATE_BATCH_SIZE = 100;
+
+// Hit/miss/stale/error counters, one Redis hash per time bucket
+const STATS_PREFIX = 'cache:stats';
+const STATS_CONFIG = {
+  bucketSeconds: 3600,          // Hourly buckets
+  retention: 7 * 24 * 3600,     // Buckets are kept for a week
+  scanLimit: 10000,             // Keys examined per stats request
+  sizeBatchSize: 100            // Keys sized per pipelined STRLEN batch
+};
+
+// How long a background revalidation holds its lock (in seconds)
+const REVALIDATE_LOCK_TTL = 30;
+
+// Timeout for Redis operations (in milliseconds)
+const REDIS_OPERATION_TIMEOUT = 3000;
+
+// Single-flight coalescing of concurrent cache misses (in milliseconds)
+const COALESCE_CONFIG = {
+  lockTtl: 5000,         // How long the instance filling a key holds the fill lock
+  maxWait: 3000,         // How long other instances wait for the fill before fetching themselves
+  pollInterval: 100      // How often waiting instances re-check the cache
+};
+
+// In-process L1 tier checked before Redis; kept short so other instances' writes are picked up quickly
+const L1_CONFIG = {
+  ttl: parseInt(process.env.CACHE_L1_TTL_MS, 10) || 30000,                   // 30 seconds
+  maxBytes: parseInt(process.env.CACHE_L1_MAX_BYTES, 10) || 5 * 1024 * 1024, // 5MB
+  maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES, 10) || 1000
+};
+
+// How long the Redis availability check is reused (in milliseconds)
+const PING_CACHE_TTL = {
+  available: 10000,
+  unavailable: 2000
+};
+
+/**
+ * L1 entries in least-recently-used order (oldest first)
+ * @type {Map<string, { value: string, size: number, expiresAt: number }>}
+ * @private
+ */
+const l1Cache = new Map();
+let l1Bytes = 0;
+
+/**
+ * Per-tier hit/miss counters for this instance
+ * @private
+ */
+const tierStats = {
+  l1: { hits: 0, misses: 0 },
+  l2: { hits: 0, misses: 0 }
+};
+
+/**
+ * Last Redis availability check result
+ * @private
+ */
+let pingCache = { enabled: false, expiresAt: 0 };
+
+/**
+ * Cache fills currently in flight on this instance, keyed by cache key
+ * @type {Map<string, Promise<Object>>}
+ * @private
+ */
+const inFlightFills = new Map();
+
 /**
  * Logs cache operation details consistently across suggestion handlers
  * 
@@ -77,7 +232,8 @@ function logCacheHit(endpoint, cacheKey, metadata = {}) {
   const enhancedMetadata = {
     ...metadata,
     dataSize: metadata.dataSize || 'unknown',
-    processingTime: metadata.processingTime || 'unknown'
+    processingTime: metadata.processingTime || 'unknown',
+    tierStats: getTierStats()
   };
   
   logCacheOperation('hit', endpoint, cacheKey, enhancedMetadata);
@@ -91,7 +247,10 @@ function logCacheHit(endpoint, cacheKey, metadata = {}) {
  * @param {Object} metadata - Additional metadata
  */
 function logCacheMiss(endpoint, cacheKey, metadata = {}) {
-  logCacheOperation('miss', endpoint, cacheKey, metadata);
+  logCacheOperation('miss', endpoint, cacheKey, {
+    ...metadata,
+    tierStats: getTierStats()
+  });
 }
 
 /**
@@ -126,14 +285,64 @@ function logCacheError(endpoint, cacheKey, metadata = {}) {
   };
   
   logCacheOperation('error', endpoint, cacheKey, enhancedMetadata);
+  recordCacheEvent(endpoint, 'error');
+}
+
+/**
+ * Increments the counter for a cache outcome in the current time bucket
+ * Fire-and-forget: counting never delays or fails the request.
+ * 
+ * @param {string} endpoint - The endpoint name
+ * @param {string} outcome - 'hit', 'miss', 'stale' or 'error'
+ * @private
+ */
+function recordCacheEvent(endpoint, outcome) {
+  const bucket = Math.floor(Date.now() / 1000 / STATS_CONFIG.bucketSeconds) * STATS_CONFIG.bucketSeconds;
+  const statsKey = `${STATS_PREFIX}:${bucket}`;
+
+  getRedisClient()
+    .then((redis) => {
+      if (!redis || !redis.isReady) return null;
+      return withTimeout(
+        redis.multi()
+          .hIncrBy(statsKey, `${endpoint}:${outcome}`, 1)
+          .expire(statsKey, STATS_CONFIG.retention)
+          .exec(),
+        'stats'
+      );
+    })
+    .catch((error) => {
+      console.error('DEBUG - Cache stats error:', error.message);
+    });
 }
 
 /**
  * Checks if caching is enabled by verifying Redis client connection
+ * The result is reused briefly to avoid a ping per request.
  * 
  * @returns {Promise<boolean>} Whether caching is enabled
  */
 async function isCachingEnabled() {
+  // Reuse a recent result so every keystroke does not pay for a ping
+  if (pingCache.expiresAt > Date.now()) {
+    return pingCache.enabled;
+  }
+
+  const enabled = await checkRedisAvailable();
+  pingCache = {
+    enabled,
+    expiresAt: Date.now() + (enabled ? PING_CACHE_TTL.available : PING_CACHE_TTL.unavailable)
+  };
+  return enabled;
+}
+
+/**
+ * Pings Redis to verify the client is connected
+ * 
+ * @returns {Promise<boolean>} Whether Redis answered the ping
+ * @private
+ */
+async function checkRedisAvailable() {
   try {
     // Get current Redis status for logging
     const status = getRedisStatus();
@@ -162,68 +371,309 @@ async function isCachingEnabled() {
 }
 
 /**
- * Generates a cache key based on endpoint and query parameters
- * FIXED: Now normalizes partial_query to query for consistent cache keys
+ * Checks whether a parameter name matches any name or pattern in a list
+ * 
+ * @param {string} name - The parameter name
+ * @param {Array<string|RegExp>} rules - Names or patterns
+ * @returns {boolean} Whether the name matches
+ * @private
+ */
+function matchesParamRule(name, rules) {
+  return rules.some((rule) => (rule instanceof RegExp ? rule.test(name) : rule === name));
+}
+
+/**
+ * Normalizes a single parameter value
+ * 
+ * @param {*} value - The raw value (string, number or array of these)
+ * @param {boolean} lowercase - Whether to lowercase string values
+ * @returns {*} The normalized value
+ * @private
+ */
+function normalizeParamValue(value, lowercase) {
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeParamValue(item, lowercase));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const normalized = value.normalize('NFC').replace(/\s+/g, ' ').trim();
+  return lowercase ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * Normalizes request parameters according to the endpoint's key policy
+ * Requests that only differ by casing, whitespace, Unicode form, tracking
+ * parameters or default values produce identical normalized params.
  * 
- * @param {string} endpoint - The API endpoint (e.g., 'suggest', 'suggestPrograms')
+ * @param {string} endpoint - The API endpoint (e.g., 'suggestions', 'programs')
  * @param {Object} params - The query parameters
- * @returns {string} A unique cache key
+ * @returns {Object} Normalized params with keys in sorted order
  */
-function generateCacheKey(endpoint, params) {
-  // Filter out session-specific parameters
-  const relevantParams = { ...params };
-  delete relevantParams.sessionId;
-  
-  // CACHE FIX: Normalize partial_query to query for suggestions to ensure consistent cache keys
-  if (endpoint === 'suggestions' && relevantParams.partial_query && !relevantParams.query) {
-    relevantParams.query = relevantParams.partial_query;
-    delete relevantParams.partial_query;
+function normalizeCacheParams(endpoint, params = {}) {
+  const policy = CACHE_KEY_POLICY[endpoint] || CACHE_KEY_POLICY.default;
+  const aliases = policy.aliases || {};
+  const lowercase = policy.lowercase || [];
+  const defaults = policy.defaults || {};
+  const normalized = {};
+
+  for (const [rawName, rawValue] of Object.entries(params || {})) {
+    const name = aliases[rawName] || rawName;
+
+    if (matchesParamRule(name, IGNORED_PARAMS)) continue;
+    if (policy.allow && !matchesParamRule(name, policy.allow)) continue;
+    // An explicit parameter wins over its alias
+    if (name !== rawName && params[name] !== undefined) continue;
+
+    const value = normalizeParamValue(rawValue, lowercase.includes(name));
+    if (value === '' || value === undefined || value === null) continue;
+    if (defaults[name] !== undefined && String(defaults[name]) === String(value)) continue;
+
+    normalized[name] = value;
   }
-  
+
   // Sort keys for consistent ordering
-  const sortedParams = Object.keys(relevantParams)
+  return Object.keys(normalized)
     .sort()
     .reduce((acc, key) => {
-      acc[key] = relevantParams[key];
+      acc[key] = normalized[key];
       return acc;
     }, {});
-  
-  // Create cache key
-  const cacheKey = `${endpoint}:${JSON.stringify(sortedParams)}`;
+}
+
+/**
+ * Generates a cache key based on endpoint and normalized query parameters
+ * 
+ * @param {string} endpoint - The API endpoint (e.g., 'suggestions', 'programs')
+ * @param {Object} params - The query parameters
+ * @returns {string} A unique cache key
+ */
+function generateCacheKey(endpoint, params) {
+  const cacheKey = `${endpoint}:${JSON.stringify(normalizeCacheParams(endpoint, params))}`;
   console.log(`DEBUG - Generated cache key: ${cacheKey}`);
   return cacheKey;
 }
 
 /**
- * Gets data from cache if available - Debug version with extra logging
+ * Removes an entry from the L1 tier
+ * 
+ * @param {string} cacheKey - The cache key
+ * @private
+ */
+function l1Delete(cacheKey) {
+  const entry = l1Cache.get(cacheKey);
+  if (entry) {
+    l1Bytes -= entry.size;
+    l1Cache.delete(cacheKey);
+  }
+}
+
+/**
+ * Gets a serialized value from the L1 tier, refreshing its LRU position
+ * 
+ * @param {string} cacheKey - The cache key
+ * @returns {string|null} The serialized value or null if absent or expired
+ * @private
+ */
+function l1Get(cacheKey) {
+  const entry = l1Cache.get(cacheKey);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    l1Delete(cacheKey);
+    return null;
+  }
+
+  // Move to the most-recently-used end
+  l1Cache.delete(cacheKey);
+  l1Cache.set(cacheKey, entry);
+  return entry.value;
+}
+
+/**
+ * Stores a serialized value in the L1 tier, evicting least-recently-used entries
+ * to stay within the entry and byte caps
+ * 
+ * @param {string} cacheKey - The cache key
+ * @param {string} value - The serialized value
+ * @param {number} [size] - Size in bytes, computed when omitted
+ * @private
+ */
+function l1Set(cacheKey, value, size = Buffer.byteLength(value, 'utf8')) {
+  l1Delete(cacheKey);
+
+  // Never let a single entry take over the whole tier
+  if (size > L1_CONFIG.maxBytes / 10) return;
+
+  while (
+    l1Cache.size > 0 &&
+    (l1Cache.size >= L1_CONFIG.maxEntries || l1Bytes + size > L1_CONFIG.maxBytes)
+  ) {
+    l1Delete(l1Cache.keys().next().value);
+  }
+
+  l1Cache.set(cacheKey, { value, size, expiresAt: Date.now() + L1_CONFIG.ttl });
+  l1Bytes += size;
+}
+
+/**
+ * Gets a snapshot of the per-tier hit/miss counters for this instance
+ * 
+ * @returns {Object} Counters plus current L1 occupancy
+ */
+function getTierStats() {
+  return {
+    l1: { ...tierStats.l1, entries: l1Cache.size, bytes: l1Bytes },
+    l2: { ...tierStats.l2 }
+  };
+}
+
+/**
+ * Races a Redis operation against a timeout
+ * 
+ * @param {Promise} operation - The Redis operation
+ * @param {string} name - Operation name used in the timeout error
+ * @returns {Promise<*>} The operation result
+ * @private
+ */
+function withTimeout(operation, name) {
+  return Promise.race([
+    operation,
+    new Promise((_, reject) => 
+      setTimeout(() => reject(new Error(`Redis ${name} operation timed out`)), REDIS_OPERATION_TIMEOUT)
+    )
+  ]);
+}
+
+/**
+ * Wraps data in a cache envelope carrying soft and hard expiry times
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} data - The data to cache
+ * @returns {Object} The cache envelope
+ * @private
+ */
+function createEnvelope(endpoint, data) {
+  const now = Date.now();
+  const ttl = CACHE_TTL[endpoint] || CACHE_TTL.default;
+  const staleTtl = CACHE_STALE_TTL[endpoint] || CACHE_STALE_TTL.default;
+
+  return {
+    _envelope: 1,
+    schema: CACHE_SCHEMA_VERSION[endpoint] || CACHE_SCHEMA_VERSION.default,
+    data,
+    storedAt: now,
+    softExpiresAt: now + ttl * 1000,
+    revalidateUntil: now + (ttl + staleTtl.revalidate) * 1000,
+    hardExpiresAt: now + (ttl + staleTtl.error) * 1000
+  };
+}
+
+/**
+ * Encodes a serialized value for Redis, compressing it above the size threshold
+ * The raw JSON is kept when compression is disabled or does not make it smaller.
+ * 
+ * @param {string} json - The serialized value
+ * @returns {Object} Encoded value ({ value, encoding })
+ * @private
+ */
+function encodeCacheValue(json) {
+  const { algorithm, threshold, brotliQuality } = COMPRESSION_CONFIG;
+  if (!COMPRESSION_PREFIX[algorithm] || Buffer.byteLength(json, 'utf8') < threshold) {
+    return { value: json, encoding: 'none' };
+  }
+
+  const compressed = algorithm === 'br'
+    ? zlib.brotliCompressSync(json, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: brotliQuality }
+    })
+    : zlib.gzipSync(json);
+  const value = COMPRESSION_PREFIX[algorithm] + compressed.toString('base64');
+
+  return value.length < json.length
+    ? { value, encoding: algorithm }
+    : { value: json, encoding: 'none' };
+}
+
+/**
+ * Decodes a value read from Redis back into serialized JSON
+ * 
+ * @param {string} value - The stored value
+ * @returns {string} The serialized JSON
+ * @private
+ */
+function decodeCacheValue(value) {
+  if (value.startsWith(COMPRESSION_PREFIX.br)) {
+    return zlib
+      .brotliDecompressSync(Buffer.from(value.slice(COMPRESSION_PREFIX.br.length), 'base64'))
+      .toString('utf8');
+  }
+  if (value.startsWith(COMPRESSION_PREFIX.gzip)) {
+    return zlib
+      .gunzipSync(Buffer.from(value.slice(COMPRESSION_PREFIX.gzip.length), 'base64'))
+      .toString('utf8');
+  }
+  return value;
+}
+
+/**
+ * Unwraps a parsed cache value into data plus freshness information
+ * Status is fresh (soft TTL), stale (revalidate window) or expired (error window only).
+ * Entries written before envelopes existed are treated as fresh until their EX TTL removes them.
+ * Entries written before schema versions existed count as version 1.
+ * 
+ * @param {*} parsed - The parsed cache value
+ * @param {string} endpoint - The API endpoint
+ * @returns {Object|null} Entry ({ data, status, age, expiresIn }), or null if the schema version differs
+ * @private
+ */
+function unwrapEnvelope(parsed, endpoint) {
+  const schemaVersion = CACHE_SCHEMA_VERSION[endpoint] || CACHE_SCHEMA_VERSION.default;
+
+  if (!parsed || typeof parsed !== 'object' || parsed._envelope !== 1) {
+    if (schemaVersion !== 1) return null;
+    return { data: parsed, status: 'fresh', age: null, expiresIn: null };
+  }
+
+  if ((parsed.schema ?? 1) !== schemaVersion) {
+    return null;
+  }
+
+  const now = Date.now();
+  let status = 'expired';
+  if (now < parsed.softExpiresAt) {
+    status = 'fresh';
+  } else if (now < parsed.revalidateUntil) {
+    status = 'stale';
+  }
+
+  return {
+    data: parsed.data,
+    status,
+    age: Math.round((now - parsed.storedAt) / 1000),
+    expiresIn: Math.round((parsed.softExpiresAt - now) / 1000)
+  };
+}
+
+/**
+ * Reads and unwraps a cache entry - Debug version with extra logging
+ * Checks the in-process L1 tier first, then Redis (L2). L1 holds decoded JSON.
  * 
  * @param {string} endpoint - The API endpoint
  * @param {Object} params - The query parameters
  * @param {string} [requestId] - Optional request ID for tracking
- * @returns {Promise<Object|null>} The cached data or null if not found
+ * @returns {Promise<Object|null>} Entry ({ data, status, age, cacheKey, tier, dataSize }) or null if not found
+ * @private
  */
-async function getCachedData(endpoint, params, requestId = null) {
-  console.log(`DEBUG - getCachedData called for ${endpoint}`, {
+async function readCacheEntry(endpoint, params, requestId = null) {
+  console.log(`DEBUG - readCacheEntry called for ${endpoint}`, {
     requestId,
     paramsExist: !!params,
     queryLength: params?.query?.length
   });
   
   try {
-    // Get Redis client with await to ensure connection is ready
-    const redis = await getRedisClient();
-    if (!redis) {
-      console.log('DEBUG - Redis client not available in getCachedData');
-      return null;
-    }
-    
-    // Check if Redis is actually ready
-    console.log(`DEBUG - Redis ready state:`, redis.isReady);
-    if (!redis.isReady) {
-      console.log('DEBUG - Redis client is not ready, skipping cache check');
-      return null;
-    }
-    
     const cacheKey = generateCacheKey(endpoint, params);
     
     // Log cache check operation
@@ -232,64 +682,96 @@ async function getCachedData(endpoint, params, requestId = null) {
       query: params 
     });
     
-    console.log(`DEBUG - Attempting to get data for key: ${cacheKey}`);
-    
-    // Get data with timeout protection
-    let cachedData;
-    try {
-      cachedData = await Promise.race([
-        redis.get(cacheKey),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Redis get operation timed out')), 3000)
-        )
-      ]);
-    } catch (timeoutError) {
-      console.error('DEBUG - Redis get operation error:', timeoutError);
-      return null;
-    }
-    
-    console.log(`DEBUG - Cache lookup result:`, {
-      found: !!cachedData,
-      dataLength: cachedData?.length
-    });
+    // L1: in-process memory tier
+    let tier = 'L1';
+    let cachedData = l1Get(cacheKey);
     
     if (cachedData) {
-      // Calculate approximate data size
-      const dataSize = Buffer.byteLength(cachedData, 'utf8');
+      tierStats.l1.hits++;
+    } else {
+      tierStats.l1.misses++;
+      tier = 'L2';
       
-      // Log cache hit operation
-      logCacheHit(endpoint, cacheKey, {
-        requestId,
-        query: params,
-        dataSize: `${Math.round(dataSize / 1024)}KB`
-      });
+      // Get Redis client with await to ensure connection is ready
+      const redis = await getRedisClient();
+      if (!redis) {
+        console.log('DEBUG - Redis client not available in readCacheEntry');
+        return null;
+      }
+      
+      // Check if Redis is actually ready
+      console.log(`DEBUG - Redis ready state:`, redis.isReady);
+      if (!redis.isReady) {
+        console.log('DEBUG - Redis client is not ready, skipping cache check');
+        return null;
+      }
       
+      console.log(`DEBUG - Attempting to get data for key: ${cacheKey}`);
+      
+      // Get data with timeout protection
       try {
-        console.log(`DEBUG - Parsing cached data`);
-        const parsedData = JSON.parse(cachedData);
-        console.log(`DEBUG - Successfully parsed cached data`);
-        return parsedData;
-      } catch (parseError) {
-        console.error(`DEBUG - Error parsing cached data:`, parseError);
-        logCacheError(endpoint, cacheKey, {
+        const storedData = await withTimeout(redis.get(cacheKey), 'get');
+        cachedData = storedData && decodeCacheValue(storedData);
+      } catch (timeoutError) {
+        console.error('DEBUG - Redis get operation error:', timeoutError);
+        recordCacheEvent(endpoint, 'error');
+        return null;
+      }
+      
+      console.log(`DEBUG - Cache lookup result:`, {
+        found: !!cachedData,
+        dataLength: cachedData?.length
+      });
+      
+      if (!cachedData) {
+        tierStats.l2.misses++;
+        return null;
+      }
+      
+      tierStats.l2.hits++;
+    }
+    
+    try {
+      console.log(`DEBUG - Parsing cached data`);
+      const entry = unwrapEnvelope(JSON.parse(cachedData), endpoint);
+      console.log(`DEBUG - Successfully parsed cached data`);
+      
+      if (!entry) {
+        // Written for an older response shape; never serve it
+        logCacheOperation('schema-mismatch', endpoint, cacheKey, {
           requestId,
           query: params,
-          errorType: 'ParseError',
-          errorMessage: parseError.message
+          expectedSchema: CACHE_SCHEMA_VERSION[endpoint] || CACHE_SCHEMA_VERSION.default
         });
+        l1Delete(cacheKey);
         return null;
       }
+      
+      const dataSize = Buffer.byteLength(cachedData, 'utf8');
+      
+      // Promote L2 hits into L1
+      if (tier === 'L2') {
+        l1Set(cacheKey, cachedData, dataSize);
+      }
+      
+      return {
+        ...entry,
+        cacheKey,
+        tier,
+        dataSize
+      };
+    } catch (parseError) {
+      console.error(`DEBUG - Error parsing cached data:`, parseError);
+      logCacheError(endpoint, cacheKey, {
+        requestId,
+        query: params,
+        errorType: 'ParseError',
+        errorMessage: parseError.message
+      });
+      return null;
     }
-    
-    // Log cache miss operation
-    logCacheMiss(endpoint, cacheKey, {
-      requestId,
-      query: params
-    });
-    
-    return null;
   } catch (error) {
-    console.error('DEBUG - Error in getCachedData:', {
+    console.error('DEBUG - Error in readCacheEntry:', {
       message: error.message,
       stack: error.stack,
       name: error.name
@@ -308,21 +790,363 @@ async function getCachedData(endpoint, params, requestId = null) {
 }
 
 /**
- * Sets data in cache with appropriate TTL - Debug version with extra logging
+ * Tries to take a short-lived Redis lock
+ * 
+ * @param {string} lockKey - The lock key
+ * @param {number} ttlMs - Lock lifetime in milliseconds
+ * @returns {Promise<boolean|null>} true if acquired, false if held elsewhere, null if Redis is unavailable
+ * @private
+ */
+async function acquireLock(lockKey, ttlMs) {
+  try {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return null;
+
+    const result = await withTimeout(
+      redis.set(lockKey, '1', { NX: true, PX: ttlMs }),
+      'lock'
+    );
+    return result === 'OK';
+  } catch (error) {
+    console.error('DEBUG - Lock error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Releases a Redis lock
+ * 
+ * @param {string} lockKey - The lock key
+ * @returns {Promise<void>}
+ * @private
+ */
+async function releaseLock(lockKey) {
+  try {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return;
+
+    await withTimeout(redis.del(lockKey), 'unlock');
+  } catch (error) {
+    // The lock expires on its own
+    console.error('DEBUG - Unlock error:', error.message);
+  }
+}
+
+/**
+ * Refreshes a stale entry in the background and releases the lock when done
  * 
  * @param {string} endpoint - The API endpoint
  * @param {Object} params - The query parameters
- * @param {Object} data - The data to cache
+ * @param {string} cacheKey - The cache key being revalidated
+ * @param {Function} refresh - Async function returning fresh data, or null to skip caching
  * @param {string} [requestId] - Optional request ID for tracking
- * @returns {Promise<boolean>} Whether the data was successfully cached
+ * @returns {Promise<boolean>} Whether the entry was refreshed
+ * @private
  */
-async function setCachedData(endpoint, params, data, requestId = null) {
-  console.log(`DEBUG - setCachedData called for ${endpoint}`, {
-    requestId,
-    paramsExist: !!params,
-    dataExists: !!data,
-    dataType: typeof data
-  });
+async function revalidateEntry(endpoint, params, cacheKey, refresh, requestId = null) {
+  const startTime = Date.now();
+
+  try {
+    const freshData = await refresh();
+    if (freshData === null || freshData === undefined) {
+      logCacheOperation('revalidate-skipped', endpoint, cacheKey, {
+        requestId,
+        query: params
+      });
+      return false;
+    }
+
+    const result = await setCachedData(endpoint, params, freshData, requestId);
+    logCacheOperation('revalidated', endpoint, cacheKey, {
+      requestId,
+      query: params,
+      success: result,
+      processingTime: `${Date.now() - startTime}ms`
+    });
+    return result;
+  } catch (error) {
+    logCacheError(endpoint, cacheKey, {
+      requestId,
+      query: params,
+      errorType: 'RevalidateError',
+      errorMessage: error.message
+    });
+    return false;
+  } finally {
+    await releaseLock(`${cacheKey}:revalidate`);
+  }
+}
+
+/**
+ * Gets a cache entry along with its freshness status
+ * 
+ * Fresh entries are returned as-is. Entries inside the revalidate window are
+ * only returned when a refresh function is supplied: the stale value is returned
+ * immediately and, if no other instance is already refreshing it, a background
+ * refresh is started. Older entries are a miss here (see getStaleData).
+ * 
+ * Status values:
+ * - fresh: within the soft TTL
+ * - revalidating: stale, and this call started a background refresh
+ * - stale: stale, and a refresh is already in progress elsewhere
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Lookup options
+ * @param {Function} [options.refresh] - Async function returning fresh data, or null to skip caching
+ * @returns {Promise<Object|null>} Entry ({ data, status, age, expiresIn }) or null on miss
+ */
+async function getCachedEntry(endpoint, params, requestId = null, options = {}) {
+  const entry = await readCacheEntry(endpoint, params, requestId);
+
+  if (!entry) {
+    logCacheMiss(endpoint, generateCacheKey(endpoint, params), {
+      requestId,
+      query: params
+    });
+    recordCacheEvent(endpoint, 'miss');
+    return null;
+  }
+
+  const { cacheKey, dataSize } = entry;
+  let status = entry.status;
+
+  if (status === 'expired') {
+    // Past the revalidate window the entry is only kept for stale-if-error
+    logCacheMiss(endpoint, cacheKey, {
+      requestId,
+      query: params,
+      reason: 'expired',
+      age: entry.age
+    });
+    recordCacheEvent(endpoint, 'miss');
+    return null;
+  }
+
+  if (status === 'stale') {
+    if (typeof options.refresh !== 'function') {
+      // Without a way to refresh, a stale entry is treated as a miss
+      logCacheMiss(endpoint, cacheKey, {
+        requestId,
+        query: params,
+        reason: 'stale',
+        age: entry.age
+      });
+      recordCacheEvent(endpoint, 'miss');
+      return null;
+    }
+
+    const lockKey = `${cacheKey}:revalidate`;
+    if (await acquireLock(lockKey, REVALIDATE_LOCK_TTL * 1000)) {
+      status = 'revalidating';
+      revalidateEntry(endpoint, params, cacheKey, options.refresh, requestId);
+    }
+  }
+
+  // Log cache hit operation
+  logCacheHit(endpoint, cacheKey, {
+    requestId,
+    query: params,
+    tier: entry.tier,
+    cacheStatus: status,
+    age: entry.age,
+    dataSize: `${Math.round(dataSize / 1024)}KB`
+  });
+  recordCacheEvent(endpoint, status === 'fresh' ? 'hit' : 'stale');
+
+  return { data: entry.data, status, age: entry.age, expiresIn: entry.expiresIn };
+}
+
+/**
+ * Gets data from cache if available - Debug version with extra logging
+ * Past the soft expiry the stale value is returned and refreshed in the
+ * background when options.refresh is provided; otherwise it is a miss.
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Lookup options (see getCachedEntry)
+ * @returns {Promise<Object|null>} The cached data or null if not found
+ */
+async function getCachedData(endpoint, params, requestId = null, options = {}) {
+  const entry = await getCachedEntry(endpoint, params, requestId, options);
+  return entry ? entry.data : null;
+}
+
+/**
+ * Gets cached data up to its hard expiry, ignoring the soft expiry
+ * Used to serve stale data when the upstream request fails (stale-if-error).
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @returns {Promise<Object|null>} Entry ({ data, status, age }) or null if not found
+ */
+async function getStaleData(endpoint, params, requestId = null) {
+  const entry = await readCacheEntry(endpoint, params, requestId);
+  if (!entry) return null;
+
+  logCacheOperation('stale-if-error', endpoint, entry.cacheKey, {
+    requestId,
+    query: params,
+    cacheStatus: entry.status,
+    age: entry.age
+  });
+  recordCacheEvent(endpoint, 'stale');
+
+  return { data: entry.data, status: entry.status, age: entry.age };
+}
+
+/**
+ * Waits for another instance to fill a cache key
+ * Polls Redis directly (without per-lookup logging) until a fresh entry appears.
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {string} cacheKey - The cache key being filled
+ * @returns {Promise<Object|null>} The fresh entry ({ data, status, age }) or null if the wait timed out
+ * @private
+ */
+async function waitForFill(endpoint, cacheKey) {
+  const deadline = Date.now() + COALESCE_CONFIG.maxWait;
+
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, COALESCE_CONFIG.pollInterval));
+
+    try {
+      const redis = await getRedisClient();
+      if (!redis || !redis.isReady) return null;
+
+      const storedData = await withTimeout(redis.get(cacheKey), 'get');
+      if (storedData) {
+        const entry = unwrapEnvelope(JSON.parse(decodeCacheValue(storedData)), endpoint);
+        if (entry && entry.status === 'fresh') return entry;
+      }
+    } catch (error) {
+      console.error('DEBUG - Error waiting for cache fill:', error.message);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetches data for a missed key and stores it, coordinating with other instances
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} cacheKey - The cache key being filled
+ * @param {Function} fetcher - Async function returning { data, ...rest }
+ * @param {Object} options - Fill options (see fetchWithCoalescing)
+ * @returns {Promise<Object>} Fill result ({ data, cacheResult, coalesced, ...rest })
+ * @private
+ */
+async function fillCacheEntry(endpoint, params, cacheKey, fetcher, options) {
+  const { requestId, shouldCache } = options;
+  const lockKey = `${cacheKey}:fill`;
+  const locked = await acquireLock(lockKey, COALESCE_CONFIG.lockTtl);
+
+  if (locked === false) {
+    // Another instance is already fetching this key
+    const entry = await waitForFill(endpoint, cacheKey);
+    if (entry) {
+      logCacheOperation('coalesced', endpoint, cacheKey, {
+        requestId,
+        query: params,
+        source: 'remote'
+      });
+      return { data: entry.data, cacheResult: null, coalesced: 'remote' };
+    }
+
+    logCacheOperation('coalesce-timeout', endpoint, cacheKey, {
+      requestId,
+      query: params,
+      waited: `${COALESCE_CONFIG.maxWait}ms`
+    });
+  }
+
+  try {
+    const result = await fetcher();
+    const cacheResult = shouldCache(result.data)
+      ? await setCachedData(endpoint, params, result.data, requestId)
+      : null;
+
+    return { ...result, cacheResult, coalesced: false };
+  } finally {
+    if (locked) {
+      await releaseLock(lockKey);
+    }
+  }
+}
+
+/**
+ * Runs a fetch for a cache miss with single-flight coalescing
+ * 
+ * Concurrent misses for the same key on this instance share one in-flight
+ * promise. Across instances a short Redis lock elects one fetcher; the others
+ * wait for the entry to appear in the cache and only fetch themselves if it
+ * does not arrive in time. The fetched data is cached when shouldCache allows.
+ * 
+ * Coalesced values:
+ * - false: this call performed the fetch
+ * - local: shared the result of a fetch in flight on this instance
+ * - remote: read the entry written by another instance
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {Function} fetcher - Async function returning { data, ...rest }
+ * @param {Object} [options] - Fill options
+ * @param {string} [options.requestId] - Optional request ID for tracking
+ * @param {Function} [options.shouldCache] - Predicate deciding whether fetched data is cached
+ * @returns {Promise<Object>} Result ({ data, cacheResult, coalesced, ...rest }); rest is absent for remote results
+ */
+async function fetchWithCoalescing(endpoint, params, fetcher, options = {}) {
+  const { requestId = null, shouldCache = () => true } = options;
+  const cacheKey = generateCacheKey(endpoint, params);
+
+  const pending = inFlightFills.get(cacheKey);
+  if (pending) {
+    logCacheOperation('coalesced', endpoint, cacheKey, {
+      requestId,
+      query: params,
+      source: 'local'
+    });
+    const result = await pending;
+    return { ...result, cacheResult: null, coalesced: 'local' };
+  }
+
+  const fill = fillCacheEntry(endpoint, params, cacheKey, fetcher, {
+    requestId,
+    shouldCache
+  });
+  inFlightFills.set(cacheKey, fill);
+
+  try {
+    return await fill;
+  } finally {
+    inFlightFills.delete(cacheKey);
+  }
+}
+
+/**
+ * Sets data in cache with appropriate TTL - Debug version with extra logging
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {Object} data - The data to cache
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Set options
+ * @param {Array<string>} [options.tags] - Extra tags used for bulk invalidation
+ * @returns {Promise<boolean>} Whether the data was successfully cached
+ */
+async function setCachedData(endpoint, params, data, requestId = null, options = {}) {
+  console.log(`DEBUG - setCachedData called for ${endpoint}`, {
+    requestId,
+    paramsExist: !!params,
+    dataExists: !!data,
+    dataType: typeof data
+  });
   
   try {
     // Get Redis client with await to ensure connection is ready
@@ -340,14 +1164,16 @@ async function setCachedData(endpoint, params, data, requestId = null) {
     }
     
     const cacheKey = generateCacheKey(endpoint, params);
-    // Determine TTL based on endpoint
+    // Determine TTL based on endpoint; the key lives through the stale window
     const ttl = CACHE_TTL[endpoint] || CACHE_TTL.default;
+    const staleTtl = CACHE_STALE_TTL[endpoint] || CACHE_STALE_TTL.default;
+    const hardTtl = ttl + staleTtl.error;
     
     console.log(`DEBUG - Attempting to serialize data for key: ${cacheKey}`);
     let stringData;
     
     try {
-      stringData = JSON.stringify(data);
+      stringData = JSON.stringify(createEnvelope(endpoint, data));
       console.log(`DEBUG - Data serialized successfully, length: ${stringData.length}`);
     } catch (serializeError) {
       console.error(`DEBUG - Error serializing data:`, serializeError);
@@ -362,25 +1188,38 @@ async function setCachedData(endpoint, params, data, requestId = null) {
     
     const dataSize = Buffer.byteLength(stringData, 'utf8');
     
+    let encoded;
+    try {
+      encoded = encodeCacheValue(stringData);
+    } catch (compressError) {
+      console.error(`DEBUG - Error compressing data:`, compressError);
+      encoded = { value: stringData, encoding: 'none' };
+    }
+    const storedSize = Buffer.byteLength(encoded.value, 'utf8');
+    
     // Log cache set operation
     logCacheSet(endpoint, cacheKey, {
       requestId,
       query: params,
       ttl: `${ttl}s`,
-      dataSize: `${Math.round(dataSize / 1024)}KB`
+      revalidateTtl: `${staleTtl.revalidate}s`,
+      hardTtl: `${hardTtl}s`,
+      dataSize: `${Math.round(dataSize / 1024)}KB`,
+      storedSize: `${Math.round(storedSize / 1024)}KB`,
+      encoding: encoded.encoding
     });
     
-    console.log(`DEBUG - Setting cache with TTL: ${ttl}s`);
+    console.log(`DEBUG - Setting cache with soft TTL: ${ttl}s, hard TTL: ${hardTtl}s`);
     
     // Set cache with timeout protection
     try {
-      await Promise.race([
-        redis.set(cacheKey, stringData, { EX: ttl }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Redis set operation timed out')), 3000)
-        )
-      ]);
+      await withTimeout(redis.set(cacheKey, encoded.value, { EX: hardTtl }), 'set');
       console.log(`DEBUG - Cache set successfully`);
+      
+      // Write through to L1
+      l1Set(cacheKey, stringData, dataSize);
+      
+      await indexCacheEntry(redis, endpoint, cacheKey, getCacheTags(endpoint, params, options.tags), hardTtl);
       return true;
     } catch (timeoutError) {
       console.error('DEBUG - Redis set operation error:', timeoutError);
@@ -415,14 +1254,15 @@ async function setCachedData(endpoint, params, data, requestId = null) {
  */
 async function invalidateCache(endpoint, params, requestId = null) {
   try {
+    const cacheKey = generateCacheKey(endpoint, params);
+    l1Delete(cacheKey);
+    
     const redis = await getRedisClient();
     if (!redis || !redis.isReady) {
       console.log('Redis client is not ready, skipping cache invalidation');
       return false;
     }
     
-    const cacheKey = generateCacheKey(endpoint, params);
-    
     // Log cache invalidation operation
     logCacheOperation('invalidate', endpoint, cacheKey, {
       requestId,
@@ -446,11 +1286,427 @@ async function invalidateCache(endpoint, params, requestId = null) {
   }
 }
 
+/**
+ * Gets the tags for a cache entry
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {Array<string>} [extraTags] - Additional tags supplied by the caller
+ * @returns {Array<string>} Unique tags
+ * @private
+ */
+function getCacheTags(endpoint, params, extraTags = []) {
+  const tags = [...(CACHE_TAGS[endpoint] || []), ...extraTags];
+  if (params?.collection) {
+    tags.push(`collection:${params.collection}`);
+  }
+  return [...new Set(tags)];
+}
+
+/**
+ * Adds a cache key to its endpoint index and tag sets
+ * Index sets live as long as the longest entry they reference.
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} endpoint - The API endpoint
+ * @param {string} cacheKey - The cache key
+ * @param {Array<string>} tags - Tags for the entry
+ * @param {number} ttl - Entry lifetime in seconds
+ * @returns {Promise<void>}
+ * @private
+ */
+async function indexCacheEntry(redis, endpoint, cacheKey, tags, ttl) {
+  const setKeys = [
+    `${INDEX_PREFIX}:${endpoint}`,
+    ...tags.map((tag) => `${TAG_PREFIX}:${tag}`)
+  ];
+
+  try {
+    for (const setKey of setKeys) {
+      await withTimeout(redis.sAdd(setKey, cacheKey), 'sadd');
+      await withTimeout(redis.expire(setKey, ttl), 'expire');
+    }
+  } catch (error) {
+    // An unindexed entry still expires normally; endpoint purges also scan for it
+    logCacheError(endpoint, cacheKey, {
+      errorType: 'IndexError',
+      errorMessage: error.message
+    });
+  }
+}
+
+/**
+ * Splits a cache key back into its endpoint and params
+ * 
+ * @param {string} cacheKey - The cache key (endpoint:{json params})
+ * @returns {Object} Parsed key ({ endpoint, params }); params is empty if unparseable
+ * @private
+ */
+function parseCacheKey(cacheKey) {
+  const separator = cacheKey.indexOf(':');
+  const endpoint = cacheKey.slice(0, separator);
+
+  try {
+    return { endpoint, params: JSON.parse(cacheKey.slice(separator + 1)) };
+  } catch (error) {
+    return { endpoint, params: {} };
+  }
+}
+
+/**
+ * Gets the lowercased query term of a cache key's params
+ * 
+ * @param {Object} params - Parsed cache key params
+ * @returns {string} The query, or an empty string if absent
+ * @private
+ */
+function getQueryTerm(params) {
+  return String(params.query ?? params.partial_query ?? '').toLowerCase();
+}
+
+/**
+ * Collects candidate cache keys for bulk invalidation
+ * 
+ * @param {Object} redis - Redis client
+ * @param {Object} criteria - Invalidation criteria ({ endpoint, tag })
+ * @returns {Promise<Array<string>>} Candidate cache keys
+ * @private
+ */
+async function collectCacheKeys(redis, { endpoint, tag }) {
+  if (tag) {
+    return withTimeout(redis.sMembers(`${TAG_PREFIX}:${tag}`), 'smembers');
+  }
+
+  const endpoints = endpoint ? [endpoint] : [];
+  if (!endpoint) {
+    for await (const indexKey of redis.scanIterator({ MATCH: `${INDEX_PREFIX}:*`, COUNT: 100 })) {
+      endpoints.push(indexKey.slice(INDEX_PREFIX.length + 1));
+    }
+  }
+
+  const keys = new Set();
+  for (const name of endpoints) {
+    const members = await withTimeout(redis.sMembers(`${INDEX_PREFIX}:${name}`), 'smembers');
+    members.forEach((key) => keys.add(key));
+
+    // Entries written before indexing existed are only reachable by scanning
+    for await (const key of redis.scanIterator({ MATCH: `${name}:{*`, COUNT: 100 })) {
+      if (key.endsWith('}')) keys.add(key);
+    }
+  }
+
+  return [...keys];
+}
+
+/**
+ * Invalidates every cache entry matching an endpoint, tag and/or query prefix
+ * 
+ * Criteria combine: { endpoint: 'programs', prefix: 'nurs' } drops programs entries
+ * whose query starts with "nurs". At least one criterion is required. L1 copies on
+ * other instances expire on their own within the L1 TTL.
+ * 
+ * @param {Object} criteria - Invalidation criteria
+ * @param {string} [criteria.endpoint] - Endpoint name (e.g. 'programs')
+ * @param {string} [criteria.tag] - Tag (e.g. 'collection:seattleu~ds-programs')
+ * @param {string} [criteria.prefix] - Case-insensitive query prefix
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @returns {Promise<Object>} Result ({ success, matched, dropped })
+ */
+async function invalidateCacheEntries(criteria = {}, requestId = null) {
+  const { endpoint, tag } = criteria;
+  const prefix = criteria.prefix ? String(criteria.prefix).toLowerCase() : null;
+
+  if (!endpoint && !tag && !prefix) {
+    throw new Error('At least one of endpoint, tag or prefix is required');
+  }
+
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    console.log('Redis client is not ready, skipping cache invalidation');
+    return { success: false, matched: 0, dropped: 0 };
+  }
+
+  const candidates = await collectCacheKeys(redis, { endpoint, tag });
+  const matchedKeys = candidates.filter((key) => {
+    const parsed = parseCacheKey(key);
+    return (!endpoint || parsed.endpoint === endpoint) &&
+      (!prefix || getQueryTerm(parsed.params).startsWith(prefix));
+  });
+
+  let dropped = 0;
+  for (let i = 0; i < matchedKeys.length; i += INVALIDATE_BATCH_SIZE) {
+    const batch = matchedKeys.slice(i, i + INVALIDATE_BATCH_SIZE);
+    dropped += await withTimeout(redis.del(batch), 'del');
+
+    // Remove dropped keys from L1 and from every index set that references them
+    const members = {};
+    batch.forEach((key) => {
+      l1Delete(key);
+      const parsed = parseCacheKey(key);
+      const setKeys = [
+        `${INDEX_PREFIX}:${parsed.endpoint}`,
+        ...getCacheTags(parsed.endpoint, parsed.params, tag ? [tag] : [])
+          .map((entryTag) => `${TAG_PREFIX}:${entryTag}`)
+      ];
+      setKeys.forEach((setKey) => (members[setKey] = members[setKey] || []).push(key));
+    });
+    for (const [setKey, keys] of Object.entries(members)) {
+      await withTimeout(redis.sRem(setKey, keys), 'srem');
+    }
+  }
+
+  logCacheOperation('invalidate-bulk', endpoint || 'all', tag || prefix || '*', {
+    requestId,
+    criteria: { endpoint, tag, prefix },
+    matched: matchedKeys.length,
+    dropped
+  });
+
+  return { success: true, matched: matchedKeys.length, dropped };
+}
+
+/**
+ * Parses the output of Redis INFO into key/value pairs
+ * 
+ * @param {string} info - Raw INFO output
+ * @returns {Object} Parsed fields
+ * @private
+ */
+function parseRedisInfo(info) {
+  return String(info || '')
+    .split(/\r?\n/)
+    .filter((line) => line && !line.startsWith('#') && line.includes(':'))
+    .reduce((fields, line) => {
+      const separator = line.indexOf(':');
+      fields[line.slice(0, separator)] = line.slice(separator + 1);
+      return fields;
+    }, {});
+}
+
+/**
+ * Classifies a Redis key for the key count report
+ * Cache entries are counted per endpoint; everything else by kind.
+ * 
+ * @param {string} key - The Redis key
+ * @returns {Object} Classification ({ group, isEntry })
+ * @private
+ */
+function classifyKey(key) {
+  if (key.startsWith(`${STATS_PREFIX}:`)) return { group: 'stats', isEntry: false };
+  if (key.startsWith(`${INDEX_PREFIX}:`) || key.startsWith(`${TAG_PREFIX}:`)) {
+    return { group: 'indexes', isEntry: false };
+  }
+  if (key.endsWith(':revalidate') || key.endsWith(':fill')) return { group: 'locks', isEntry: false };
+
+  const match = /^([A-Za-z]+):\{.*\}$/.exec(key);
+  return match ? { group: match[1], isEntry: true } : { group: 'other', isEntry: false };
+}
+
+/**
+ * Reads the hit/miss/stale/error counters for recent time buckets
+ * 
+ * @param {Object} redis - Redis client
+ * @param {number} hours - How many hours of buckets to read
+ * @returns {Promise<Object>} Counters ({ endpoints, timeline })
+ * @private
+ */
+async function readCacheCounters(redis, hours) {
+  const { bucketSeconds } = STATS_CONFIG;
+  const currentBucket = Math.floor(Date.now() / 1000 / bucketSeconds) * bucketSeconds;
+  const bucketCount = Math.max(1, Math.ceil((hours * 3600) / bucketSeconds));
+  const endpoints = {};
+  const timeline = [];
+
+  for (let i = bucketCount - 1; i >= 0; i--) {
+    const bucket = currentBucket - i * bucketSeconds;
+    const counts = await withTimeout(redis.hGetAll(`${STATS_PREFIX}:${bucket}`), 'hgetall');
+    const bucketTotals = { hit: 0, miss: 0, stale: 0, error: 0 };
+
+    for (const [field, value] of Object.entries(counts || {})) {
+      const separator = field.lastIndexOf(':');
+      const endpoint = field.slice(0, separator);
+      const outcome = field.slice(separator + 1);
+      const count = parseInt(value, 10) || 0;
+
+      endpoints[endpoint] = endpoints[endpoint] || { hit: 0, miss: 0, stale: 0, error: 0 };
+      endpoints[endpoint][outcome] = (endpoints[endpoint][outcome] || 0) + count;
+      bucketTotals[outcome] = (bucketTotals[outcome] || 0) + count;
+    }
+
+    timeline.push({ bucket: new Date(bucket * 1000).toISOString(), ...bucketTotals });
+  }
+
+  // Stale responses are served from cache, so they count towards the hit ratio
+  for (const counts of Object.values(endpoints)) {
+    const served = counts.hit + counts.stale;
+    const lookups = served + counts.miss;
+    counts.hitRatio = lookups ? Math.round((served / lookups) * 1000) / 1000 : null;
+  }
+
+  return { endpoints, timeline };
+}
+
+/**
+ * Scans the keyspace for key counts per endpoint and the largest cache entries
+ * Stops after STATS_CONFIG.scanLimit keys so a large keyspace cannot stall the request.
+ * 
+ * @param {Object} redis - Redis client
+ * @param {number} top - How many of the largest entries to report
+ * @returns {Promise<Object>} Keyspace report ({ counts, scanned, truncated, largest })
+ * @private
+ */
+async function scanKeyspace(redis, top) {
+  const counts = {};
+  const entryKeys = [];
+  let scanned = 0;
+  let truncated = false;
+
+  for await (const key of redis.scanIterator({ COUNT: 500 })) {
+    if (scanned >= STATS_CONFIG.scanLimit) {
+      truncated = true;
+      break;
+    }
+    scanned++;
+
+    const { group, isEntry } = classifyKey(key);
+    counts[group] = (counts[group] || 0) + 1;
+    if (isEntry) entryKeys.push(key);
+  }
+
+  let largest = [];
+  for (let i = 0; i < entryKeys.length; i += STATS_CONFIG.sizeBatchSize) {
+    const batch = entryKeys.slice(i, i + STATS_CONFIG.sizeBatchSize);
+    const pipeline = redis.multi();
+    batch.forEach((key) => pipeline.strLen(key));
+    const sizes = await withTimeout(pipeline.exec(), 'strlen');
+
+    batch.forEach((key, index) => largest.push({ key, storedBytes: Number(sizes[index]) || 0 }));
+    largest = largest.sort((a, b) => b.storedBytes - a.storedBytes).slice(0, top);
+  }
+
+  return { counts, scanned, truncated, largest };
+}
+
+/**
+ * Gets cache statistics: per-endpoint counters and hit ratio, key counts,
+ * Redis memory usage, the largest entries and this instance's tier counters
+ * 
+ * @param {Object} [options] - Report options
+ * @param {number} [options.hours=24] - How many hours of counters to include
+ * @param {number} [options.top=10] - How many of the largest entries to list
+ * @returns {Promise<Object>} Statistics, or { success: false } if Redis is unavailable
+ */
+async function getCacheStats(options = {}) {
+  const hours = options.hours || 24;
+  const top = options.top || 10;
+
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    console.log('Redis client is not ready, skipping cache stats');
+    return { success: false };
+  }
+
+  const { endpoints, timeline } = await readCacheCounters(redis, hours);
+  const keyspace = await scanKeyspace(redis, top);
+  const [info, dbSize] = await Promise.all([
+    withTimeout(redis.info('memory'), 'info'),
+    withTimeout(redis.dbSize(), 'dbsize')
+  ]);
+  const memory = parseRedisInfo(info);
+
+  return {
+    success: true,
+    window: { hours, bucketSeconds: STATS_CONFIG.bucketSeconds },
+    endpoints,
+    timeline,
+    keys: {
+      total: dbSize,
+      byPrefix: keyspace.counts,
+      scanned: keyspace.scanned,
+      truncated: keyspace.truncated
+    },
+    largestKeys: keyspace.largest,
+    memory: {
+      used: memory.used_memory_human || null,
+      usedBytes: memory.used_memory ? parseInt(memory.used_memory, 10) : null,
+      peak: memory.used_memory_peak_human || null,
+      max: memory.maxmemory_human || null,
+      fragmentationRatio: memory.mem_fragmentation_ratio
+        ? parseFloat(memory.mem_fragmentation_ratio)
+        : null
+    },
+    tiers: getTierStats()
+  };
+}
+
+/**
+ * Looks up the stored entry for an endpoint and params without touching counters or L1
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @returns {Promise<Object>} Entry details ({ found, cacheKey, ttl, storedBytes, dataBytes, encoding, status, data, ... }),
+ *   or { success: false } if Redis is unavailable
+ */
+async function inspectCacheEntry(endpoint, params) {
+  const cacheKey = generateCacheKey(endpoint, params);
+  const details = {
+    success: true,
+    cacheKey,
+    normalizedParams: normalizeCacheParams(endpoint, params),
+    inL1: l1Cache.has(cacheKey)
+  };
+
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    console.log('Redis client is not ready, skipping cache inspection');
+    return { success: false, cacheKey };
+  }
+
+  const [stored, ttl] = await Promise.all([
+    withTimeout(redis.get(cacheKey), 'get'),
+    withTimeout(redis.ttl(cacheKey), 'ttl')
+  ]);
+  if (!stored) {
+    return { ...details, found: false };
+  }
+
+  const json = decodeCacheValue(stored);
+  const parsed = JSON.parse(json);
+  const entry = unwrapEnvelope(parsed, endpoint);
+  const isEnvelope = parsed && parsed._envelope === 1;
+  const encoding = Object.keys(COMPRESSION_PREFIX)
+    .find((algorithm) => stored.startsWith(COMPRESSION_PREFIX[algorithm])) || 'none';
+
+  return {
+    ...details,
+    found: true,
+    ttl,
+    storedBytes: Buffer.byteLength(stored, 'utf8'),
+    dataBytes: Buffer.byteLength(json, 'utf8'),
+    encoding,
+    schema: isEnvelope ? (parsed.schema ?? 1) : null,
+    status: entry ? entry.status : 'schema-mismatch',
+    storedAt: isEnvelope ? new Date(parsed.storedAt).toISOString() : null,
+    age: entry ? entry.age : null,
+    expiresIn: entry ? entry.expiresIn : null,
+    data: isEnvelope ? parsed.data : parsed
+  };
+}
+
 module.exports = {
   isCachingEnabled,
   getCachedData,
+  getCachedEntry,
+  getStaleData,
   setCachedData,
+  fetchWithCoalescing,
   invalidateCache,
+  invalidateCacheEntries,
+  getTierStats,
+  getCacheStats,
+  inspectCacheEntry,
+  generateCacheKey,
+  normalizeCacheParams,
   logCacheOperation,
   logCacheCheck,
   logCacheHit,
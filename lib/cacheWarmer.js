@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Cache Warmer for Funnelback Suggestion Endpoints
+ *
+ * Pre-populates the Redis cache with the most frequent recent queries so that
+ * popular suggestions, programs and people lookups are served from cache
+ * before their existing entries expire.
+ *
+ * Features:
+ * - Top N queries per handler from the Query collection over the last X days
+ * - Skips entries that stay fresh beyond the refresh window
+ * - Shares in-flight fetches with live traffic via single-flight coalescing
+ * - Time budget so a run fits within the serverless function limit
+ * - Per-handler report of warmed, skipped, empty and failed queries
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace cacheWarmer
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("./commonUtils");
+const { getTopQueries } = require("./queryAnalytics");
+const {
+  isCachingEnabled,
+  getCachedEntry,
+  fetchWithCoalescing,
+} = require("./cacheService");
+const {
+  fetchSuggestions,
+  fetchPeople,
+  fetchPrograms,
+} = require("./suggestionFetchers");
+
+/** Warm-up defaults, overridable per run */
+const WARM_DEFAULTS = {
+  days: parseInt(process.env.CACHE_WARM_DAYS, 10) || 7,
+  limit: parseInt(process.env.CACHE_WARM_LIMIT, 10) || 25,
+  // Entries expiring later than this are left alone; matches the cron interval
+  refreshWithin: parseInt(process.env.CACHE_WARM_REFRESH_WITHIN, 10) || 10800,
+  maxDurationMs: parseInt(process.env.CACHE_WARM_MAX_DURATION_MS, 10) || 50000,
+};
+
+/**
+ * Warm-up targets keyed by the handler name stored in analytics
+ * @private
+ */
+const WARM_TARGETS = {
+  suggest: {
+    endpoint: "suggestions",
+    fetch: fetchSuggestions,
+    shouldCache: (data) => data.length > 0,
+  },
+  suggestPeople: {
+    endpoint: "people",
+    fetch: fetchPeople,
+    shouldCache: (data) => data.length > 0,
+  },
+  suggestPrograms: {
+    endpoint: "programs",
+    fetch: fetchPrograms,
+    shouldCache: (data) => data.programs.length > 0,
+  },
+};
+
+/**
+ * Warms a single query for a target
+ *
+ * @param {Object} target - Warm-up target from WARM_TARGETS
+ * @param {Object} params - Cache params for the query
+ * @param {Object} options - Run options
+ * @returns {Promise<string>} Outcome ('warmed', 'skipped' or 'empty')
+ * @private
+ */
+async function warmQuery(target, params, { refreshWithin, requestId }) {
+  const entry = await getCachedEntry(target.endpoint, params, requestId);
+  if (entry && entry.expiresIn !== null && entry.expiresIn > refreshWithin) {
+    return "skipped";
+  }
+
+  const result = await fetchWithCoalescing(
+    target.endpoint,
+    params,
+    () => target.fetch(params, { clientIp: null, locationData: null, requestId }),
+    { requestId, shouldCache: target.shouldCache }
+  );
+
+  return result.cacheResult || result.coalesced ? "warmed" : "empty";
+}
+
+/**
+ * Warms the cache with the top recent queries for each handler
+ * Queries are processed one at a time to keep the load on Funnelback low.
+ *
+ * @param {Object} [options] - Run options
+ * @param {Array<string>} [options.handlers] - Handlers to warm (defaults to all targets)
+ * @param {number} [options.days] - How many days of analytics to consider
+ * @param {number} [options.limit] - Top N queries per handler
+ * @param {number} [options.refreshWithin] - Re-fetch entries expiring within this many seconds
+ * @param {number} [options.maxDurationMs] - Time budget for the run
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @returns {Promise<Object>} Report ({ success, duration, truncated, handlers })
+ */
+async function warmCache(options = {}) {
+  const startTime = Date.now();
+  const requestId = options.requestId || "cache-warm";
+  const settings = { ...WARM_DEFAULTS, ...options };
+  const handlers = (options.handlers || Object.keys(WARM_TARGETS)).filter(
+    (handler) => WARM_TARGETS[handler]
+  );
+
+  const report = {
+    success: true,
+    days: settings.days,
+    limit: settings.limit,
+    truncated: false,
+    handlers: {},
+  };
+
+  if (!(await isCachingEnabled())) {
+    commonUtils.logEvent("warn", "warm_skipped", "cache-warmer", {
+      requestId,
+      reason: "caching_disabled",
+    });
+    return { ...report, success: false, error: "Cache store is unavailable" };
+  }
+
+  for (const handler of handlers) {
+    const target = WARM_TARGETS[handler];
+    const summary = {
+      endpoint: target.endpoint,
+      candidates: 0,
+      warmed: [],
+      skipped: 0,
+      empty: [],
+      failed: [],
+    };
+    report.handlers[handler] = summary;
+
+    let topQueries = [];
+    try {
+      topQueries = await getTopQueries({
+        handler,
+        days: settings.days,
+        limit: settings.limit,
+      });
+    } catch (error) {
+      commonUtils.logEvent("error", "top_queries_failed", "cache-warmer", {
+        requestId,
+        handler,
+        error: error.message,
+      });
+      summary.error = error.message;
+      report.success = false;
+      continue;
+    }
+    summary.candidates = topQueries.length;
+
+    for (const { query, collection } of topQueries) {
+      if (Date.now() - startTime > settings.maxDurationMs) {
+        report.truncated = true;
+        break;
+      }
+
+      const params = collection ? { query, collection } : { query };
+      try {
+        const outcome = await warmQuery(target, params, {
+          refreshWithin: settings.refreshWithin,
+          requestId,
+        });
+        if (outcome === "skipped") {
+          summary.skipped++;
+        } else {
+          summary[outcome].push(query);
+        }
+      } catch (error) {
+        summary.failed.push({ query, reason: error.reason || error.message });
+      }
+    }
+
+    commonUtils.logEvent("info", "handler_warmed", "cache-warmer", {
+      requestId,
+      handler,
+      candidates: summary.candidates,
+      warmed: summary.warmed.length,
+      skipped: summary.skipped,
+      empty: summary.empty.length,
+      failed: summary.failed.length,
+    });
+
+    if (report.truncated) break;
+  }
+
+  report.duration = `${Date.now() - startTime}ms`;
+
+  commonUtils.logEvent("info", "warm_completed", "cache-warmer", {
+    requestId,
+    duration: report.duration,
+    truncated: report.truncated,
+  });
+
+  return report;
+}
+
+module.exports = {
+  warmCache,
+  WARM_DEFAULTS,
+};
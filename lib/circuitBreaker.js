@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Circuit Breaker for Funnelback Upstream Calls
+ *
+ * Tracks upstream failures per endpoint and fails fast while Funnelback is
+ * degraded. Breaker state is shared across serverless instances through Redis
+ * (via redisClient) and falls back to in-process state when Redis is not
+ * available.
+ *
+ * States:
+ * - closed: requests flow normally, failures are counted
+ * - open: requests fail fast until the cool-down elapses
+ * - half-open: a single trial request is allowed through to probe recovery
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace circuitBreaker
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const { getRedisClient } = require("./redisClient");
+const commonUtils = require("./commonUtils");
+
+/** Breaker configuration */
+const BREAKER_CONFIG = {
+  failureThreshold:
+    parseInt(process.env.FUNNELBACK_BREAKER_FAILURE_THRESHOLD, 10) || 5,
+  openDurationMs:
+    parseInt(process.env.FUNNELBACK_BREAKER_OPEN_MS, 10) || 30000,
+  trialLockMs: 5000, // How long a half-open trial request holds the probe slot
+  stateTtlSeconds: 3600, // Idle breaker state expires after an hour
+  redisTimeoutMs: 250, // Breaker checks must never slow a request down much
+};
+
+/** Redis key prefix for breaker state */
+const KEY_PREFIX = "circuit:funnelback";
+
+/**
+ * In-process breaker state used when Redis is unavailable
+ * @type {Map<string, Object>}
+ * @private
+ */
+const localState = new Map();
+
+/**
+ * Races a Redis operation against a short timeout
+ *
+ * @param {Promise} operation - The Redis operation
+ * @returns {Promise<*>} The operation result
+ * @private
+ */
+function withTimeout(operation) {
+  return Promise.race([
+    operation,
+    new Promise((_, reject) =>
+      setTimeout(
+        () => reject(new Error("Circuit breaker Redis operation timed out")),
+        BREAKER_CONFIG.redisTimeoutMs
+      )
+    ),
+  ]);
+}
+
+/**
+ * Gets a ready Redis client, or null if the shared store is unavailable
+ *
+ * @returns {Promise<Object|null>} Redis client or null
+ * @private
+ */
+async function getStore() {
+  try {
+    const redis = await getRedisClient();
+    return redis && redis.isReady ? redis : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the Redis key for a breaker
+ *
+ * @param {string} name - Breaker name
+ * @returns {string} Redis key
+ * @private
+ */
+function stateKey(name) {
+  return `${KEY_PREFIX}:${name}`;
+}
+
+/**
+ * Reads the raw stored state for a breaker
+ *
+ * @param {string} name - Breaker name
+ * @returns {Promise<Object>} Raw state ({ state, failures, openedAt })
+ * @private
+ */
+async function readState(name) {
+  const redis = await getStore();
+
+  if (redis) {
+    try {
+      const stored = await withTimeout(redis.hGetAll(stateKey(name)));
+      return {
+        state: stored?.state || "closed",
+        failures: parseInt(stored?.failures, 10) || 0,
+        openedAt: parseInt(stored?.openedAt, 10) || 0,
+        shared: true,
+      };
+    } catch (error) {
+      commonUtils.logEvent("warn", "breaker_store_read_failed", "circuit-breaker", {
+        breaker: name,
+        error: error.message,
+      });
+    }
+  }
+
+  const local = localState.get(name) || { state: "closed", failures: 0, openedAt: 0 };
+  return { ...local, shared: false };
+}
+
+/**
+ * Writes breaker state to the shared store and the local fallback
+ *
+ * @param {string} name - Breaker name
+ * @param {Object} state - State to store
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeState(name, state) {
+  localState.set(name, {
+    state: state.state,
+    failures: state.failures,
+    openedAt: state.openedAt,
+  });
+
+  const redis = await getStore();
+  if (!redis) return;
+
+  try {
+    await withTimeout(
+      redis.hSet(stateKey(name), {
+        state: state.state,
+        failures: String(state.failures),
+        openedAt: String(state.openedAt),
+      })
+    );
+    await withTimeout(
+      redis.expire(stateKey(name), BREAKER_CONFIG.stateTtlSeconds)
+    );
+  } catch (error) {
+    commonUtils.logEvent("warn", "breaker_store_write_failed", "circuit-breaker", {
+      breaker: name,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Logs a breaker state transition
+ *
+ * @param {string} name - Breaker name
+ * @param {string} from - Previous state
+ * @param {string} to - New state
+ * @param {Object} [data] - Additional data to include
+ * @private
+ */
+function logTransition(name, from, to, data = {}) {
+  commonUtils.logEvent(
+    to === "open" ? "warn" : "info",
+    "breaker_state_changed",
+    "circuit-breaker",
+    {
+      breaker: name,
+      from,
+      to,
+      ...data,
+    }
+  );
+}
+
+/**
+ * Gets the effective state of a breaker
+ * An open breaker whose cool-down has elapsed is reported as half-open.
+ *
+ * @param {string} name - Breaker name
+ * @returns {Promise<Object>} State ({ state, failures, openedAt, shared })
+ */
+async function getState(name) {
+  const stored = await readState(name);
+
+  if (
+    stored.state === "open" &&
+    Date.now() - stored.openedAt >= BREAKER_CONFIG.openDurationMs
+  ) {
+    return { ...stored, state: "half-open" };
+  }
+
+  return stored;
+}
+
+/**
+ * Checks whether a request may be sent upstream
+ * In half-open state only one instance wins the trial slot; others fail fast.
+ *
+ * @param {string} name - Breaker name
+ * @returns {Promise<Object>} Decision ({ allowed, state })
+ */
+async function acquire(name) {
+  const current = await getState(name);
+
+  if (current.state === "closed") {
+    return { allowed: true, state: "closed" };
+  }
+
+  if (current.state === "open") {
+    return { allowed: false, state: "open" };
+  }
+
+  // Half-open: allow a single trial request through
+  const redis = await getStore();
+  if (redis) {
+    try {
+      const acquired = await withTimeout(
+        redis.set(`${stateKey(name)}:trial`, "1", {
+          NX: true,
+          PX: BREAKER_CONFIG.trialLockMs,
+        })
+      );
+      return { allowed: acquired === "OK", state: "half-open" };
+    } catch (error) {
+      // Fall through to local trial handling
+    }
+  }
+
+  const local = localState.get(name) || {};
+  if (local.trialUntil && local.trialUntil > Date.now()) {
+    return { allowed: false, state: "half-open" };
+  }
+  localState.set(name, {
+    ...local,
+    trialUntil: Date.now() + BREAKER_CONFIG.trialLockMs,
+  });
+  return { allowed: true, state: "half-open" };
+}
+
+/**
+ * Records a successful upstream call, closing the breaker if needed
+ *
+ * @param {string} name - Breaker name
+ * @returns {Promise<string>} The resulting state
+ */
+async function recordSuccess(name) {
+  const current = await getState(name);
+
+  if (current.state === "closed" && current.failures === 0) {
+    return "closed";
+  }
+
+  await writeState(name, { state: "closed", failures: 0, openedAt: 0 });
+
+  if (current.state !== "closed") {
+    logTransition(name, current.state, "closed");
+  }
+
+  return "closed";
+}
+
+/**
+ * Records a failed upstream call, opening the breaker at the threshold
+ * A failed half-open trial re-opens the breaker immediately.
+ *
+ * @param {string} name - Breaker name
+ * @param {Object} [details] - Failure details for logging
+ * @returns {Promise<string>} The resulting state
+ */
+async function recordFailure(name, details = {}) {
+  const current = await getState(name);
+  const failures = current.failures + 1;
+
+  const shouldOpen =
+    current.state === "half-open" ||
+    failures >= BREAKER_CONFIG.failureThreshold;
+
+  if (shouldOpen) {
+    // Late failures from requests already in flight must not extend the cool-down
+    const openedAt =
+      current.state === "open" ? current.openedAt : Date.now();
+    await writeState(name, { state: "open", failures, openedAt });
+    if (current.state !== "open") {
+      logTransition(name, current.state, "open", {
+        failures,
+        openForMs: BREAKER_CONFIG.openDurationMs,
+        ...details,
+      });
+    }
+    return "open";
+  }
+
+  await writeState(name, {
+    state: current.state,
+    failures,
+    openedAt: current.openedAt,
+  });
+  return current.state;
+}
+
+module.exports = {
+  getState,
+  acquire,
+  recordSuccess,
+  recordFailure,
+  BREAKER_CONFIG,
+};
@@ -11,15 +11,18 @@
  * - Session ID extraction and generation
  * - Structured logging with standardized formats
  * - Request type detection (browser vs server-side)
+ * - CORS headers from the shared origin allowlist
+ * - CSV formatting for admin exports
  * 
  * @author Victor Chimenti
- * @version 1.1.0
+ * @version 1.3.0
  * @namespace commonUtils
  * @license MIT
- * @lastModified 2025-04-23
+ * @lastModified 2026-10-18
  */
 
 const os = require('os');
+const { applyCorsHeaders } = require('./corsPolicy');
 
 /**
  * Extracts the most reliable client IP from request headers.
@@ -400,23 +403,49 @@ function formatError(error, handlerName, context, requestId = null) {
 }
 
 /**
- * Sets consistent CORS headers for all responses
+ * Sets CORS headers for a response using the shared CORS policy
+ * Kept for callers that predate lib/corsPolicy; new handlers use handleCors.
  * 
  * @param {Object} res - Express response object
  * @param {boolean} [isAnalyticsEndpoint=false] - Whether endpoint is an analytics endpoint
+ * @param {Object} [req=res.req] - Express request object, whose Origin is checked
+ * @returns {boolean} Whether the request origin is allowed
  */
-function setCorsHeaders(res, isAnalyticsEndpoint = false) {
-  // Base CORS headers for all endpoints
-  res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-
-  // Add analytics-specific headers if needed
-  if (isAnalyticsEndpoint) {
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Origin');
-  } else {
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Origin');
+function setCorsHeaders(res, isAnalyticsEndpoint = false, req = res.req) {
+  return applyCorsHeaders(req, res, {
+    profile: isAnalyticsEndpoint ? 'analytics' : 'default'
+  });
+}
+
+/**
+ * Quotes a CSV field, neutralizing spreadsheet formulas
+ * 
+ * @param {*} value - Field value; arrays are joined with " | "
+ * @returns {string} CSV field
+ * @private
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  if (Array.isArray(value)) text = value.join(' | ');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV with a header row and CRLF line endings
+ * 
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV text
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCsvField(row[column])).join(','));
   }
+  return `${lines.join('\r\n')}\r\n`;
 }
 
 module.exports = {
@@ -434,5 +463,6 @@ module.exports = {
   getServerInfo,
   extractLocationData,
   formatError,
-  setCorsHeaders
+  setCorsHeaders,
+  formatCsv
 };
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview CORS Policy for Funnelback Proxy Endpoints
+ *
+ * Single source of truth for cross-origin access. Allowed origins come from
+ * the CORS_ALLOWED_ORIGINS environment variable, so preview deployments, the
+ * staging CMS and localhost development can be enabled without code changes.
+ *
+ * Features:
+ * - Exact origins ("https://www.seattleu.edu") and wildcard subdomains
+ *   ("https://*.seattleu.edu"), with an optional wildcard port ("http://localhost:*")
+ * - Echoes the matching Origin back with "Vary: Origin"
+ * - Profiles for public endpoints and the credentialed analytics endpoints
+ * - Uniform preflight handling for serverless handlers and the edge middleware
+ *
+ * Used from both Node handlers and the Edge runtime, so it only relies on
+ * standard JavaScript.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace corsPolicy
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+/** Origin allowed when nothing is configured */
+const DEFAULT_ORIGIN = "https://www.seattleu.edu";
+
+/**
+ * Header sets per endpoint type
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const CORS_PROFILES = {
+  default: {
+    methods: "GET, POST, OPTIONS",
+    headers: "Content-Type, Origin",
+    credentials: false,
+  },
+  analytics: {
+    methods: "GET, POST, OPTIONS",
+    headers:
+      "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, X-Analytics-Token, Origin",
+    credentials: true,
+  },
+};
+
+/** Response headers browsers may read, beyond the CORS-safelisted ones */
+const EXPOSED_HEADERS =
+  "X-Request-ID, X-Cache-Status, X-Analytics-Token, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After";
+
+/** How long browsers may cache a preflight result (in seconds) */
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * Compiles an allowlist entry into a matcher
+ *
+ * @param {string} entry - e.g. "https://*.seattleu.edu" or "http://localhost:*"
+ * @returns {RegExp|null} Matcher, or null if the entry is invalid
+ * @private
+ */
+function compileOrigin(entry) {
+  const match = /^(https?):\/\/(\*\.)?([a-z0-9.-]+)(:(\d+|\*))?$/i.exec(
+    entry.trim().replace(/\/+$/, "")
+  );
+  if (!match) return null;
+
+  const [, scheme, wildcard, host, , port] = match;
+  const escapedHost = host.replace(/\./g, "\\.");
+  const hostPattern = wildcard ? `([a-z0-9-]+\\.)+${escapedHost}` : escapedHost;
+  let portPattern = "";
+  if (port === "*") portPattern = "(:\\d+)?";
+  else if (port) portPattern = `:${port}`;
+
+  return new RegExp(`^${scheme}://${hostPattern}${portPattern}$`, "i");
+}
+
+/**
+ * Parses a comma or whitespace separated origin allowlist
+ * Invalid entries (including a bare "*") are logged and ignored.
+ *
+ * @param {string} list - Allowlist text
+ * @returns {Array<RegExp>} Origin matchers
+ */
+function parseOriginList(list) {
+  return String(list || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .reduce((matchers, entry) => {
+      const matcher = compileOrigin(entry);
+      if (matcher) {
+        matchers.push(matcher);
+      } else {
+        console.log(
+          JSON.stringify({
+            timestamp: new Date().toISOString(),
+            service: "cors-policy",
+            event: "invalid_origin_ignored",
+            entry,
+          })
+        );
+      }
+      return matchers;
+    }, []);
+}
+
+/**
+ * Allowed origin matchers from the environment
+ * ALLOWED_ORIGIN is still read for deployments configured before the allowlist existed.
+ * @private
+ */
+const allowedOrigins = parseOriginList(
+  process.env.CORS_ALLOWED_ORIGINS || process.env.ALLOWED_ORIGIN || DEFAULT_ORIGIN
+);
+
+/**
+ * Checks whether an origin is on the allowlist
+ *
+ * @param {string} origin - The request's Origin header
+ * @param {Array<RegExp>} [matchers] - Matchers to check, defaults to the configured allowlist
+ * @returns {boolean} Whether the origin is allowed
+ */
+function isOriginAllowed(origin, matchers = allowedOrigins) {
+  if (!origin || origin === "null") return false;
+  return matchers.some((matcher) => matcher.test(origin));
+}
+
+/**
+ * Builds the CORS response headers for a request origin
+ * "Vary: Origin" is always included because the response depends on it.
+ *
+ * @param {string} origin - The request's Origin header
+ * @param {Object} [options] - Header options
+ * @param {string} [options.profile='default'] - A key of CORS_PROFILES
+ * @param {boolean} [options.preflight=false] - Whether this answers a preflight request
+ * @returns {Object<string, string>} Header names and values
+ */
+function getCorsHeaders(origin, { profile = "default", preflight = false } = {}) {
+  const headers = { Vary: "Origin" };
+  if (!isOriginAllowed(origin)) return headers;
+
+  const settings = CORS_PROFILES[profile] || CORS_PROFILES.default;
+  headers["Access-Control-Allow-Origin"] = origin;
+  headers["Access-Control-Allow-Methods"] = settings.methods;
+  headers["Access-Control-Allow-Headers"] = settings.headers;
+  headers["Access-Control-Expose-Headers"] = EXPOSED_HEADERS;
+  if (settings.credentials) {
+    headers["Access-Control-Allow-Credentials"] = "true";
+  }
+  if (preflight) {
+    headers["Access-Control-Max-Age"] = String(PREFLIGHT_MAX_AGE);
+  }
+
+  return headers;
+}
+
+/**
+ * Sets CORS headers on a Node/Express response, merging with any existing Vary
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} [options] - See getCorsHeaders
+ * @returns {boolean} Whether the request origin is allowed
+ */
+function applyCorsHeaders(req, res, options = {}) {
+  const origin = req?.headers?.origin;
+  const headers = getCorsHeaders(origin, options);
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (name === "Vary") {
+      const existing = String(res.getHeader?.("Vary") || "");
+      if (!/\bOrigin\b/i.test(existing)) {
+        res.setHeader("Vary", existing ? `${existing}, Origin` : "Origin");
+      }
+    } else {
+      res.setHeader(name, value);
+    }
+  }
+
+  return isOriginAllowed(origin);
+}
+
+/**
+ * Applies the CORS policy to a handler request and answers preflight requests
+ * Preflights get 204 for allowed origins and 403 otherwise.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} [options] - Policy options
+ * @param {string} [options.profile='default'] - A key of CORS_PROFILES
+ * @returns {boolean} True if the request was a preflight and has been answered
+ */
+function handleCors(req, res, { profile = "default" } = {}) {
+  const preflight = req.method === "OPTIONS";
+  const allowed = applyCorsHeaders(req, res, { profile, preflight });
+
+  if (!preflight) return false;
+
+  res.status(allowed ? 204 : 403).end();
+  return true;
+}
+
+module.exports = {
+  CORS_PROFILES,
+  parseOriginList,
+  isOriginAllowed,
+  getCorsHeaders,
+  applyCorsHeaders,
+  handleCors,
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Data Subject Requests for Stored Analytics
+ *
+ * Finds, exports and erases everything stored about one visitor, so privacy
+ * requests (access, erasure) can be answered. A visitor is identified by a
+ * session ID, a client IP (or its stored hash) or a request ID.
+ *
+ * Features:
+ * - Matches Query records (clicks are embedded in them) and quarantined beacons
+ * - Raw IPs are matched against every daily hash within the retention window,
+ *   and against records stored before hashing was enabled
+ * - Export as JSON or CSV (one row per query, click and beacon)
+ * - Erasure by deleting records, or by anonymizing them so aggregate query
+ *   and click counts survive
+ * - Audit references to a subject are keyed hashes (AUDIT_SUBJECT_SECRET, or
+ *   ANALYTICS_IP_SALT), so they cannot be matched by hashing guessed IPs
+ *
+ * Records stored with truncated IPs (ANALYTICS_IP_MODE=truncate) cover a whole
+ * network and cannot be attributed to one visitor by IP; use the session ID.
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace dataSubject
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const crypto = require("crypto");
+const {
+  Query,
+  QuarantinedBeacon,
+  connectToMongoDB,
+  RETENTION_DAYS,
+} = require("./queryAnalytics");
+const { hashClientIp } = require("./schemaHandler");
+const { formatCsv } = require("./commonUtils");
+
+/** Identifier types a request may use */
+const SUBJECT_IDENTIFIERS = ["sessionId", "clientIp", "requestId"];
+
+/**
+ * Key for subject references in audit entries
+ * Without a configured secret each instance uses a random key, so references
+ * still never reveal the subject but only match within that instance.
+ */
+const SUBJECT_REFERENCE_KEY = crypto
+  .createHmac(
+    "sha256",
+    process.env.AUDIT_SUBJECT_SECRET ||
+      process.env.ANALYTICS_IP_SALT ||
+      crypto.randomBytes(32)
+  )
+  .update("audit-subject")
+  .digest();
+
+/** Most records a single request may export or erase */
+const MAX_SUBJECT_RECORDS = 5000;
+
+/** Fields cleared when a record is anonymized */
+const PERSONAL_FIELDS = [
+  "sessionId",
+  "clientIp",
+  "requestId",
+  "userAgent",
+  "referer",
+  "city",
+  "region",
+  "timezone",
+  "latitude",
+  "longitude",
+];
+
+/** CSV columns, in order */
+const CSV_COLUMNS = [
+  "recordType",
+  "id",
+  "timestamp",
+  "handler",
+  "query",
+  "url",
+  "title",
+  "position",
+  "sessionId",
+  "clientIp",
+  "requestId",
+  "userAgent",
+  "referer",
+  "city",
+  "region",
+  "country",
+];
+
+/**
+ * Reads the subject identifier from request input
+ * Exactly one identifier must be given.
+ *
+ * @param {Object} source - Query string and body fields
+ * @returns {Object} Subject ({ type, value }) or { error }
+ */
+function parseSubject(source) {
+  const given = SUBJECT_IDENTIFIERS.filter((type) => source[type]);
+  if (given.length !== 1) {
+    return {
+      error: `Exactly one of ${SUBJECT_IDENTIFIERS.join(", ")} is required`,
+    };
+  }
+
+  const [type] = given;
+  const value = source[type];
+  if (typeof value !== "string" || value.length > 128) {
+    return { error: `${type} must be a string of at most 128 characters` };
+  }
+
+  return { type, value: value.trim() };
+}
+
+/**
+ * Gets a non-reversible reference to a subject for audit entries
+ * Audit entries outlive the records, so they never hold the identifier itself.
+ * The reference is keyed: IPs and ID formats are small enough to guess, and a
+ * plain hash of every guess would find the subject.
+ *
+ * @param {Object} subject - Subject from parseSubject
+ * @returns {string} Short HMAC-SHA-256 reference
+ */
+function getSubjectReference(subject) {
+  return crypto
+    .createHmac("sha256", SUBJECT_REFERENCE_KEY)
+    .update(`${subject.type}:${subject.value}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Builds the MongoDB filter for a subject
+ *
+ * @param {Object} subject - Subject from parseSubject
+ * @returns {Object} Filter for the Query and QuarantinedBeacon collections
+ * @private
+ */
+function buildFilter(subject) {
+  if (subject.type !== "clientIp") {
+    return { [subject.type]: subject.value };
+  }
+
+  if (subject.value.startsWith("h:")) {
+    return { clientIp: subject.value };
+  }
+
+  // The stored hash depends on the day the record was written
+  const candidates = new Set([subject.value]);
+  if (process.env.ANALYTICS_IP_SALT) {
+    const now = Date.now();
+    for (let day = 0; day <= RETENTION_DAYS; day++) {
+      candidates.add(hashClientIp(subject.value, new Date(now - day * 86400000)));
+    }
+  }
+
+  return { clientIp: { $in: [...candidates] } };
+}
+
+/**
+ * Finds every record stored about a subject
+ *
+ * @param {Object} subject - Subject from parseSubject
+ * @returns {Promise<Object>} Records ({ queries, beacons, truncated })
+ */
+async function findSubjectRecords(subject) {
+  await connectToMongoDB();
+
+  const filter = buildFilter(subject);
+  const [queries, beacons] = await Promise.all([
+    Query.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(MAX_SUBJECT_RECORDS + 1)
+      .lean(),
+    QuarantinedBeacon.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(MAX_SUBJECT_RECORDS + 1)
+      .lean(),
+  ]);
+
+  return {
+    queries: queries.slice(0, MAX_SUBJECT_RECORDS),
+    beacons: beacons.slice(0, MAX_SUBJECT_RECORDS),
+    truncated:
+      queries.length > MAX_SUBJECT_RECORDS ||
+      beacons.length > MAX_SUBJECT_RECORDS,
+  };
+}
+
+/**
+ * Counts the clicks embedded in query records
+ *
+ * @param {Array<Object>} queries - Query records
+ * @returns {number} Click count
+ */
+function countClicks(queries) {
+  return queries.reduce(
+    (total, query) => total + (query.clickedResults?.length || 0),
+    0
+  );
+}
+
+/**
+ * Flattens records into export rows (queries, their clicks, and beacons)
+ *
+ * @param {Object} records - Result of findSubjectRecords
+ * @returns {Array<Object>} Rows keyed by CSV_COLUMNS
+ * @private
+ */
+function toRows({ queries, beacons }) {
+  const rows = [];
+
+  for (const query of queries) {
+    const base = {
+      id: String(query._id),
+      handler: query.handler,
+      query: query.query,
+      sessionId: query.sessionId,
+      clientIp: query.clientIp,
+      requestId: query.requestId,
+      userAgent: query.userAgent,
+      referer: query.referer,
+      city: query.city,
+      region: query.region,
+      country: query.country,
+    };
+    rows.push({ ...base, recordType: "query", timestamp: query.timestamp });
+
+    for (const click of query.clickedResults || []) {
+      rows.push({
+        ...base,
+        recordType: "click",
+        timestamp: click.timestamp,
+        url: click.url,
+        title: click.title,
+        position: click.position,
+      });
+    }
+  }
+
+  for (const beacon of beacons) {
+    rows.push({
+      recordType: "quarantined_beacon",
+      id: String(beacon._id),
+      timestamp: beacon.timestamp,
+      handler: beacon.kind,
+      sessionId: beacon.sessionId,
+      clientIp: beacon.clientIp,
+      requestId: beacon.requestId,
+      userAgent: beacon.userAgent,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Formats a subject's records as CSV
+ *
+ * @param {Object} records - Result of findSubjectRecords
+ * @returns {string} CSV with a header row
+ */
+function toCsv(records) {
+  return formatCsv(CSV_COLUMNS, toRows(records));
+}
+
+/**
+ * Erases a subject's records
+ * 'delete' removes the records; 'anonymize' clears PERSONAL_FIELDS and keeps
+ * the query text and clicks. Quarantined beacons are deleted in both modes,
+ * as they only matter for abuse review.
+ *
+ * @param {Object} subject - Subject from parseSubject
+ * @param {string} mode - 'delete' or 'anonymize'
+ * @returns {Promise<Object>} Counts ({ queries, clicks, beacons, truncated });
+ *   truncated means more than MAX_SUBJECT_RECORDS matched and the call should be repeated
+ */
+async function eraseSubjectRecords(subject, mode) {
+  const { queries, beacons, truncated } = await findSubjectRecords(subject);
+  const queryIds = queries.map((query) => query._id);
+  const beaconIds = beacons.map((beacon) => beacon._id);
+
+  if (mode === "delete") {
+    await Query.deleteMany({ _id: { $in: queryIds } });
+  } else {
+    const cleared = Object.fromEntries(
+      PERSONAL_FIELDS.map((field) => [field, ""])
+    );
+    await Query.updateMany(
+      { _id: { $in: queryIds } },
+      { $unset: cleared, $set: { anonymizedAt: new Date() } }
+    );
+  }
+  await QuarantinedBeacon.deleteMany({ _id: { $in: beaconIds } });
+
+  return {
+    queries: queryIds.length,
+    clicks: countClicks(queries),
+    beacons: beaconIds.length,
+    truncated,
+  };
+}
+
+module.exports = {
+  SUBJECT_IDENTIFIERS,
+  MAX_SUBJECT_RECORDS,
+  parseSubject,
+  getSubjectReference,
+  findSubjectRecords,
+  countClicks,
+  toCsv,
+  eraseSubjectRecords,
+};
@@ -0,0 +1,578 @@
+/**
+ * @fileoverview Funnelback Upstream Client
+ *
+ * Provides a single place for every handler to talk to Funnelback. Owns the
+ * base URL, outgoing header construction, timeouts, and normalization of
+ * upstream responses and errors so handlers no longer build their own axios
+ * calls.
+ *
+ * Features:
+ * - Base URL configurable per environment (FUNNELBACK_BASE_URL)
+ * - Consistent X-Forwarded-For / X-Geo-* header construction
+ * - Per-request-type timeouts with environment overrides
+ * - Normalized response objects and upstream errors
+ * - Idempotent GET retries with jittered exponential backoff
+ * - Per-endpoint circuit breaker shared through Redis
+ * - Last-good response fallback while Funnelback is degraded, for suggestion
+ *   lookups by default and capped in size per response
+ * - Structured logging using commonUtils
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace funnelbackClient
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const commonUtils = require("./commonUtils");
+const circuitBreaker = require("./circuitBreaker");
+const { getRedisClient } = require("./redisClient");
+
+/** Default Funnelback base URL (includes the /s servlet path) */
+const DEFAULT_BASE_URL = "https://dxp-us-search.funnelback.squiz.cloud/s";
+
+/**
+ * Timeouts for Funnelback requests by request type (ms)
+ * Suggestion lookups run on every keystroke, so they get a shorter budget.
+ */
+const FUNNELBACK_TIMEOUTS = {
+  search: parseInt(process.env.FUNNELBACK_SEARCH_TIMEOUT_MS, 10) || 5000,
+  suggest: parseInt(process.env.FUNNELBACK_SUGGEST_TIMEOUT_MS, 10) || 3000,
+  default: parseInt(process.env.FUNNELBACK_TIMEOUT_MS, 10) || 5000,
+};
+
+/**
+ * Retry configuration for idempotent GET requests
+ * Suggestion lookups get a single retry to stay within keystroke latency.
+ */
+const RETRY_CONFIG = {
+  maxRetries: {
+    search: 2,
+    suggest: 1,
+    default: 2,
+  },
+  baseDelayMs: 100,
+  maxDelayMs: 1000,
+};
+
+/** How long last-good responses are kept for degraded-mode fallback (seconds) */
+const LAST_GOOD_TTL = parseInt(process.env.FUNNELBACK_LAST_GOOD_TTL, 10) || 21600;
+
+/**
+ * Largest serialized last-good response kept (bytes); larger responses, such as
+ * full search pages, are not stored
+ */
+const LAST_GOOD_MAX_BYTES =
+  parseInt(process.env.FUNNELBACK_LAST_GOOD_MAX_BYTES, 10) || 65536;
+
+/** Redis key prefix for last-good responses */
+const LAST_GOOD_PREFIX = "funnelback:lastgood";
+
+/** Failure reasons that are safe to retry and count against the breaker */
+const RETRYABLE_REASONS = [
+  "upstream_timeout",
+  "upstream_unreachable",
+  "upstream_error",
+];
+
+/**
+ * Gets the Funnelback base URL for the current environment
+ * Trailing slashes are removed so paths can be joined consistently.
+ *
+ * @returns {string} The Funnelback base URL
+ */
+function getBaseUrl() {
+  return (process.env.FUNNELBACK_BASE_URL || DEFAULT_BASE_URL).replace(
+    /\/+$/,
+    ""
+  );
+}
+
+/**
+ * Builds the full upstream URL for a Funnelback path
+ *
+ * @param {string} path - Path relative to the base URL (e.g. 'search.html')
+ * @returns {string} The full upstream URL
+ */
+function buildUrl(path = "") {
+  return `${getBaseUrl()}/${String(path).replace(/^\/+/, "")}`;
+}
+
+/**
+ * Gets the timeout for a given request type
+ *
+ * @param {string} type - Request type ('search', 'suggest')
+ * @returns {number} Timeout in milliseconds
+ */
+function getTimeout(type) {
+  return FUNNELBACK_TIMEOUTS[type] || FUNNELBACK_TIMEOUTS.default;
+}
+
+/**
+ * Builds the outgoing headers for a Funnelback request
+ * The TRUE end-user IP is forwarded so Funnelback does not see our server IP.
+ *
+ * @param {Object} options - Header options
+ * @param {string} options.clientIp - The end-user IP address
+ * @param {Object} [options.locationData] - GeoIP location data
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {string} [options.accept='text/html'] - Accept header value
+ * @param {Object} [options.headers] - Additional headers to merge in
+ * @returns {Object} Outgoing headers
+ */
+function buildHeaders({
+  clientIp,
+  locationData,
+  requestId,
+  accept = "text/html",
+  headers = {},
+} = {}) {
+  const location = locationData || {};
+
+  const outgoing = {
+    Accept: accept,
+    // Essential for Funnelback location detection - must be end user IP
+    "X-Forwarded-For": clientIp || "",
+    // Additional headers for our own tracking across service boundaries
+    "X-Original-Client-Ip": clientIp || "",
+    "X-Real-Ip": clientIp || "",
+    // Forward location data if already determined
+    "X-Geo-City": location.city || "",
+    "X-Geo-Region": location.region || "",
+    "X-Geo-Country": location.country || "",
+    "X-Geo-Timezone": location.timezone || "",
+    ...headers,
+  };
+
+  if (requestId) {
+    outgoing["X-Request-ID"] = requestId;
+  }
+
+  return outgoing;
+}
+
+/**
+ * Normalizes an axios error into an upstream error with a client-safe status
+ * The original axios response is preserved for handlers that inspect it.
+ *
+ * @param {Error} error - The error thrown by axios
+ * @param {string} url - The upstream URL that was requested
+ * @returns {Error} The normalized error
+ */
+function normalizeError(error, url) {
+  const upstreamStatus = error.response?.status || null;
+  const isTimeout =
+    error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+
+  let status = 502;
+  let reason = "upstream_error";
+  if (isTimeout) {
+    status = 504;
+    reason = "upstream_timeout";
+  } else if (!error.response) {
+    reason = "upstream_unreachable";
+  } else if (upstreamStatus < 500) {
+    status = upstreamStatus;
+    reason = "upstream_rejected";
+  }
+
+  const normalized = new Error(
+    `Funnelback request failed (${reason}): ${error.message}`
+  );
+  normalized.name = "FunnelbackError";
+  normalized.status = status;
+  normalized.reason = reason;
+  normalized.upstreamStatus = upstreamStatus;
+  normalized.url = url;
+  normalized.code = error.code;
+  normalized.response = error.response;
+  normalized.isAxiosError = !!error.isAxiosError;
+  normalized.isFunnelbackError = true;
+
+  return normalized;
+}
+
+/**
+ * Calculates a full-jitter backoff delay for a retry attempt
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ * @private
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(
+    RETRY_CONFIG.maxDelayMs,
+    RETRY_CONFIG.baseDelayMs * Math.pow(2, attempt)
+  );
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Waits for the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ * @private
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the Redis key for a last-good response
+ *
+ * @param {string} breakerName - Breaker the request belongs to
+ * @param {string} url - The upstream URL
+ * @param {Object|URLSearchParams} [params] - Query parameters
+ * @returns {string} Redis key
+ * @private
+ */
+function getLastGoodKey(breakerName, url, params) {
+  // Session IDs would make every key unique, so they are left out
+  let serializedParams = "";
+  if (params instanceof URLSearchParams) {
+    const copy = new URLSearchParams(params);
+    copy.delete("sessionId");
+    serializedParams = copy.toString();
+  } else if (params) {
+    serializedParams = JSON.stringify(
+      Object.keys(params)
+        .filter((key) => key !== "sessionId")
+        .sort()
+        .map((key) => [key, params[key]])
+    );
+  }
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${url}|${serializedParams}`)
+    .digest("hex");
+
+  return `${LAST_GOOD_PREFIX}:${breakerName}:${hash}`;
+}
+
+/**
+ * Stores a successful response for degraded-mode fallback
+ * Runs in the background; failures are logged and otherwise ignored.
+ *
+ * @param {string} key - Redis key
+ * @param {Object} response - Normalized response
+ * @param {string} handlerName - Handler name for logging
+ * @private
+ */
+async function storeLastGood(key, response, handlerName) {
+  try {
+    const value = JSON.stringify({
+      status: response.status,
+      data: response.data,
+      storedAt: Date.now(),
+    });
+    if (Buffer.byteLength(value) > LAST_GOOD_MAX_BYTES) {
+      commonUtils.logEvent("debug", "last_good_too_large", handlerName, {
+        bytes: Buffer.byteLength(value),
+        maxBytes: LAST_GOOD_MAX_BYTES,
+      });
+      return;
+    }
+
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return;
+
+    await redis.set(key, value, { EX: LAST_GOOD_TTL });
+  } catch (error) {
+    commonUtils.logEvent("warn", "last_good_store_failed", handlerName, {
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reads the last good response for a request, if one is stored
+ *
+ * @param {string} key - Redis key
+ * @param {string} handlerName - Handler name for logging
+ * @returns {Promise<Object|null>} Stored response or null
+ * @private
+ */
+async function readLastGood(key, handlerName) {
+  try {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return null;
+
+    const stored = await Promise.race([
+      redis.get(key),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Last-good lookup timed out")), 1000)
+      ),
+    ]);
+
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    commonUtils.logEvent("warn", "last_good_read_failed", handlerName, {
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Builds a normalized response from a stored last-good entry
+ *
+ * @param {Object} stored - Stored last-good entry
+ * @param {string} url - The upstream URL
+ * @param {string} circuitState - Current breaker state
+ * @param {number} startTime - Request start time
+ * @param {number} attempts - Upstream attempts made
+ * @returns {Object} Normalized response flagged as a fallback
+ * @private
+ */
+function buildFallbackResponse(stored, url, circuitState, startTime, attempts) {
+  return {
+    status: stored.status || 200,
+    data: stored.data,
+    headers: {},
+    url,
+    duration: Date.now() - startTime,
+    attempts,
+    circuitState,
+    fromFallback: true,
+    fallbackAge: Math.round((Date.now() - stored.storedAt) / 1000),
+  };
+}
+
+/**
+ * Creates the error thrown when the breaker rejects a request
+ *
+ * @param {string} breakerName - Breaker name
+ * @param {string} url - The upstream URL
+ * @returns {Error} Normalized FunnelbackError
+ * @private
+ */
+function createCircuitOpenError(breakerName, url) {
+  const error = new Error(
+    `Funnelback request failed (circuit_open): ${breakerName} is degraded`
+  );
+  error.name = "FunnelbackError";
+  error.status = 503;
+  error.reason = "circuit_open";
+  error.upstreamStatus = null;
+  error.url = url;
+  error.isFunnelbackError = true;
+  error.circuitState = "open";
+  error.attempts = 0;
+  return error;
+}
+
+/**
+ * Sets upstream health headers on a handler response
+ * Works with both normalized responses and normalized errors.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Normalized response or FunnelbackError
+ */
+function setUpstreamHeaders(res, result) {
+  if (!result) return;
+
+  if (result.circuitState) {
+    res.setHeader("X-Circuit-State", result.circuitState);
+  }
+  if (result.fromFallback) {
+    res.setHeader("X-Upstream-Fallback", "last-good");
+    res.setHeader("X-Upstream-Fallback-Age", String(result.fallbackAge));
+  }
+}
+
+/**
+ * Performs a GET request against Funnelback
+ * Retries timeouts and 5xx responses with jittered backoff, honours the
+ * per-endpoint circuit breaker, and serves the last good response when the
+ * upstream is degraded.
+ *
+ * @param {string} path - Path relative to the base URL (may include a pre-encoded query string)
+ * @param {Object} [options] - Request options
+ * @param {Object|URLSearchParams} [options.params] - Query parameters
+ * @param {string} [options.clientIp] - The end-user IP address
+ * @param {Object} [options.locationData] - GeoIP location data
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {string} [options.accept] - Accept header value
+ * @param {Object} [options.headers] - Additional headers to merge in
+ * @param {string} [options.type='default'] - Request type used to pick a timeout
+ * @param {number} [options.timeout] - Explicit timeout override (ms)
+ * @param {string} [options.handlerName='funnelback-client'] - Handler name for logging
+ * @param {string} [options.breaker] - Breaker name (defaults to the path without query string)
+ * @param {boolean} [options.lastGood] - Whether to store/serve last-good responses;
+ *   defaults to true for suggestion requests (type 'suggest') only
+ * @returns {Promise<Object>} Normalized response ({ status, data, headers, url, duration, attempts, circuitState, fromFallback })
+ * @throws {Error} Normalized FunnelbackError when the upstream call fails and no fallback exists
+ */
+async function get(path, options = {}) {
+  const {
+    params,
+    clientIp,
+    locationData,
+    requestId,
+    accept,
+    headers,
+    type = "default",
+    timeout,
+    handlerName = "funnelback-client",
+    breaker,
+    lastGood = type === "suggest",
+  } = options;
+
+  const url = buildUrl(path);
+  const outgoingHeaders = buildHeaders({
+    clientIp,
+    locationData,
+    requestId,
+    accept,
+    headers,
+  });
+  const requestTimeout = timeout || getTimeout(type);
+  const maxRetries =
+    RETRY_CONFIG.maxRetries[type] ?? RETRY_CONFIG.maxRetries.default;
+  const breakerName = breaker || String(path).split("?")[0] || "root";
+  const lastGoodKey = lastGood ? getLastGoodKey(breakerName, url, params) : null;
+  const startTime = Date.now();
+
+  // Fail fast while the breaker is open
+  const decision = await circuitBreaker.acquire(breakerName);
+  if (!decision.allowed) {
+    commonUtils.logEvent("warn", "funnelback_circuit_open", handlerName, {
+      requestId,
+      url,
+      breaker: breakerName,
+      circuitState: decision.state,
+    });
+
+    const stored = lastGoodKey && (await readLastGood(lastGoodKey, handlerName));
+    if (stored) {
+      commonUtils.logEvent("info", "funnelback_fallback_served", handlerName, {
+        requestId,
+        breaker: breakerName,
+        reason: "circuit_open",
+      });
+      return buildFallbackResponse(stored, url, "open", startTime, 0);
+    }
+
+    throw createCircuitOpenError(breakerName, url);
+  }
+
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    attempts = attempt + 1;
+
+    commonUtils.logEvent("info", "funnelback_request", handlerName, {
+      requestId,
+      url,
+      attempt: attempts,
+      timeout: requestTimeout,
+      breaker: breakerName,
+      circuitState: decision.state,
+      outgoingClientIp: clientIp, // Log which IP we're sending
+    });
+
+    try {
+      const response = await axios.get(url, {
+        params,
+        headers: outgoingHeaders,
+        timeout: requestTimeout,
+      });
+
+      const duration = Date.now() - startTime;
+      const circuitState = await circuitBreaker.recordSuccess(breakerName);
+
+      commonUtils.logEvent("info", "funnelback_response", handlerName, {
+        requestId,
+        url,
+        status: response.status,
+        attempts,
+        circuitState,
+        duration: `${duration}ms`,
+      });
+
+      const normalized = {
+        status: response.status,
+        data: response.data,
+        headers: response.headers,
+        url,
+        duration,
+        attempts,
+        circuitState,
+        fromFallback: false,
+      };
+
+      if (lastGoodKey) {
+        storeLastGood(lastGoodKey, normalized, handlerName);
+      }
+
+      return normalized;
+    } catch (error) {
+      lastError = normalizeError(error, url);
+
+      commonUtils.logEvent("error", "funnelback_request_failed", handlerName, {
+        requestId,
+        url,
+        attempt: attempts,
+        status: lastError.status,
+        reason: lastError.reason,
+        upstreamStatus: lastError.upstreamStatus,
+        duration: `${Date.now() - startTime}ms`,
+        error: error.message,
+      });
+
+      // Only idempotent-safe failures are retried; a half-open trial gets one shot
+      if (
+        !RETRYABLE_REASONS.includes(lastError.reason) ||
+        decision.state === "half-open" ||
+        attempt === maxRetries
+      ) {
+        break;
+      }
+
+      await sleep(getBackoffDelay(attempt));
+    }
+  }
+
+  // Client errors (4xx) say nothing about upstream health
+  const circuitState = RETRYABLE_REASONS.includes(lastError.reason)
+    ? await circuitBreaker.recordFailure(breakerName, {
+        reason: lastError.reason,
+        upstreamStatus: lastError.upstreamStatus,
+      })
+    : decision.state;
+
+  lastError.circuitState = circuitState;
+  lastError.attempts = attempts;
+
+  if (lastGoodKey && RETRYABLE_REASONS.includes(lastError.reason)) {
+    const stored = await readLastGood(lastGoodKey, handlerName);
+    if (stored) {
+      commonUtils.logEvent("info", "funnelback_fallback_served", handlerName, {
+        requestId,
+        breaker: breakerName,
+        reason: lastError.reason,
+        attempts,
+      });
+      return buildFallbackResponse(stored, url, circuitState, startTime, attempts);
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  get,
+  setUpstreamHeaders,
+  getBaseUrl,
+  buildUrl,
+  buildHeaders,
+  getTimeout,
+  normalizeError,
+  FUNNELBACK_TIMEOUTS,
+  RETRY_CONFIG,
+};
@@ -12,16 +12,30 @@
  * - Query attribution
  * - Automatic MongoDB connection handling
  * - Enhanced IP tracking for consistency
+ * - Top query lookup for cache warming
+ * - Bot scores on records; suspected bots are skipped or flagged
+ * - Quarantine collection for analytics beacons that failed signature checks
+ * - Privacy policy (hashed or truncated IPs, coarse location, user agent
+ *   families) applied before anything is stored
+ * - Models and connection shared with data subject requests (lib/dataSubject.js)
+ * - Aggregate daily counters only (query text, handler, result counts) for
+ *   visitors without analytics consent
  *
  * @author Victor Chimenti
- * @version 4.3.0
+ * @version 4.11.0
  * @namespace queryAnalytics
- * @lastModified 2025-05-16
+ * @lastModified 2026-10-18
  * @license MIT
  */
 
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { shouldExcludeFromAnalytics } = require("./botDetection");
+const { hasAnalyticsConsent } = require("./analyticsConsent");
+const {
+  applyPrivacyPolicy,
+  getClientIpMatchValues,
+} = require("./schemaHandler");
 
 // Connect to MongoDB if not already connected
 async function connectToMongoDB() {
@@ -53,7 +67,7 @@ const QuerySchema = new Schema({
   sessionId: { type: String },
 
   // IP tracking information - CRITICAL for consistency
-  clientIp: { type: String }, // Explicitly defined field for client IP
+  clientIp: { type: String }, // Hashed or truncated per the privacy policy in schemaHandler
 
   // Location information (anonymized)
   city: { type: String },
@@ -93,8 +107,12 @@ const QuerySchema = new Schema({
   // Request-specific information
   requestId: { type: String }, // Track specific request IDs
   isServerSideRequest: { type: Boolean }, // Flag for server-side requests
+  botScore: { type: Number }, // 0-100 score from lib/botDetection
+  isSuspectedBot: { type: Boolean, default: false },
+  consentSource: { type: String }, // How consent was given: 'param', 'cookie' or 'default'
 
   expiresAt: { type: Date },
+  anonymizedAt: { type: Date }, // Set when a data subject request cleared personal fields
 
   // Timestamps
   timestamp: { type: Date, default: Date.now },
@@ -113,6 +131,12 @@ QuerySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 const SUGGESTION_TTL = 60 * 60 * 24 * 30; // 30 days in seconds
 const SEARCH_CLICK_TTL = 60 * 60 * 24 * 60; // 60 days in seconds
 
+// Longest time any query record is kept, in days
+const RETENTION_DAYS = SEARCH_CLICK_TTL / (60 * 60 * 24);
+
+// Shortest time any query record is kept (suggestion records), in days
+const MIN_RETENTION_DAYS = SUGGESTION_TTL / (60 * 60 * 24);
+
 // Create a pre-save hook to calculate expiration time based on handler type
 QuerySchema.pre('save', function (next) {
   const now = new Date();
@@ -132,6 +156,46 @@ QuerySchema.pre('save', function (next) {
 });
 
 
+// Unsigned, forged or replayed analytics beacons, kept apart from real data for review
+const QuarantinedBeaconSchema = new Schema({
+  kind: { type: String, required: true }, // 'click', 'clicks-batch' or 'supplement'
+  status: { type: String, required: true }, // 'unsigned', 'invalid' or 'replayed'
+  reason: { type: String },
+  tokenRequestId: { type: String }, // Request that issued the token, if it verified
+  sessionId: { type: String },
+  clientIp: { type: String },
+  userAgent: { type: String },
+  requestId: { type: String },
+  payload: { type: Schema.Types.Mixed },
+  timestamp: { type: Date, default: Date.now },
+  expiresAt: { type: Date },
+});
+
+QuarantinedBeaconSchema.index({ timestamp: -1 });
+QuarantinedBeaconSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QUARANTINE_TTL = 60 * 60 * 24 * 14; // 14 days in seconds
+
+// Daily counters for visitors without analytics consent: nothing that identifies
+// a visitor, a session or a single request
+const QueryCounterSchema = new Schema({
+  day: { type: String, required: true }, // UTC date, YYYY-MM-DD
+  handler: { type: String, required: true },
+  query: { type: String, required: true }, // Trimmed and lowercased
+  searchCollection: { type: String, default: null },
+  searches: { type: Number, default: 0 },
+  zeroResults: { type: Number, default: 0 },
+  totalResults: { type: Number, default: 0 },
+  clicks: { type: Number, default: 0 },
+  expiresAt: { type: Date },
+});
+
+QueryCounterSchema.index(
+  { day: 1, handler: 1, query: 1, searchCollection: 1 },
+  { unique: true }
+);
+QueryCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Define or get models
 let Query;
 try {
@@ -140,9 +204,119 @@ try {
   Query = mongoose.model("Query", QuerySchema);
 }
 
+let QueryCounter;
+try {
+  QueryCounter = mongoose.model("QueryCounter");
+} catch (error) {
+  QueryCounter = mongoose.model("QueryCounter", QueryCounterSchema);
+}
+
+let QuarantinedBeacon;
+try {
+  QuarantinedBeacon = mongoose.model("QuarantinedBeacon");
+} catch (error) {
+  QuarantinedBeacon = mongoose.model("QuarantinedBeacon", QuarantinedBeaconSchema);
+}
+
+/**
+ * Counts a query or click in the aggregate daily counters
+ * Used instead of an individual record when the visitor has not consented.
+ *
+ * @param {Object} counterData - What to count
+ * @param {string} counterData.handler - Handler name
+ * @param {string} counterData.query - Query text
+ * @param {string} [counterData.searchCollection] - Collection searched
+ * @param {number} [counterData.resultCount] - Results returned, for searches
+ * @param {boolean} [counterData.click=false] - Count a click instead of a search
+ * @returns {Promise<Object>} The updated counter or null if not updated
+ */
+async function recordQueryCounter({
+  handler,
+  query,
+  searchCollection = null,
+  resultCount,
+  click = false,
+}) {
+  try {
+    await connectToMongoDB();
+
+    const now = new Date();
+    const increments = click
+      ? { clicks: 1 }
+      : {
+          searches: 1,
+          zeroResults: resultCount === 0 ? 1 : 0,
+          totalResults: resultCount || 0,
+        };
+
+    const counter = await QueryCounter.findOneAndUpdate(
+      {
+        day: now.toISOString().slice(0, 10),
+        handler: handler || "unknown",
+        query: String(query || "[empty query]").trim().toLowerCase(),
+        searchCollection,
+      },
+      {
+        $inc: increments,
+        $setOnInsert: {
+          expiresAt: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    console.log(
+      JSON.stringify({
+        timestamp: now.toISOString(),
+        service: "query-analytics",
+        event: click ? "click_counted" : "query_counted",
+        handler,
+        id: counter._id.toString(),
+      })
+    );
+
+    return counter;
+  } catch (error) {
+    console.error("Error counting query:", error);
+    return null;
+  }
+}
+
+/**
+ * Finds the counter of the search an unconsented click belongs to
+ * Counters are per day, so today's and yesterday's are searched; the one with
+ * the most searches wins when several handlers saw the query.
+ *
+ * @param {string} query - Query text of the click
+ * @returns {Promise<Object|null>} The counter's { handler, searchCollection }, or null
+ * @private
+ */
+async function findClickCounter(query) {
+  const now = new Date();
+  const counter = await QueryCounter.findOne({
+    day: {
+      $in: [
+        now.toISOString().slice(0, 10),
+        new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      ],
+    },
+    handler: { $ne: "click-only" },
+    query: String(query || "[empty query]").trim().toLowerCase(),
+    searches: { $gt: 0 },
+  })
+    .sort({ day: -1, searches: -1 })
+    .select({ handler: 1, searchCollection: 1 })
+    .lean();
+
+  return counter
+    ? { handler: counter.handler, searchCollection: counter.searchCollection }
+    : null;
+}
+
 /**
  * Records a search query in the database
  * Enhanced with explicit logging for IP tracking
+ * Without analytics consent only the aggregate counters are updated.
  *
  * @param {Object} queryData - Data about the search query
  * @returns {Promise<Object>} The saved query object or null if not saved
@@ -154,8 +328,35 @@ async function recordQuery(queryData) {
       return null;
     }
 
+    // Keep crawler traffic out of the query reports
+    if (shouldExcludeFromAnalytics(queryData)) {
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          service: "query-analytics",
+          event: "query_skipped_suspected_bot",
+          handler: queryData.handler || "unknown",
+          botScore: queryData.botScore,
+          requestId: queryData.requestId || "unknown",
+        })
+      );
+      return null;
+    }
+
+    if (!hasAnalyticsConsent(queryData)) {
+      return recordQueryCounter({
+        handler: queryData.handler,
+        query: queryData.query,
+        searchCollection: queryData.searchCollection || null,
+        resultCount: queryData.resultCount,
+      });
+    }
+
     await connectToMongoDB();
 
+    // Hash or truncate the IP and reduce location and user agent before storing
+    queryData = applyPrivacyPolicy(queryData);
+
     // Set hasResults based on resultCount
     if (queryData.resultCount !== undefined) {
       queryData.hasResults = queryData.resultCount > 0;
@@ -206,6 +407,8 @@ function escapeRegExp(string) {
 /**
  * Records a click on a search result
  * Enhanced with consistent IP tracking
+ * Without analytics consent the click is only counted against its query, on
+ * the counter of the search it came from (click-only when none is found).
  *
  * @param {Object} clickData - Data about the clicked result
  * @returns {Promise<Object>} The updated query object or null if not updated
@@ -217,6 +420,31 @@ async function recordClick(clickData) {
       return null;
     }
 
+    // Keep crawler clicks out of the query reports and the counters
+    if (shouldExcludeFromAnalytics(clickData)) {
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          service: "query-analytics",
+          event: "click_skipped_suspected_bot",
+          botScore: clickData.botScore,
+          requestId: clickData.requestId || "unknown",
+        })
+      );
+      return null;
+    }
+
+    if (!hasAnalyticsConsent(clickData)) {
+      await connectToMongoDB();
+      const search = await findClickCounter(clickData.originalQuery);
+      return recordQueryCounter({
+        handler: search ? search.handler : "click-only",
+        query: clickData.originalQuery,
+        searchCollection: search ? search.searchCollection : null,
+        click: true,
+      });
+    }
+
     await connectToMongoDB();
 
     // Make sure original query is properly sanitized
@@ -248,9 +476,10 @@ async function recordClick(clickData) {
       filters.sessionId = clickData.sessionId;
     }
 
-    // Add clientIp filter if available for more accurate matching
+    // Add clientIp filter if available for more accurate matching; queries
+    // store the protected IP, which changes with the daily salt
     if (clickData.clientIp) {
-      filters.clientIp = clickData.clientIp;
+      filters.clientIp = { $in: getClientIpMatchValues(clickData.clientIp) };
     }
 
     // Create click record
@@ -310,6 +539,10 @@ async function recordClick(clickData) {
         country: clickData.country,
         latitude: clickData.latitude,
         longitude: clickData.longitude,
+        botScore: clickData.botScore,
+        isSuspectedBot: clickData.isSuspectedBot,
+        analyticsConsent: clickData.analyticsConsent,
+        consentSource: clickData.consentSource,
         clickedResults: [clickRecord],
         lastClickTimestamp: new Date(),
         timestamp: new Date(),
@@ -399,9 +632,109 @@ async function recordClicks(clicksData) {
   }
 }
 
+/**
+ * Stores an analytics beacon that failed its signature or replay check
+ * Quarantined beacons never reach the Query collection.
+ *
+ * @param {Object} beaconData - The beacon and its verdict
+ * @param {string} beaconData.kind - Endpoint kind ('click', 'clicks-batch' or 'supplement')
+ * @param {string} beaconData.status - Verdict status from beaconSigner.checkBeacon
+ * @param {Object} beaconData.payload - The beacon body as received
+ * @returns {Promise<Object>} The saved record or null if not saved
+ */
+async function recordQuarantinedBeacon(beaconData) {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.log("MongoDB URI not defined, skipping beacon quarantine");
+      return null;
+    }
+
+    await connectToMongoDB();
+
+    const record = new QuarantinedBeacon({
+      ...applyPrivacyPolicy(beaconData),
+      expiresAt: new Date(Date.now() + QUARANTINE_TTL * 1000),
+    });
+    await record.save();
+
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: "query-analytics",
+        event: "beacon_quarantined",
+        kind: beaconData.kind,
+        status: beaconData.status,
+        reason: beaconData.reason || null,
+        id: record._id.toString(),
+        requestId: beaconData.requestId || "unknown",
+      })
+    );
+
+    return record;
+  } catch (error) {
+    console.error("Error quarantining beacon:", error);
+    return null;
+  }
+}
+
+/**
+ * Gets the most frequent queries for a handler over a recent window
+ * Queries are grouped by exact text and collection so they map onto cache keys.
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.handler - Handler name (e.g. 'suggest', 'suggestPrograms')
+ * @param {number} [options.days=7] - How many days back to look
+ * @param {number} [options.limit=25] - Maximum number of queries to return
+ * @param {number} [options.minLength=3] - Minimum query length (shorter queries are never cached)
+ * @returns {Promise<Array<Object>>} Top queries ({ query, collection, count }), most frequent first
+ */
+async function getTopQueries({ handler, days = 7, limit = 25, minLength = 3 }) {
+  if (!process.env.MONGODB_URI) {
+    console.log("MongoDB URI not defined, skipping top query lookup");
+    return [];
+  }
+
+  await connectToMongoDB();
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const results = await Query.aggregate([
+    {
+      $match: {
+        handler,
+        timestamp: { $gte: since },
+        query: { $nin: ["", "[empty query]"] },
+        isSuspectedBot: { $ne: true },
+        $expr: { $gte: [{ $strLenCP: "$query" }, minLength] },
+      },
+    },
+    {
+      $group: {
+        _id: { query: "$query", collection: "$searchCollection" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+  ]);
+
+  return results.map((result) => ({
+    query: result._id.query,
+    collection: result._id.collection || null,
+    count: result.count,
+  }));
+}
+
 module.exports = {
   Query,
+  QuarantinedBeacon,
+  QueryCounter,
+  RETENTION_DAYS,
+  MIN_RETENTION_DAYS,
+  connectToMongoDB,
   recordQuery,
+  recordQueryCounter,
   recordClick,
   recordClicks,
+  recordQuarantinedBeacon,
+  getTopQueries,
 };
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Rate Limit Keys and IP Allow/Deny Lists for the Edge Middleware
+ *
+ * Decides which bucket a request is counted against and whether it is
+ * limited at all. Keying on the single client IP throttles whole campus NAT
+ * ranges while bots rotating addresses inside one /24 escape it, so the key
+ * strategy is configurable, globally and per route.
+ *
+ * Key strategies:
+ * - ip: the client IP
+ * - subnet: the IPv4 /24 or IPv6 /64 prefix of the client IP
+ * - session: the session ID the client sent, falling back to the IP
+ * - composite: subnet plus session, so users behind one NAT get their own
+ *   buckets; requests without a session share their subnet's bucket
+ *
+ * Session IDs are chosen by the client, so a client rotating them would get a
+ * fresh bucket on every request. The session and composite strategies
+ * therefore always come with a ceiling bucket for the whole IP (session) or
+ * subnet (composite), at RATE_LIMIT_CEILING_SCALE times the route's limits.
+ *
+ * Access lists (IPs or CIDR ranges, IPv4 and IPv6):
+ * - allowlist: campus egress ranges and monitoring hosts, never limited
+ * - denylist: always rejected
+ *
+ * Runs in the Edge runtime; configuration comes from environment variables.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace rateLimitKeys
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+/** Supported key strategies */
+const KEY_STRATEGIES = ["ip", "subnet", "session", "composite"];
+
+/** Prefix lengths used by the subnet strategy */
+const SUBNET_PREFIX = { 4: 24, 6: 64 };
+
+/** Ceiling limits as a multiple of the route limits, for session-keyed buckets */
+const DEFAULT_CEILING_SCALE = 10;
+
+/** Longest session ID accepted as a key, so keys stay bounded */
+const MAX_SESSION_LENGTH = 128;
+
+/**
+ * Parses an IPv4 address into a number
+ *
+ * @param {string} ip - Dotted-quad address
+ * @returns {bigint|null} Address value, or null if invalid
+ * @private
+ */
+function parseIpv4(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4) return null;
+
+  let value = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = (value << 8n) | BigInt(part);
+  }
+  return value;
+}
+
+/**
+ * Parses an IPv6 address into a number
+ * Handles "::" compression, zone IDs and an embedded IPv4 tail.
+ *
+ * @param {string} ip - IPv6 address
+ * @returns {bigint|null} Address value, or null if invalid
+ * @private
+ */
+function parseIpv6(ip) {
+  let address = ip.split("%")[0];
+  let tail = [];
+
+  // Embedded IPv4 (e.g. ::ffff:192.0.2.1) becomes the last two groups
+  const lastColon = address.lastIndexOf(":");
+  if (address.slice(lastColon + 1).includes(".")) {
+    const ipv4 = parseIpv4(address.slice(lastColon + 1));
+    if (ipv4 === null) return null;
+    tail = [(ipv4 >> 16n).toString(16), (ipv4 & 0xffffn).toString(16)];
+    address = address.slice(0, lastColon) + (address[lastColon - 1] === ":" ? ":" : "");
+  }
+
+  const halves = address.split("::");
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(":") : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const explicit = [...head, ...rest, ...tail];
+  const missing = 8 - explicit.length;
+  if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...rest, ...tail];
+
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(`0x${group}`);
+  }
+  return value;
+}
+
+/**
+ * Parses an IP address, treating IPv4-mapped IPv6 addresses as IPv4
+ *
+ * @param {string} ip - The IP address
+ * @returns {Object|null} Parsed address ({ version, value }), or null if invalid
+ */
+function parseIp(ip) {
+  const address = String(ip || "").trim();
+
+  if (address.includes(":")) {
+    const value = parseIpv6(address);
+    if (value === null) return null;
+    if (value >> 32n === 0xffffn) {
+      return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+  }
+
+  const value = parseIpv4(address);
+  return value === null ? null : { version: 4, value };
+}
+
+/**
+ * Masks an address value down to its network prefix
+ *
+ * @param {Object} address - Parsed address ({ version, value })
+ * @param {number} prefix - Prefix length in bits
+ * @returns {bigint} Network value
+ * @private
+ */
+function maskAddress({ version, value }, prefix) {
+  const bits = version === 4 ? 32n : 128n;
+  const hostBits = bits - BigInt(prefix);
+  return (value >> hostBits) << hostBits;
+}
+
+/**
+ * Formats an address value as text
+ *
+ * @param {number} version - 4 or 6
+ * @param {bigint} value - Address value
+ * @returns {string} Dotted-quad or full (uncompressed) IPv6 text
+ * @private
+ */
+function formatAddress(version, value) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => String((value >> shift) & 0xffn)).join(".");
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+  return groups.join(":");
+}
+
+/**
+ * Parses a list of IPs and CIDR ranges
+ * Entries are separated by commas or whitespace; invalid entries are logged and skipped.
+ *
+ * @param {string|Array<string>} list - e.g. "10.0.0.0/8, 2001:db8::/32, 192.0.2.7"
+ * @returns {Array<Object>} Ranges ({ version, network, prefix, source })
+ */
+function parseCidrList(list) {
+  const entries = Array.isArray(list) ? list : String(list || "").split(/[\s,]+/);
+
+  return entries.filter(Boolean).reduce((ranges, entry) => {
+    const [address, prefixText] = entry.split("/");
+    const parsed = parseIp(address);
+    const maxPrefix = parsed?.version === 4 ? 32 : 128;
+    // IPv4-mapped IPv6 ranges (::ffff:a.b.c.d/n) are matched as IPv4 /(n - 96)
+    const prefix =
+      prefixText === undefined
+        ? maxPrefix
+        : Number(prefixText) - (parsed?.version === 4 && address.includes(":") ? 96 : 0);
+
+    if (!parsed || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          service: "rate-limit-keys",
+          event: "invalid_cidr_ignored",
+          entry,
+        })
+      );
+      return ranges;
+    }
+
+    ranges.push({
+      version: parsed.version,
+      network: maskAddress(parsed, prefix),
+      prefix,
+      source: entry,
+    });
+    return ranges;
+  }, []);
+}
+
+/**
+ * Finds the first range in a list that contains an IP
+ *
+ * @param {string} ip - The IP address
+ * @param {Array<Object>} ranges - Ranges from parseCidrList
+ * @returns {Object|null} The matching range, or null
+ */
+function findMatchingRange(ip, ranges) {
+  const address = parseIp(ip);
+  if (!address) return null;
+
+  return (
+    ranges.find(
+      (range) =>
+        range.version === address.version &&
+        maskAddress(address, range.prefix) === range.network
+    ) || null
+  );
+}
+
+/**
+ * Gets the /24 (IPv4) or /64 (IPv6) network of an IP
+ *
+ * @param {string} ip - The IP address
+ * @returns {string|null} Network in CIDR notation, or null if the IP is invalid
+ */
+function getSubnet(ip) {
+  const address = parseIp(ip);
+  if (!address) return null;
+
+  const prefix = SUBNET_PREFIX[address.version];
+  return `${formatAddress(address.version, maskAddress(address, prefix))}/${prefix}`;
+}
+
+/**
+ * Parses per-route strategy overrides
+ *
+ * @param {string} value - e.g. "suggest=composite,analytics=session"
+ * @returns {Object<string, string>} Strategy by route name
+ * @private
+ */
+function parseRouteStrategies(value) {
+  return String(value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .reduce((strategies, entry) => {
+      const [route, strategy] = entry.split("=");
+      if (route && KEY_STRATEGIES.includes(strategy)) {
+        strategies[route] = strategy;
+      }
+      return strategies;
+    }, {});
+}
+
+/**
+ * Creates a key policy for the rate limiter
+ * Options default to the RATE_LIMIT_KEY, RATE_LIMIT_ROUTE_KEYS,
+ * RATE_LIMIT_CEILING_SCALE, RATE_LIMIT_ALLOWLIST and RATE_LIMIT_DENYLIST
+ * environment variables.
+ *
+ * @param {Object} [options] - Policy options
+ * @param {string} [options.strategy] - Default key strategy (see KEY_STRATEGIES)
+ * @param {Object<string, string>|string} [options.routeStrategies] - Per-route strategies
+ * @param {string|Array<string>} [options.allowlist] - IPs/CIDRs never limited
+ * @param {string|Array<string>} [options.denylist] - IPs/CIDRs always rejected
+ * @param {number} [options.ceilingScale] - Ceiling limits as a multiple of the route limits
+ * @returns {Object} Policy with getAccess(clientIp), getKey(route, client)
+ *   and getCeilingKey(route, client)
+ */
+function createKeyPolicy(options = {}) {
+  const requested = options.strategy || process.env.RATE_LIMIT_KEY;
+  const strategy = KEY_STRATEGIES.includes(requested) ? requested : "ip";
+  const routeStrategies =
+    typeof options.routeStrategies === "object"
+      ? options.routeStrategies
+      : parseRouteStrategies(options.routeStrategies ?? process.env.RATE_LIMIT_ROUTE_KEYS);
+  const allowlist = parseCidrList(options.allowlist ?? process.env.RATE_LIMIT_ALLOWLIST);
+  const denylist = parseCidrList(options.denylist ?? process.env.RATE_LIMIT_DENYLIST);
+  const ceilingScale =
+    Number(options.ceilingScale ?? process.env.RATE_LIMIT_CEILING_SCALE) ||
+    DEFAULT_CEILING_SCALE;
+
+  return {
+    strategy,
+    ceilingScale,
+
+    /**
+     * Decides whether a client is limited, exempt or rejected
+     * The denylist wins when an address is on both lists.
+     *
+     * @param {string} clientIp - The client IP
+     * @returns {Object} Access ({ access: 'deny'|'allow'|'limit', range })
+     */
+    getAccess(clientIp) {
+      const denied = findMatchingRange(clientIp, denylist);
+      if (denied) return { access: "deny", range: denied.source };
+
+      const allowed = findMatchingRange(clientIp, allowlist);
+      if (allowed) return { access: "allow", range: allowed.source };
+
+      return { access: "limit", range: null };
+    },
+
+    /**
+     * Builds the bucket key for a request
+     *
+     * @param {string} route - Route name (see rateLimiter.getRouteForPath)
+     * @param {Object} client - Client identity
+     * @param {string} client.clientIp - The client IP
+     * @param {string} [client.sessionId] - Session ID sent by the client, if any
+     * @returns {string} Bucket key, prefixed with the strategy used
+     */
+    getKey(route, { clientIp, sessionId }) {
+      const routeStrategy = routeStrategies[route] || strategy;
+      const session =
+        sessionId && sessionId.length <= MAX_SESSION_LENGTH ? sessionId : null;
+      const ipKey = `ip:${clientIp || "unknown"}`;
+      const subnet = getSubnet(clientIp);
+
+      switch (routeStrategy) {
+        case "subnet":
+          return subnet ? `net:${subnet}` : ipKey;
+        case "session":
+          return session ? `sess:${session}` : ipKey;
+        case "composite":
+          if (!session) return subnet ? `net:${subnet}` : ipKey;
+          return `net:${subnet || clientIp || "unknown"}|sess:${session}`;
+        default:
+          return ipKey;
+      }
+    },
+
+    /**
+     * Builds the ceiling bucket key for a request
+     * Only session-keyed strategies need one; it bounds what a client can get
+     * by rotating session IDs.
+     *
+     * @param {string} route - Route name (see rateLimiter.getRouteForPath)
+     * @param {Object} client - Client identity
+     * @param {string} client.clientIp - The client IP
+     * @returns {string|null} Ceiling bucket key, or null when the strategy needs none
+     */
+    getCeilingKey(route, { clientIp }) {
+      const routeStrategy = routeStrategies[route] || strategy;
+      const subnet = getSubnet(clientIp);
+
+      switch (routeStrategy) {
+        case "session":
+          return `ceil:ip:${clientIp || "unknown"}`;
+        case "composite":
+          return `ceil:${subnet ? `net:${subnet}` : `ip:${clientIp || "unknown"}`}`;
+        default:
+          return null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  KEY_STRATEGIES,
+  createKeyPolicy,
+  parseIp,
+  parseCidrList,
+  findMatchingRange,
+  getSubnet,
+};
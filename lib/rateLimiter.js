@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Token Bucket Rate Limiter for the Edge Middleware
+ *
+ * Replaces the per-isolate fixed window counters in middleware.js with a token
+ * bucket whose state lives in a shared store, so limits hold across every edge
+ * isolate and region. Each route has a sustained rate and a burst allowance:
+ * the bucket holds up to `burst` tokens and refills at `limit` tokens per
+ * window, so short typing bursts on the suggest routes are absorbed while the
+ * sustained rate is still enforced.
+ *
+ * Stores:
+ * - Upstash/Vercel KV Redis over REST, one atomic EVAL per check
+ * - In-memory fallback (per isolate) for local development and tests, and
+ *   whenever the REST store is unreachable
+ *
+ * This module runs in the Edge runtime: it must only use fetch and other Web
+ * APIs, never Node built-ins or the TCP redis client.
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace rateLimiter
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+/**
+ * Per-route limits: `limit` tokens are refilled every `windowMs`, and the
+ * bucket holds at most `burst` tokens
+ * Bursts are never below the 60-per-minute (search and suggest), 50
+ * (analytics) and 30 (default) requests the old fixed window let through at
+ * once; the suggest routes allow twice that, since one search can take a
+ * request per keystroke.
+ * @type {Object<string, { limit: number, burst: number, windowMs: number }>}
+ * @constant
+ */
+const ROUTE_LIMITS = {
+  suggest: { limit: 60, burst: 120, windowMs: 60000 }, // Typing bursts
+  suggestPeople: { limit: 60, burst: 120, windowMs: 60000 },
+  suggestPrograms: { limit: 60, burst: 120, windowMs: 60000 },
+  search: { limit: 60, burst: 60, windowMs: 60000 },
+  analytics: { limit: 50, burst: 50, windowMs: 60000 },
+  default: { limit: 30, burst: 30, windowMs: 60000 },
+};
+
+/**
+ * Route patterns checked in order; the first match wins
+ * @type {Array<{ route: string, pattern: RegExp }>}
+ * @private
+ */
+const ROUTE_PATTERNS = [
+  { route: "suggest", pattern: /\/proxy\/funnelback\/suggest/ },
+  { route: "suggestPeople", pattern: /\/proxy\/suggestPeople/ },
+  { route: "suggestPrograms", pattern: /\/proxy\/suggestPrograms/ },
+  { route: "search", pattern: /\/proxy\/funnelback\/(search|spelling)/ },
+  { route: "analytics", pattern: /\/(proxy|api)\/analytics/ },
+];
+
+/** Store configuration */
+const STORE_CONFIG = {
+  restUrl: process.env.RATE_LIMIT_REDIS_REST_URL || process.env.KV_REST_API_URL,
+  restToken:
+    process.env.RATE_LIMIT_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN,
+  keyPrefix: "ratelimit",
+  timeoutMs: 150, // A slow store must not slow every request down
+  memoryMaxKeys: 10000, // Bounded so a key flood cannot exhaust the isolate
+};
+
+/**
+ * Atomic token bucket step: refill by elapsed time, then take `cost` tokens
+ * Uses the Redis clock so edge isolates with skewed clocks agree.
+ * Returns { allowed (0/1), tokens left as a string } since Redis truncates Lua floats.
+ * @private
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refillPerMs)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Writes a structured log line in the middleware's format
+ *
+ * @param {string} event - Event name
+ * @param {Object} data - Additional data
+ * @private
+ */
+function logEvent(event, data = {}) {
+  console.log(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      service: "rate-limiter",
+      event,
+      ...data,
+    })
+  );
+}
+
+/**
+ * Creates an in-memory token bucket store
+ * State is local to one isolate; used for tests and as the fallback store.
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxKeys] - Maximum number of buckets kept
+ * @param {Function} [options.now] - Clock, overridable for tests
+ * @returns {Object} Store with consume(key, bucket)
+ */
+function createMemoryStore({
+  maxKeys = STORE_CONFIG.memoryMaxKeys,
+  now = Date.now,
+} = {}) {
+  const buckets = new Map();
+
+  return {
+    name: "memory",
+
+    async consume(key, { capacity, refillPerMs, cost }) {
+      const time = now();
+      const state = buckets.get(key) || { tokens: capacity, ts: time };
+      let tokens = Math.min(
+        capacity,
+        state.tokens + Math.max(0, time - state.ts) * refillPerMs
+      );
+
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+
+      // Re-insert so the Map stays in least-recently-used order
+      buckets.delete(key);
+      if (buckets.size >= maxKeys) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      buckets.set(key, { tokens, ts: time });
+
+      return { allowed, tokens };
+    },
+  };
+}
+
+/**
+ * Creates a token bucket store backed by Redis over REST (Upstash / Vercel KV)
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.url - REST endpoint URL
+ * @param {string} options.token - REST bearer token
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @param {Function} [options.fetchImpl] - fetch implementation, overridable for tests
+ * @returns {Object} Store with consume(key, bucket)
+ */
+function createRestStore({
+  url,
+  token,
+  timeoutMs = STORE_CONFIG.timeoutMs,
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  return {
+    name: "redis-rest",
+
+    async consume(key, { capacity, refillPerMs, cost }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetchImpl(url, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify([
+            "EVAL",
+            TOKEN_BUCKET_SCRIPT,
+            1,
+            key,
+            capacity,
+            refillPerMs,
+            cost,
+          ]),
+          signal: controller.signal,
+        });
+
+        const payload = await response.json();
+        if (!response.ok || payload.error) {
+          throw new Error(payload.error || `HTTP ${response.status}`);
+        }
+
+        const [allowed, tokens] = payload.result;
+        return { allowed: Number(allowed) === 1, tokens: parseFloat(tokens) };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * Gets the route name whose limits apply to a path
+ *
+ * @param {string} path - The request path
+ * @returns {string} A key of ROUTE_LIMITS
+ */
+function getRouteForPath(path) {
+  const match = ROUTE_PATTERNS.find(({ pattern }) => pattern.test(path));
+  return match ? match.route : "default";
+}
+
+/**
+ * Creates a rate limiter
+ * With no store given, the REST store is used when it is configured and the
+ * in-memory store otherwise. If the primary store fails, the check falls back
+ * to the in-memory store rather than rejecting or letting everything through.
+ *
+ * @param {Object} [options] - Limiter options
+ * @param {Object} [options.store] - Primary store (see createRestStore / createMemoryStore)
+ * @param {Object} [options.fallbackStore] - Store used when the primary store fails
+ * @param {Object} [options.routes] - Per-route limits, defaults to ROUTE_LIMITS
+ * @returns {Object} Limiter with check(route, key, options)
+ */
+function createRateLimiter(options = {}) {
+  const fallbackStore = options.fallbackStore || createMemoryStore();
+  const routes = options.routes || ROUTE_LIMITS;
+  let store = options.store;
+
+  if (!store) {
+    store =
+      STORE_CONFIG.restUrl && STORE_CONFIG.restToken
+        ? createRestStore({
+            url: STORE_CONFIG.restUrl,
+            token: STORE_CONFIG.restToken,
+          })
+        : fallbackStore;
+  }
+
+  return {
+    store: store.name,
+
+    /**
+     * Takes a token from the bucket for a route and client key
+     *
+     * @param {string} route - A key of the route limits
+     * @param {string} key - The client key (e.g. the client IP)
+     * @param {Object} [checkOptions] - Check options
+     * @param {number} [checkOptions.cost=1] - Tokens this request costs
+     * @param {number} [checkOptions.scale=1] - Multiplies the route's limit and burst
+     *   (ceiling buckets shared by many clients)
+     * @returns {Promise<Object>} Result ({ allowed, limit, remaining, reset, retryAfter, policy, store })
+     */
+    async check(route, key, { cost = 1, scale = 1 } = {}) {
+      const routeLimits = routes[route] || routes.default;
+      const { windowMs } = routeLimits;
+      const limit = routeLimits.limit * scale;
+      const burst = routeLimits.burst * scale;
+      const bucket = { capacity: burst, refillPerMs: limit / windowMs, cost };
+      const bucketKey = `${STORE_CONFIG.keyPrefix}:${route}:${key}`;
+
+      let result;
+      let storeName = store.name;
+      try {
+        result = await store.consume(bucketKey, bucket);
+      } catch (error) {
+        logEvent("store_failed", {
+          store: store.name,
+          route,
+          error: error.name === "AbortError" ? "timeout" : error.message,
+        });
+        storeName = fallbackStore.name;
+        result = await fallbackStore.consume(bucketKey, bucket);
+      }
+
+      const tokens = Math.max(0, result.tokens);
+      const msPerToken = windowMs / limit;
+
+      return {
+        allowed: result.allowed,
+        limit: burst,
+        remaining: Math.floor(tokens),
+        // Seconds until the bucket is full again
+        reset: Math.ceil(((burst - tokens) * msPerToken) / 1000),
+        // Seconds until enough tokens for this request have been refilled
+        retryAfter: result.allowed
+          ? 0
+          : Math.max(1, Math.ceil(((cost - tokens) * msPerToken) / 1000)),
+        policy: `${limit};w=${Math.round(windowMs / 1000)};burst=${burst}`,
+        store: storeName,
+      };
+    },
+  };
+}
+
+/**
+ * Builds the standard rate limit response headers for a check result
+ * Follows the IETF RateLimit header fields draft; Retry-After is only set on rejections.
+ *
+ * @param {Object} result - Result of limiter.check
+ * @returns {Object<string, string>} Header names and values
+ */
+function getRateLimitHeaders(result) {
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+    "RateLimit-Policy": result.policy,
+  };
+
+  if (!result.allowed) {
+    headers["Retry-After"] = String(result.retryAfter);
+  }
+
+  return headers;
+}
+
+module.exports = {
+  ROUTE_LIMITS,
+  createRateLimiter,
+  createMemoryStore,
+  createRestStore,
+  getRouteForPath,
+  getRateLimitHeaders,
+};
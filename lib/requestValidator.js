@@ -0,0 +1,430 @@
+/**
+ * @fileoverview Request Parameter Validation for Funnelback Proxy Routes
+ *
+ * Declarative parameter schemas for every proxy route, enforced before any
+ * upstream call. The handlers used to forward `req.query` to Funnelback
+ * wholesale; now only declared parameters with valid values are forwarded.
+ *
+ * Features:
+ * - Per-route allowed keys with types, maximum lengths, patterns and value lists
+ * - Collection and profile allowlists
+ * - Facet parameters (f.<Facet>|<constraint>) limited to the facets the
+ *   search UI generates
+ * - Parameters of Funnelback-generated facet and paging links (facetScope,
+ *   gscope*, meta_*, query_*) accepted on the search routes
+ * - Explicit set of Funnelback tool paths for the tools route
+ * - Tracking parameters (utm_*, cache busters, ad click IDs) dropped silently;
+ *   other unknown parameters are dropped and logged, never forwarded
+ * - Structured 400 responses listing every violation
+ *
+ * Configuration (comma separated, each replaces the default list):
+ * - FUNNELBACK_ALLOWED_COLLECTIONS
+ * - FUNNELBACK_ALLOWED_FACETS
+ * - FUNNELBACK_TOOL_PATHS
+ *
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @namespace requestValidator
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const commonUtils = require("./commonUtils");
+
+/**
+ * Reads a comma separated list from the environment
+ *
+ * @param {string} name - Environment variable name
+ * @param {Array<string>} fallback - List used when the variable is unset
+ * @returns {Array<string>} The list
+ * @private
+ */
+function readList(name, fallback) {
+  const entries = String(process.env[name] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return entries.length > 0 ? entries : fallback;
+}
+
+/** Collections the proxy may query */
+const ALLOWED_COLLECTIONS = readList("FUNNELBACK_ALLOWED_COLLECTIONS", [
+  "seattleu~sp-search",
+  "seattleu~ds-programs",
+  "seattleu~ds-staff",
+]);
+
+/** Profiles the proxy may query */
+const ALLOWED_PROFILES = ["_default", "_default_preview"];
+
+/**
+ * Facet names allowed in f.<Facet>|<constraint> parameters
+ * The facets of the search UI; when a collection gains a facet, add it here
+ * or set FUNNELBACK_ALLOWED_FACETS.
+ */
+const ALLOWED_FACETS = readList("FUNNELBACK_ALLOWED_FACETS", [
+  "Tabs",
+  "Content Type",
+]);
+
+/** Shape of a facet name, e.g. "Tabs" or "Content Type" */
+const FACET_NAME_PATTERN = /^[\w .&-]{1,64}$/;
+
+/**
+ * Funnelback paths the tools route may call
+ * Facet and paging requests re-run the search; "cache" serves Funnelback's
+ * cached copy of a result. Redirect and admin paths are deliberately absent.
+ */
+const TOOL_PATHS = readList("FUNNELBACK_TOOL_PATHS", [
+  "search.html",
+  "search.json",
+  "cache",
+]);
+
+/** Tracking parameters that never reach Funnelback and are not violations */
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^_$/,
+  /^_t$/i,
+  /^(cb|ts|nocache|cachebust(er)?)$/i,
+  /^(fbclid|gclid|msclkid)$/i,
+];
+
+/** Most parameters a request may carry, tracking parameters included */
+const MAX_PARAMS = 40;
+
+/** Longest facet constraint value */
+const MAX_FACET_VALUE_LENGTH = 256;
+
+/**
+ * Parameters Funnelback adds to its own facet and paging links, forwarded on
+ * routes that serve those links (see the links flag of ROUTE_SCHEMAS)
+ */
+const LINK_PARAMS = [
+  /^facetScope$/,
+  /^gscope\d*$/,
+  /^meta_\w{1,64}$/,
+  /^query_(and|or|phrase|not|sand|prox)$/,
+];
+
+/** Longest value of a Funnelback link parameter */
+const MAX_LINK_VALUE_LENGTH = 1024;
+
+/** Control characters are never valid in a parameter value */
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Parameter rules shared by the routes
+ * - type: 'string' or 'integer'
+ * - maxLength / pattern / values: string constraints
+ * - min / max: integer bounds
+ * - required: must be present and non-empty
+ * - forward: false keeps a routing parameter out of the upstream request
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const FIELDS = {
+  query: { type: "string", maxLength: 256 },
+  partial_query: { type: "string", maxLength: 256 },
+  collection: { type: "string", values: ALLOWED_COLLECTIONS },
+  profile: { type: "string", values: ALLOWED_PROFILES },
+  form: { type: "string", pattern: /^[a-z][a-z0-9_-]{0,31}$/i },
+  sort: { type: "string", pattern: /^[a-z_]{0,32}$/i },
+  start_rank: { type: "integer", min: 1, max: 10000 },
+  num_ranks: { type: "integer", min: 1, max: 100 },
+  show: { type: "integer", min: 1, max: 50 },
+  alpha: { type: "string", pattern: /^[01](\.\d{1,3})?$/ },
+  fmt: { type: "string", values: ["json", "json++", "xml"] },
+  sessionId: { type: "string", maxLength: 128, pattern: /^[\w.:-]+$/ },
+};
+
+/**
+ * Parameters every route accepts that are meant for the proxy itself and are
+ * never forwarded to Funnelback
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const PROXY_FIELDS = {
+  // Consent banner choice (see lib/analyticsConsent.js)
+  analyticsConsent: {
+    type: "string",
+    values: ["granted", "denied", "true", "false", "1", "0"],
+    forward: false,
+  },
+};
+
+/** Parameters of a Funnelback search request */
+const SEARCH_FIELDS = {
+  query: FIELDS.query,
+  partial_query: FIELDS.partial_query,
+  collection: FIELDS.collection,
+  profile: FIELDS.profile,
+  form: FIELDS.form,
+  sort: FIELDS.sort,
+  start_rank: FIELDS.start_rank,
+  num_ranks: FIELDS.num_ranks,
+  sessionId: FIELDS.sessionId,
+};
+
+/**
+ * Parameter schema per route
+ * - facets: f.<Facet>|<constraint> parameters are accepted
+ * - links: parameters of Funnelback's facet and paging links are accepted
+ * @type {Object<string, { fields: Object, facets: boolean, links?: boolean }>}
+ * @constant
+ */
+const ROUTE_SCHEMAS = {
+  server: { fields: SEARCH_FIELDS, facets: true, links: true },
+  search: { fields: SEARCH_FIELDS, facets: true, links: true },
+  spelling: {
+    fields: {
+      query: FIELDS.query,
+      partial_query: FIELDS.partial_query,
+      collection: FIELDS.collection,
+      profile: FIELDS.profile,
+      form: FIELDS.form,
+      sessionId: FIELDS.sessionId,
+    },
+    facets: false,
+  },
+  tools: {
+    fields: {
+      ...SEARCH_FIELDS,
+      path: { type: "string", values: TOOL_PATHS, required: true, forward: false },
+      // Parameters of the cache tool
+      url: { type: "string", maxLength: 2048, pattern: /^https?:\/\//i },
+      doc: { type: "string", maxLength: 512 },
+    },
+    facets: true,
+    links: true,
+  },
+  suggest: {
+    fields: {
+      query: FIELDS.query,
+      partial_query: FIELDS.partial_query,
+      collection: FIELDS.collection,
+      profile: FIELDS.profile,
+      show: FIELDS.show,
+      sort: FIELDS.sort,
+      alpha: FIELDS.alpha,
+      fmt: FIELDS.fmt,
+      sessionId: FIELDS.sessionId,
+    },
+    facets: true,
+  },
+  suggestPeople: {
+    // fetchPeople pins everything but the query; collection and profile are
+    // still accepted from existing clients
+    fields: {
+      query: FIELDS.query,
+      collection: FIELDS.collection,
+      profile: FIELDS.profile,
+      sessionId: FIELDS.sessionId,
+    },
+    facets: false,
+  },
+  suggestPrograms: {
+    // fetchPrograms pins collection, profile, num_ranks and form
+    fields: {
+      query: FIELDS.query,
+      collection: FIELDS.collection,
+      profile: FIELDS.profile,
+      sort: FIELDS.sort,
+      start_rank: FIELDS.start_rank,
+      sessionId: FIELDS.sessionId,
+    },
+    facets: true,
+  },
+};
+
+/**
+ * Checks one value against a field rule
+ *
+ * @param {string} name - Parameter name
+ * @param {*} value - Parameter value
+ * @param {Object} rule - Field rule (see FIELDS)
+ * @returns {Object|null} Violation ({ param, code, message }), or null if valid
+ * @private
+ */
+function checkValue(name, value, rule) {
+  if (Array.isArray(value) || typeof value === "object") {
+    return { param: name, code: "repeated", message: `${name} must be given once` };
+  }
+
+  const text = String(value);
+  if (CONTROL_CHARACTERS.test(text)) {
+    return { param: name, code: "invalid_characters", message: `${name} contains control characters` };
+  }
+
+  if (rule.type === "integer") {
+    const number = Number(text);
+    if (!/^-?\d+$/.test(text) || number < rule.min || number > rule.max) {
+      return {
+        param: name,
+        code: "out_of_range",
+        message: `${name} must be a whole number from ${rule.min} to ${rule.max}`,
+      };
+    }
+    return null;
+  }
+
+  if (rule.values && !rule.values.includes(text)) {
+    return {
+      param: name,
+      code: "not_allowed",
+      message: `${name} must be one of: ${rule.values.join(", ")}`,
+    };
+  }
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return {
+      param: name,
+      code: "too_long",
+      message: `${name} must be at most ${rule.maxLength} characters`,
+    };
+  }
+  if (rule.pattern && !rule.pattern.test(text)) {
+    return { param: name, code: "invalid_format", message: `${name} has an invalid format` };
+  }
+
+  return null;
+}
+
+/**
+ * Checks a facet parameter (f.<Facet>|<constraint>)
+ * Facet parameters may repeat, so arrays are allowed.
+ *
+ * @param {string} name - Parameter name
+ * @param {*} value - Parameter value
+ * @returns {Object|null} Violation, or null if valid
+ * @private
+ */
+function checkFacet(name, value) {
+  const facetName = name.slice(2).split("|")[0];
+  if (!FACET_NAME_PATTERN.test(facetName)) {
+    return { param: name, code: "invalid_facet", message: `Facet "${facetName}" is not a valid facet name` };
+  }
+  if (!ALLOWED_FACETS.includes(facetName)) {
+    return { param: name, code: "unknown_facet", message: `Facet "${facetName}" is not allowed` };
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  const invalid = values.some(
+    (item) =>
+      typeof item === "object" ||
+      CONTROL_CHARACTERS.test(String(item)) ||
+      String(item).length > MAX_FACET_VALUE_LENGTH
+  );
+  if (invalid) {
+    return {
+      param: name,
+      code: "invalid_facet_value",
+      message: `${name} values must be at most ${MAX_FACET_VALUE_LENGTH} characters of text`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validates request parameters against a route schema
+ * Unknown parameters are not violations: old and Funnelback-generated links
+ * keep working, but the parameters are dropped (and logged) instead of being
+ * forwarded.
+ *
+ * @param {string} route - A key of ROUTE_SCHEMAS
+ * @param {Object} query - The request query
+ * @returns {Object} Result ({ valid, params, violations, dropped, unknown })
+ *   params holds only the declared parameters to forward upstream; dropped
+ *   lists tracking parameters and unknown the other parameters left out
+ */
+function validateRequest(route, query) {
+  const schema = ROUTE_SCHEMAS[route];
+  if (!schema) {
+    throw new Error(`No parameter schema for route: ${route}`);
+  }
+
+  const entries = Object.entries(query || {});
+  const violations = [];
+  const params = {};
+  const dropped = [];
+  const unknown = [];
+
+  if (entries.length > MAX_PARAMS) {
+    violations.push({
+      param: null,
+      code: "too_many_parameters",
+      message: `At most ${MAX_PARAMS} parameters are allowed`,
+    });
+  }
+
+  for (const [name, value] of entries) {
+    if (TRACKING_PARAMS.some((pattern) => pattern.test(name))) {
+      dropped.push(name);
+      continue;
+    }
+
+    const rule = schema.fields[name] || PROXY_FIELDS[name];
+    let violation;
+
+    if (rule) {
+      if (value === "" || value === undefined) continue;
+      violation = checkValue(name, value, rule);
+      if (!violation && rule.forward !== false) params[name] = value;
+    } else if (schema.facets && /^f\.[^|]+\|/.test(name)) {
+      violation = checkFacet(name, value);
+      if (!violation) params[name] = value;
+    } else if (schema.links && LINK_PARAMS.some((pattern) => pattern.test(name))) {
+      if (value === "" || value === undefined) continue;
+      violation = checkValue(name, value, { type: "string", maxLength: MAX_LINK_VALUE_LENGTH });
+      if (!violation) params[name] = value;
+    } else {
+      unknown.push(name);
+    }
+
+    if (violation) violations.push(violation);
+  }
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const value = query?.[name];
+    if (rule.required && (value === undefined || value === "")) {
+      violations.push({ param: name, code: "required", message: `${name} is required` });
+    }
+  }
+
+  if (unknown.length > 0) {
+    commonUtils.logEvent("info", "unknown_parameters_dropped", "request-validator", {
+      route,
+      params: unknown.slice(0, MAX_PARAMS),
+    });
+  }
+
+  return { valid: violations.length === 0, params, violations, dropped, unknown };
+}
+
+/**
+ * Sends the structured 400 response for a failed validation
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of validateRequest
+ * @param {string} [requestId] - Request ID to include
+ * @returns {Object} The response
+ */
+function sendValidationError(res, result, requestId) {
+  return res.status(400).json({
+    error: "Invalid request parameters",
+    code: "invalid_parameters",
+    violations: result.violations,
+    requestId,
+  });
+}
+
+module.exports = {
+  ALLOWED_COLLECTIONS,
+  ALLOWED_FACETS,
+  LINK_PARAMS,
+  TOOL_PATHS,
+  TRACKING_PARAMS,
+  ROUTE_SCHEMAS,
+  validateRequest,
+  sendValidationError,
+};
@@ -5,14 +5,207 @@
  * ensuring consistent data format, proper null checks, schema validation, and enhanced
  * IP tracking. Now includes integration with commonUtils for improved consistency.
  *
+ * Also holds the privacy policy applied to analytics records before they are
+ * stored: client IPs are hashed with a salt that rotates daily (or truncated),
+ * coordinates are dropped in favour of city/region, and user agents are
+ * reduced to a browser and OS family. Request analytics carry the visitor's
+ * consent (lib/analyticsConsent.js) through to recordQuery.
+ *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.4.0
  * @namespace schemaHandler
  * @license MIT
- * @lastmodified 2025-04-25
+ * @lastmodified 2026-10-18
  */
 
+const crypto = require("crypto");
 const commonUtils = require("./commonUtils");
+const { getAnalyticsBotFields } = require("./botDetection");
+const { getAnalyticsConsentFields } = require("./analyticsConsent");
+
+/**
+ * Privacy policy for stored analytics
+ * - ipMode: 'hash' (HMAC with a daily salt), 'truncate' (IPv4 /24, IPv6 /48) or 'raw'
+ * - ipSalt: secret the daily salts derive from; 'hash' falls back to
+ *   'truncate' without it, since a per-instance salt would not correlate
+ * - geoPrecision: 'coarse' (city/region/country only) or 'precise'
+ * - userAgentMode: 'family' (e.g. "Chrome on Windows") or 'full'
+ * @type {Object}
+ * @constant
+ */
+const PRIVACY_POLICY = {
+  ipMode: process.env.ANALYTICS_IP_MODE || "hash",
+  ipSalt: process.env.ANALYTICS_IP_SALT || "",
+  geoPrecision: process.env.ANALYTICS_GEO_PRECISION || "coarse",
+  userAgentMode: process.env.ANALYTICS_UA_MODE || "family",
+};
+
+/** Prefix marking a hashed client IP */
+const HASHED_IP_PREFIX = "h:";
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+let saltWarningLogged = false;
+
+/**
+ * Gets the IP mode in effect, falling back to truncation when no salt is set
+ *
+ * @returns {string} 'hash', 'truncate' or 'raw'
+ * @private
+ */
+function getEffectiveIpMode() {
+  if (PRIVACY_POLICY.ipMode === "hash" && !PRIVACY_POLICY.ipSalt) {
+    if (!saltWarningLogged) {
+      saltWarningLogged = true;
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          service: "schema-handler",
+          event: "ip_salt_missing",
+          fallback: "truncate",
+        })
+      );
+    }
+    return "truncate";
+  }
+  return PRIVACY_POLICY.ipMode;
+}
+
+/**
+ * Truncates an IP address to its network (IPv4 /24, IPv6 /48)
+ *
+ * @param {string} ip - Client IP
+ * @returns {string} Truncated IP
+ */
+function truncateClientIp(ip) {
+  const address = String(ip).trim().replace(/^::ffff:(?=\d+\.)/i, "");
+
+  const ipv4 = address.split(".");
+  if (ipv4.length === 4) {
+    return `${ipv4[0]}.${ipv4[1]}.${ipv4[2]}.0`;
+  }
+
+  if (address.includes(":")) {
+    const [head] = address.split("::");
+    const groups = head.split(":").filter(Boolean).slice(0, 3);
+    while (groups.length < 3) groups.push("0");
+    return `${groups.join(":")}::`;
+  }
+
+  return "IP_REDACTED";
+}
+
+/**
+ * Hashes an IP address with the salt of a given day
+ * The salt is derived from ANALYTICS_IP_SALT and the UTC date, so hashes
+ * cannot be joined across days and the secret never has to be rotated by hand.
+ *
+ * @param {string} ip - Client IP
+ * @param {Date} [date=new Date()] - Day whose salt is used
+ * @returns {string} "h:" followed by a base64url digest
+ */
+function hashClientIp(ip, date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  const salt = crypto
+    .createHmac("sha256", PRIVACY_POLICY.ipSalt)
+    .update(`ip-salt:${day}`)
+    .digest();
+  const digest = crypto
+    .createHmac("sha256", salt)
+    .update(String(ip).trim().toLowerCase())
+    .digest("base64url");
+  return `${HASHED_IP_PREFIX}${digest.slice(0, 22)}`;
+}
+
+/**
+ * Converts a client IP into the form that is stored
+ *
+ * @param {string} ip - Client IP
+ * @param {Date} [date=new Date()] - Day of the record, for hashing
+ * @returns {string|null} Stored value, or null without an IP
+ */
+function protectClientIp(ip, date = new Date()) {
+  if (!ip) return null;
+  if (String(ip).startsWith(HASHED_IP_PREFIX)) return ip;
+
+  const mode = getEffectiveIpMode();
+  if (mode === "hash") return hashClientIp(ip, date);
+  if (mode === "truncate") return truncateClientIp(ip);
+  return ip;
+}
+
+/**
+ * Gets the stored values a client IP may have in recent records
+ * With hashing the salt changes at midnight UTC, so a click just after
+ * midnight must still find a query recorded the day before.
+ *
+ * @param {string} ip - Client IP
+ * @param {Date} [date=new Date()] - Time of the lookup
+ * @returns {Array<string>} Candidate stored values (empty without an IP)
+ */
+function getClientIpMatchValues(ip, date = new Date()) {
+  if (!ip) return [];
+
+  const today = protectClientIp(ip, date);
+  const yesterday = protectClientIp(ip, new Date(date.getTime() - ONE_DAY_MS));
+  return today === yesterday ? [today] : [today, yesterday];
+}
+
+/**
+ * Reduces a user agent to its browser and OS family
+ *
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Family such as "Chrome on Windows", or null without a user agent
+ */
+function getUserAgentFamily(userAgent) {
+  if (!userAgent) return null;
+  const ua = String(userAgent);
+
+  if (/bot|crawl|spider|slurp|headless/i.test(ua)) return "Bot";
+
+  let browser = "Other";
+  if (/Edg(A|iOS)?\//.test(ua)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(ua)) browser = "Opera";
+  else if (/SamsungBrowser\//.test(ua)) browser = "Samsung Internet";
+  else if (/Firefox\/|FxiOS\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\/|CriOS\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua) && /Version\//.test(ua)) browser = "Safari";
+
+  let os = "Other";
+  if (/iPhone|iPad|iPod/.test(ua)) os = "iOS";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/Windows/.test(ua)) os = "Windows";
+  else if (/CrOS/.test(ua)) os = "ChromeOS";
+  else if (/Mac OS X|Macintosh/.test(ua)) os = "macOS";
+  else if (/Linux/.test(ua)) os = "Linux";
+
+  return `${browser} on ${os}`;
+}
+
+/**
+ * Applies the privacy policy to a record before it is stored
+ * Call once per record, at persistence; the input is not modified.
+ *
+ * @param {Object} data - Query, click or beacon record
+ * @returns {Object} Copy with client IP, location and user agent reduced
+ */
+function applyPrivacyPolicy(data) {
+  const protectedData = {
+    ...data,
+    clientIp: protectClientIp(data.clientIp, new Date(data.timestamp || Date.now())),
+  };
+
+  if (PRIVACY_POLICY.geoPrecision !== "precise") {
+    protectedData.latitude = null;
+    protectedData.longitude = null;
+  }
+
+  if (PRIVACY_POLICY.userAgentMode !== "full" && data.userAgent) {
+    protectedData.userAgent = getUserAgentFamily(data.userAgent);
+  }
+
+  return protectedData;
+}
 
 /**
  * Creates a standardized analytics data object with consistent schema
@@ -81,6 +274,13 @@ function createStandardAnalyticsData(data) {
         : null,
     isRefinement:
       typeof data.isRefinement === "boolean" ? data.isRefinement : null,
+    botScore: typeof data.botScore === "number" ? data.botScore : null,
+    isSuspectedBot: Boolean(data.isSuspectedBot),
+
+    // Consent (see lib/analyticsConsent); false limits storage to aggregate counters
+    analyticsConsent:
+      typeof data.analyticsConsent === "boolean" ? data.analyticsConsent : null,
+    consentSource: data.consentSource || null,
 
     // Enrichment data
     enrichmentData: data.enrichmentData || null,
@@ -294,6 +494,8 @@ function createRequestAnalytics(req, locationData, handler, startTime = null) {
     longitude: locationData?.longitude || req.headers["x-vercel-ip-longitude"],
     responseTime: processingTime,
     isServerSideRequest: commonUtils.isServerSideRequest(req),
+    ...getAnalyticsBotFields(req),
+    ...getAnalyticsConsentFields(req),
     ...tabInfo,
     timestamp: new Date(),
   };
@@ -406,6 +608,13 @@ function validateAnalyticsData(data) {
 }
 
 module.exports = {
+  PRIVACY_POLICY,
+  applyPrivacyPolicy,
+  protectClientIp,
+  hashClientIp,
+  truncateClientIp,
+  getClientIpMatchValues,
+  getUserAgentFamily,
   createStandardAnalyticsData,
   sanitizeSessionId: commonUtils.sanitizeSessionId, // Use the commonUtils version
   createStandardClickData,
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Search Quality Metrics from Recorded Clicks
+ *
+ * Computes click-based quality metrics from the clickedResults embedded in
+ * Query records, overall, per ISO week (with the change from the week before)
+ * and per query, so the effect of ranking changes in Funnelback can be followed.
+ *
+ * Metrics (over searches that returned results):
+ * - ctr: share of searches with at least one click
+ * - abandonmentRate: share of searches without a click
+ * - avgClickedPosition: mean position of clicked results
+ * - mrr: mean reciprocal rank of the best clicked position (0 without a click)
+ * - avgTimeToFirstClickMs: time from the search to its first click
+ *
+ * Clicks without a known position count towards CTR but not towards position
+ * or MRR. Suspected bots are left out, and so are visitors without analytics
+ * consent, whose searches are only counted. Without a handler filter only full
+ * searches (search, server) are measured: autocomplete records are stored per
+ * keystroke and rarely clicked, and would swamp the metrics.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace searchMetrics
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const { Query, connectToMongoDB } = require("./queryAnalytics");
+const { EMPTY_QUERIES, buildQueryMatch } = require("./analyticsReports");
+const { SEARCH_HANDLERS } = require("./sessionAnalysis");
+
+/** Metric settings */
+const METRICS_CONFIG = {
+  // Default range: eight whole weeks give a useful trend
+  defaultDays: 56,
+  // Queries need this many searches to appear in the per-query table
+  defaultMinSearches: 5,
+  // Later clicks are treated as a return visit, not a first click
+  firstClickWindowMs: 30 * 60 * 1000,
+};
+
+/** Metrics reported with a week-over-week change */
+const TRENDED_METRICS = [
+  "ctr",
+  "abandonmentRate",
+  "avgClickedPosition",
+  "mrr",
+  "avgTimeToFirstClickMs",
+];
+
+/**
+ * Stages that compute per-search click fields
+ *
+ * @returns {Array<Object>} Aggregation stages
+ * @private
+ */
+function searchFieldStages() {
+  const clicks = { $ifNull: ["$clickedResults", []] };
+  const firstClickAt = {
+    $ifNull: [{ $min: "$clickedResults.timestamp" }, "$lastClickTimestamp"],
+  };
+
+  return [
+    {
+      $project: {
+        _id: 0,
+        timestamp: 1,
+        query: { $toLower: { $trim: { input: "$query" } } },
+        clicks: { $size: clicks },
+        positions: {
+          $filter: {
+            input: { $map: { input: clicks, as: "click", in: "$$click.position" } },
+            as: "position",
+            cond: { $gt: ["$$position", 0] },
+          },
+        },
+        timeToFirstClick: {
+          $cond: [
+            { $ifNull: [firstClickAt, false] },
+            { $subtract: [firstClickAt, "$timestamp"] },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        week: { $dateToString: { format: "%G-W%V", date: "$timestamp" } },
+        clicked: { $cond: [{ $gt: ["$clicks", 0] }, 1, 0] },
+        reciprocalRank: {
+          $cond: [
+            { $eq: ["$clicks", 0] },
+            0,
+            {
+              $cond: [
+                { $gt: [{ $size: "$positions" }, 0] },
+                { $divide: [1, { $min: "$positions" }] },
+                null,
+              ],
+            },
+          ],
+        },
+        timeToFirstClick: {
+          $cond: [
+            {
+              $and: [
+                { $gte: ["$timeToFirstClick", 0] },
+                { $lte: ["$timeToFirstClick", METRICS_CONFIG.firstClickWindowMs] },
+              ],
+            },
+            "$timeToFirstClick",
+            null,
+          ],
+        },
+      },
+    },
+  ];
+}
+
+/** $group accumulators shared by every breakdown */
+const METRIC_ACCUMULATORS = {
+  searches: { $sum: 1 },
+  searchesWithClicks: { $sum: "$clicked" },
+  clicks: { $sum: "$clicks" },
+  positionSum: { $sum: { $sum: "$positions" } },
+  positionCount: { $sum: { $size: "$positions" } },
+  mrr: { $avg: "$reciprocalRank" },
+  avgTimeToFirstClickMs: { $avg: "$timeToFirstClick" },
+};
+
+/** $project fields turning accumulated sums into metrics */
+const METRIC_FIELDS = {
+  searches: 1,
+  searchesWithClicks: 1,
+  clicks: 1,
+  ctr: { $round: [{ $divide: ["$searchesWithClicks", "$searches"] }, 4] },
+  abandonmentRate: {
+    $round: [{ $subtract: [1, { $divide: ["$searchesWithClicks", "$searches"] }] }, 4],
+  },
+  avgClickedPosition: {
+    $cond: [
+      { $gt: ["$positionCount", 0] },
+      { $round: [{ $divide: ["$positionSum", "$positionCount"] }, 2] },
+      null,
+    ],
+  },
+  mrr: { $round: ["$mrr", 4] },
+  avgTimeToFirstClickMs: { $round: ["$avgTimeToFirstClickMs", 0] },
+};
+
+/**
+ * Parses the metric-specific options
+ *
+ * @param {Object} source - Query parameters
+ * @returns {Object} Options ({ query, minSearches }) or { error }
+ */
+function parseMetricOptions(source = {}) {
+  const query = source.query ? String(source.query).trim().toLowerCase() : null;
+  if (query && query.length > 256) {
+    return { error: "query must be at most 256 characters" };
+  }
+
+  // A single query is always listed, however rarely it was searched
+  const minSearches =
+    parseInt(source.minSearches, 10) ||
+    (query ? 1 : METRICS_CONFIG.defaultMinSearches);
+  if (minSearches < 1 || minSearches > 1000) {
+    return { error: "minSearches must be from 1 to 1000" };
+  }
+
+  return { query, minSearches };
+}
+
+/**
+ * Adds the change from the previous week to each weekly row
+ *
+ * @param {Array<Object>} weeks - Weekly metric rows, oldest first
+ * @returns {Array<Object>} Rows with a change object
+ * @private
+ */
+function addWeeklyChanges(weeks) {
+  return weeks.map((week, index) => {
+    const previous = weeks[index - 1];
+    const change = {};
+    for (const metric of TRENDED_METRICS) {
+      change[metric] =
+        previous && week[metric] !== null && previous[metric] !== null
+          ? Math.round((week[metric] - previous[metric]) * 10000) / 10000
+          : null;
+    }
+    return { ...week, change };
+  });
+}
+
+/**
+ * Computes search quality metrics
+ *
+ * @param {Object} filters - Result of analyticsReports.parseReportFilters
+ * @param {Object} options - Result of parseMetricOptions
+ * @returns {Promise<Object>} Metrics ({ overall, weekly, queries: { rows, pagination } })
+ */
+async function getSearchMetrics(filters, options) {
+  await connectToMongoDB();
+
+  const match = {
+    ...buildQueryMatch(filters),
+    resultCount: { $gt: 0 },
+  };
+  if (!filters.handler) match.handler = { $in: SEARCH_HANDLERS };
+
+  const skip = (filters.page - 1) * filters.pageSize;
+  const queryStages = [
+    { $group: { _id: "$query", ...METRIC_ACCUMULATORS } },
+    { $match: { searches: { $gte: options.minSearches } } },
+    { $project: { _id: 0, query: "$_id", ...METRIC_FIELDS } },
+  ];
+  const [result] = await Query.aggregate([
+    { $match: match },
+    ...searchFieldStages(),
+    {
+      $match: options.query
+        ? { query: options.query }
+        : { query: { $nin: EMPTY_QUERIES } },
+    },
+    {
+      $facet: {
+        overall: [
+          { $group: { _id: null, ...METRIC_ACCUMULATORS } },
+          { $project: { _id: 0, ...METRIC_FIELDS } },
+        ],
+        weekly: [
+          { $group: { _id: "$week", ...METRIC_ACCUMULATORS } },
+          { $project: { _id: 0, week: "$_id", ...METRIC_FIELDS } },
+          { $sort: { week: 1 } },
+        ],
+        queryRows: [
+          ...queryStages,
+          { $sort: { searches: -1, query: 1 } },
+          { $skip: skip },
+          { $limit: filters.pageSize },
+        ],
+        queryTotal: [...queryStages, { $count: "count" }],
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const total = result?.queryTotal[0]?.count || 0;
+
+  return {
+    overall: result?.overall[0] || null,
+    weekly: addWeeklyChanges(result?.weekly || []),
+    queries: {
+      rows: result?.queryRows || [],
+      pagination: {
+        page: filters.page,
+        pageSize: filters.pageSize,
+        total,
+        totalPages: Math.ceil(total / filters.pageSize),
+      },
+    },
+  };
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  TRENDED_METRICS,
+  parseMetricOptions,
+  getSearchMetrics,
+};
@@ -0,0 +1,467 @@
+/**
+ * @fileoverview Search Session Reconstruction and Reformulation Analysis
+ *
+ * Orders the queries and clicks stored under a session ID into a timeline and
+ * reads from it how visitors rewrite their searches. Common "A → B" rewrites
+ * made without clicking anything for A are candidates for Funnelback synonyms.
+ *
+ * Features:
+ * - Timelines of suggest, search and click events; a session ID idle for more
+ *   than 30 minutes starts a new session
+ * - Autocomplete keystrokes ("nur", "nurs", "nursing") collapse to the last one
+ * - Reformulations: search A followed by search B without a click on A,
+ *   classified as spelling, specialization, generalization or rewrite
+ * - Suggestion-to-search transitions, and whether a shown suggestion was taken
+ * - The final successful (clicked) query of each session
+ * - Records are streamed in session order, within a record cap and time budget
+ *
+ * Only visitors with analytics consent have stored sessions; suspected bots
+ * are left out.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace sessionAnalysis
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const { Query, connectToMongoDB } = require("./queryAnalytics");
+const { EMPTY_QUERIES, buildQueryMatch } = require("./analyticsReports");
+const { normalizeQueryText } = require("./zeroResultWorklist");
+
+/** Session analysis settings */
+const SESSION_CONFIG = {
+  // Idle time after which the same session ID starts a new session
+  sessionGapMs: 30 * 60 * 1000,
+  // Longest time between A and B for B to count as a reformulation of A
+  reformulationWindowMs: 5 * 60 * 1000,
+  // Longest time between typing in autocomplete and the search it led to
+  transitionWindowMs: 2 * 60 * 1000,
+  maxRecords: parseInt(process.env.SESSION_ANALYSIS_MAX_RECORDS, 10) || 200000,
+  maxDurationMs: parseInt(process.env.SESSION_ANALYSIS_MAX_DURATION_MS, 10) || 45000,
+  defaultMinCount: 2,
+};
+
+/** Handlers whose records are full searches */
+const SEARCH_HANDLERS = ["search", "server"];
+
+/** Handlers whose records are autocomplete lookups */
+const SUGGEST_HANDLERS = ["suggest", "suggestPeople", "suggestPrograms"];
+
+/** Fields read from each Query record */
+const RECORD_FIELDS = {
+  sessionId: 1,
+  handler: 1,
+  query: 1,
+  resultCount: 1,
+  timestamp: 1,
+  clickedResults: 1,
+  "enrichmentData.suggestionsData.display": 1,
+  "enrichmentData.programData.title": 1,
+  "enrichmentData.staffData.title": 1,
+};
+
+/**
+ * Normalizes query text for comparison (case and surrounding space)
+ *
+ * @param {string} query - Query text
+ * @returns {string} Normalized query
+ * @private
+ */
+function normalizeQuery(query) {
+  return String(query || "").trim().toLowerCase();
+}
+
+/**
+ * Reads the suggestions shown by an autocomplete record
+ *
+ * @param {Object} record - Query record
+ * @returns {Array<string>} Normalized suggestion texts
+ * @private
+ */
+function getShownSuggestions(record) {
+  const data = record.enrichmentData || {};
+  const shown = [
+    ...(data.suggestionsData || []).map((suggestion) => suggestion.display),
+    ...(data.programData || []).map((program) => program.title),
+    ...(data.staffData || []).map((person) => person.title),
+  ];
+  return shown.filter(Boolean).map(normalizeQuery);
+}
+
+/**
+ * Builds the ordered event list for one session ID's records
+ *
+ * @param {Array<Object>} records - Query records of one session ID
+ * @returns {Array<Object>} Events ({ type, timestamp, query, handler, resultCount,
+ *   suggestions, url, position }), oldest first
+ */
+function buildTimeline(records) {
+  const events = [];
+
+  for (const record of records) {
+    const query = normalizeQuery(record.query);
+    const timestamp = new Date(record.timestamp);
+
+    if (SEARCH_HANDLERS.includes(record.handler) && !EMPTY_QUERIES.includes(query)) {
+      events.push({
+        type: "search",
+        timestamp,
+        query,
+        handler: record.handler,
+        resultCount: record.resultCount || 0,
+      });
+    } else if (SUGGEST_HANDLERS.includes(record.handler) && query) {
+      events.push({
+        type: "suggest",
+        timestamp,
+        query,
+        handler: record.handler,
+        resultCount: record.resultCount || 0,
+        suggestions: getShownSuggestions(record),
+      });
+    }
+
+    for (const click of record.clickedResults || []) {
+      events.push({
+        type: "click",
+        timestamp: new Date(click.timestamp || record.timestamp),
+        query,
+        url: click.url,
+        position: click.position > 0 ? click.position : null,
+      });
+    }
+  }
+
+  events.sort((a, b) => a.timestamp - b.timestamp);
+
+  // Keep only the last keystroke of each autocomplete run
+  return events.filter((event, index) => {
+    const next = events[index + 1];
+    return !(
+      event.type === "suggest" &&
+      next?.type === "suggest" &&
+      next.query.startsWith(event.query)
+    );
+  });
+}
+
+/**
+ * Splits a timeline where the visitor was idle for longer than the session gap
+ *
+ * @param {Array<Object>} events - Result of buildTimeline
+ * @returns {Array<Array<Object>>} Sessions
+ */
+function splitSessions(events) {
+  const sessions = [];
+  let current = [];
+
+  for (const event of events) {
+    const previous = current[current.length - 1];
+    if (previous && event.timestamp - previous.timestamp > SESSION_CONFIG.sessionGapMs) {
+      sessions.push(current);
+      current = [];
+    }
+    current.push(event);
+  }
+  if (current.length > 0) sessions.push(current);
+
+  return sessions;
+}
+
+/**
+ * Computes the edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Classifies how query B rewrites query A
+ *
+ * @param {string} from - Query A
+ * @param {string} to - Query B
+ * @returns {string} 'spelling', 'specialization', 'generalization' or 'rewrite'
+ */
+function classifyReformulation(from, to) {
+  const fromWords = normalizeQueryText(from).split(" ");
+  const toWords = normalizeQueryText(to).split(" ");
+
+  if (toWords.length > fromWords.length && fromWords.every((word) => toWords.includes(word))) {
+    return "specialization";
+  }
+  if (fromWords.length > toWords.length && toWords.every((word) => fromWords.includes(word))) {
+    return "generalization";
+  }
+  const distance = editDistance(from, to);
+  if (distance <= Math.max(1, Math.floor(Math.max(from.length, to.length) / 4))) {
+    return "spelling";
+  }
+  return "rewrite";
+}
+
+/**
+ * Analyzes one session's events
+ *
+ * @param {Array<Object>} events - One session from splitSessions
+ * @returns {Object} Analysis ({ searches, reformulations, transitions,
+ *   finalSuccessfulQuery, outcome })
+ */
+function analyzeSession(events) {
+  const searches = [];
+  const transitions = [];
+  let pendingSuggest = null;
+
+  for (const event of events) {
+    if (event.type === "suggest") {
+      pendingSuggest = event;
+      continue;
+    }
+
+    if (event.type === "click") {
+      const search = searches[searches.length - 1];
+      if (search && search.query === event.query) search.clicks++;
+      continue;
+    }
+
+    // Repeated searches for the same text (paging, tabs) are one search
+    const previous = searches[searches.length - 1];
+    if (previous && previous.query === event.query) {
+      pendingSuggest = null;
+      continue;
+    }
+
+    if (
+      pendingSuggest &&
+      event.timestamp - pendingSuggest.timestamp <= SESSION_CONFIG.transitionWindowMs
+    ) {
+      transitions.push({
+        typed: pendingSuggest.query,
+        searched: event.query,
+        acceptedSuggestion: pendingSuggest.suggestions.includes(event.query),
+      });
+    }
+    pendingSuggest = null;
+
+    searches.push({
+      query: event.query,
+      timestamp: event.timestamp,
+      resultCount: event.resultCount,
+      clicks: 0,
+    });
+  }
+
+  const reformulations = [];
+  for (let index = 1; index < searches.length; index++) {
+    const from = searches[index - 1];
+    const to = searches[index];
+    if (
+      from.clicks === 0 &&
+      to.timestamp - from.timestamp <= SESSION_CONFIG.reformulationWindowMs
+    ) {
+      reformulations.push({
+        from: from.query,
+        to: to.query,
+        type: classifyReformulation(from.query, to.query),
+        fromZeroResults: from.resultCount === 0,
+        toClicked: to.clicks > 0,
+      });
+    }
+  }
+
+  const successful = searches.filter((search) => search.clicks > 0);
+  const finalSuccessfulQuery = successful.length
+    ? successful[successful.length - 1].query
+    : null;
+
+  let outcome = "no_search";
+  if (finalSuccessfulQuery) outcome = "success";
+  else if (searches.length > 0) outcome = "abandoned";
+
+  return { searches, reformulations, transitions, finalSuccessfulQuery, outcome };
+}
+
+/**
+ * Reconstructs the sessions stored under one session ID
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} Sessions ({ start, end, events, analysis })
+ */
+async function getSessionTimeline(sessionId) {
+  await connectToMongoDB();
+
+  const records = await Query.find({ sessionId }, RECORD_FIELDS)
+    .sort({ timestamp: 1 })
+    .limit(SESSION_CONFIG.maxRecords)
+    .lean();
+
+  return splitSessions(buildTimeline(records)).map((events) => ({
+    start: events[0].timestamp,
+    end: events[events.length - 1].timestamp,
+    events,
+    analysis: analyzeSession(events),
+  }));
+}
+
+/**
+ * Adds one session's analysis to the running totals
+ *
+ * @param {Object} totals - Running totals
+ * @param {Object} analysis - Result of analyzeSession
+ * @private
+ */
+function addToTotals(totals, analysis) {
+  totals.summary.sessions++;
+  if (analysis.outcome === "success") totals.summary.successfulSessions++;
+  if (analysis.outcome === "abandoned") totals.summary.abandonedSessions++;
+  if (analysis.reformulations.length > 0) totals.summary.sessionsWithReformulations++;
+
+  for (const transition of analysis.transitions) {
+    totals.summary.suggestionTransitions++;
+    if (transition.acceptedSuggestion) totals.summary.acceptedSuggestions++;
+  }
+
+  for (const reformulation of analysis.reformulations) {
+    totals.summary.reformulations++;
+    const key = `${reformulation.from}\u0000${reformulation.to}`;
+    let rewrite = totals.rewrites.get(key);
+    if (!rewrite) {
+      rewrite = {
+        from: reformulation.from,
+        to: reformulation.to,
+        type: reformulation.type,
+        count: 0,
+        fromZeroResults: 0,
+        toClicked: 0,
+      };
+      totals.rewrites.set(key, rewrite);
+    }
+    rewrite.count++;
+    if (reformulation.fromZeroResults) rewrite.fromZeroResults++;
+    if (reformulation.toClicked) rewrite.toClicked++;
+  }
+}
+
+/**
+ * Builds the table of common rewrites over a date range
+ *
+ * @param {Object} filters - Result of analyticsReports.parseReportFilters
+ * @param {Object} [options] - Table options
+ * @param {number} [options.minCount] - Rewrites seen fewer times are left out
+ * @returns {Promise<Object>} Table ({ summary, rows, pagination, truncated })
+ */
+async function getReformulationTable(filters, options = {}) {
+  const startTime = Date.now();
+  const minCount = options.minCount || SESSION_CONFIG.defaultMinCount;
+
+  await connectToMongoDB();
+
+  const match = {
+    ...buildQueryMatch(filters),
+    sessionId: { $nin: [null, ""] },
+  };
+  if (!filters.handler) {
+    match.handler = { $in: [...SEARCH_HANDLERS, ...SUGGEST_HANDLERS, "click-only"] };
+  }
+
+  const totals = {
+    summary: {
+      sessions: 0,
+      successfulSessions: 0,
+      abandonedSessions: 0,
+      sessionsWithReformulations: 0,
+      reformulations: 0,
+      suggestionTransitions: 0,
+      acceptedSuggestions: 0,
+    },
+    rewrites: new Map(),
+  };
+
+  // Matches the { sessionId: 1, timestamp: -1 } index walked backwards
+  const cursor = Query.find(match, RECORD_FIELDS)
+    .sort({ sessionId: -1, timestamp: 1 })
+    .limit(SESSION_CONFIG.maxRecords + 1)
+    .lean()
+    .cursor();
+
+  let truncated = false;
+  let records = 0;
+  let sessionId = null;
+  let sessionRecords = [];
+  const flush = () => {
+    for (const events of splitSessions(buildTimeline(sessionRecords))) {
+      addToTotals(totals, analyzeSession(events));
+    }
+    sessionRecords = [];
+  };
+
+  for await (const record of cursor) {
+    if (
+      ++records > SESSION_CONFIG.maxRecords ||
+      Date.now() - startTime > SESSION_CONFIG.maxDurationMs
+    ) {
+      truncated = true;
+      break;
+    }
+    if (record.sessionId !== sessionId) {
+      flush();
+      sessionId = record.sessionId;
+    }
+    sessionRecords.push(record);
+  }
+  // The last session may be cut short when truncated; it is dropped
+  if (truncated) {
+    await cursor.close();
+    sessionRecords = [];
+  }
+  flush();
+
+  const rows = [...totals.rewrites.values()]
+    .filter((rewrite) => rewrite.count >= minCount)
+    .map((rewrite) => ({
+      ...rewrite,
+      successRate: Math.round((rewrite.toClicked / rewrite.count) * 10000) / 10000,
+    }))
+    .sort((a, b) => b.count - a.count || a.from.localeCompare(b.from));
+
+  const skip = (filters.page - 1) * filters.pageSize;
+  return {
+    summary: totals.summary,
+    rows: rows.slice(skip, skip + filters.pageSize),
+    pagination: {
+      page: filters.page,
+      pageSize: filters.pageSize,
+      total: rows.length,
+      totalPages: Math.ceil(rows.length / filters.pageSize),
+    },
+    truncated,
+  };
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  SEARCH_HANDLERS,
+  buildTimeline,
+  splitSessions,
+  classifyReformulation,
+  analyzeSession,
+  getSessionTimeline,
+  getReformulationTable,
+};
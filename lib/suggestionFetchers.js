@@ -0,0 +1,453 @@
+/**
+ * @fileoverview Funnelback Suggestion Fetchers
+ *
+ * Fetches and formats suggestion data from Funnelback for the suggestion
+ * handlers (suggest, suggestPeople, suggestPrograms, spelling). Shared by the
+ * request path, background cache revalidation, the cache warmer and the
+ * zero-result worklist so every caller produces identically shaped data.
+ *
+ * Features:
+ * - General suggestions enriched with tab metadata
+ * - People results with cleaned affiliation, position and department data
+ * - Program results limited to the top 5 matches with cleaned titles
+ * - Spelling suggestions extracted from the partial search.html response
+ * - Upstream access through funnelbackClient (retries, circuit breaker)
+ * - Response schema versions derived from the formatters' output keys, so a
+ *   shape change invalidates cached entries (see lib/cacheService.js)
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace suggestionFetchers
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const crypto = require("crypto");
+const funnelbackClient = require("./funnelbackClient");
+const commonUtils = require("./commonUtils");
+
+/**
+ * Formats one suggestion with tab metadata
+ *
+ * @param {string} suggestion - Raw suggestion from Funnelback
+ * @param {Object} tabs - Tab flags ({ isProgramTab, isStaffTab })
+ * @returns {Object} Suggestion ({ display, metadata })
+ */
+function formatSuggestion(suggestion, { isProgramTab, isStaffTab }) {
+  let metadata = {
+    tabs: [],
+  };
+
+  // Add tab information based on the source of the request
+  if (isProgramTab) {
+    metadata.tabs.push("program-main");
+  }
+  if (isStaffTab) {
+    metadata.tabs.push("Faculty & Staff");
+  }
+
+  return {
+    display: suggestion,
+    metadata,
+  };
+}
+
+/**
+ * Enriches suggestions with metadata based on content and tab parameters
+ *
+ * @param {Array<string>} suggestions - Raw suggestions from Funnelback
+ * @param {Object} query - Query parameters including tab information
+ * @param {string} requestId - Request ID for tracking
+ * @returns {Array<Object>} Enriched suggestions with metadata
+ */
+function enrichSuggestions(suggestions, query, requestId) {
+  if (!Array.isArray(suggestions)) {
+    commonUtils.logEvent(
+      "warn",
+      "invalid_suggestions_format",
+      "suggest-handler",
+      {
+        requestId,
+        suggestionsType: typeof suggestions,
+      }
+    );
+    return [];
+  }
+
+  // Extract tab information
+  const isProgramTab = Boolean(query["f.Tabs|programMain"]);
+  const isStaffTab = Boolean(query["f.Tabs|seattleu~ds-staff"]);
+
+  // Log enrichment process
+  commonUtils.logEvent("debug", "enriching_suggestions", "suggest-handler", {
+    requestId,
+    isProgramTab,
+    isStaffTab,
+    suggestionCount: suggestions.length,
+  });
+
+  const enrichedSuggestions = suggestions.map((suggestion) =>
+    formatSuggestion(suggestion, { isProgramTab, isStaffTab })
+  );
+
+  // Log completion
+  commonUtils.logEvent("debug", "suggestions_enriched", "suggest-handler", {
+    requestId,
+    totalEnriched: enrichedSuggestions.length,
+  });
+
+  return enrichedSuggestions;
+}
+
+/**
+ * Fetches suggestions from Funnelback and enriches them
+ *
+ * @param {Object} query - Query parameters to forward
+ * @param {Object} context - Request context
+ * @param {string} context.clientIp - End-user IP to forward upstream
+ * @param {Object} context.locationData - Geo location data to forward upstream
+ * @param {string} context.requestId - Request ID for tracking
+ * @returns {Promise<Object>} The upstream response and enriched suggestions ({ response, data })
+ */
+async function fetchSuggestions(query, { clientIp, locationData, requestId }) {
+  // Make request to Funnelback with proper IP forwarding
+  const response = await funnelbackClient.get("suggest.json", {
+    params: query,
+    clientIp,
+    locationData,
+    requestId,
+    accept: "text/html",
+    type: "suggest",
+    handlerName: "suggest-handler",
+  });
+
+  // Log successful response
+  commonUtils.logEvent("info", "funnelback_response", "suggest-handler", {
+    requestId,
+    status: response.status,
+    resultCount: Array.isArray(response.data) ? response.data.length : 0,
+  });
+
+  // Ensure response data is an array (handle API inconsistencies)
+  const responseData = Array.isArray(response.data) ? response.data : [];
+
+  // Enrich suggestions with metadata
+  return {
+    response,
+    data: enrichSuggestions(responseData, query, requestId),
+  };
+}
+
+/**
+ * Cleans a title string by removing HTML tags and taking only the first part before any pipe character
+ *
+ * @param {string} title - The raw title string to clean
+ * @returns {string} The cleaned title
+ */
+function cleanTitle(title = "") {
+  return title
+    .replace(/<\/?[^>]+(>|$)/g, "") // Remove HTML tags
+    .split("|")[0] // Take first part before pipe
+    .trim(); // Clean up whitespace
+}
+
+/**
+ * Formats one people result for the frontend
+ *
+ * @param {Object} result - Result from Funnelback's resultPacket
+ * @returns {Object} Person ({ title, affiliation, position, department, college, url, image })
+ */
+function formatPerson(result) {
+  // Extract and clean metadata fields
+  const affiliation = result.listMetadata?.affiliation?.[0]
+    ? cleanTitle(result.listMetadata.affiliation[0])
+    : null;
+  const position = result.listMetadata?.peoplePosition?.[0]
+    ? cleanTitle(result.listMetadata.peoplePosition[0])
+    : null;
+  const department = result.listMetadata?.peopleDepartment?.[0]
+    ? cleanTitle(result.listMetadata.peopleDepartment[0])
+    : null;
+  const college = result.listMetadata?.college?.[0]
+    ? cleanTitle(result.listMetadata.college[0])
+    : null;
+
+  return {
+    title: cleanTitle(result.title) || "",
+    affiliation: affiliation,
+    position: position,
+    department: department,
+    college: college,
+    url: result.liveUrl || "",
+    image: result.listMetadata?.image?.[0] || null,
+  };
+}
+
+/**
+ * Fetches people results from Funnelback and formats them for the frontend
+ *
+ * @param {Object} query - Query parameters from the request
+ * @param {Object} context - Request context
+ * @param {string} context.clientIp - End-user IP to forward upstream
+ * @param {Object} context.locationData - Geo location data to forward upstream
+ * @param {string} context.requestId - Request ID for tracking
+ * @returns {Promise<Object>} The upstream response and formatted results ({ response, data })
+ */
+async function fetchPeople(query, { clientIp, locationData, requestId }) {
+  // Use correctly encoded queryString for request
+  const queryString = [
+    "form=partial",
+    "profile=_default",
+    `query=${encodeURIComponent(query.query || "")}`,
+    "f.Tabs%7Cseattleu%7Eds-staff=Faculty+%26+Staff",
+    "collection=seattleu~sp-search",
+    "num_ranks=5",
+  ].join("&");
+
+  const path = `search.json?${queryString}`;
+
+  // Log outgoing request
+  commonUtils.logEvent("info", "outgoing_request", "suggest-people", {
+    requestId,
+    url: funnelbackClient.buildUrl(path),
+    query: query.query || "",
+  });
+
+  // Make request to Funnelback with proper IP forwarding
+  const response = await funnelbackClient.get(path, {
+    clientIp,
+    locationData,
+    requestId,
+    accept: "text/html",
+    type: "suggest",
+    handlerName: "suggest-people",
+    breaker: "people",
+  });
+
+  // Log successful response
+  commonUtils.logEvent("info", "funnelback_response", "suggest-people", {
+    requestId,
+    status: response.status,
+    resultCount: response.data?.response?.resultPacket?.results?.length || 0,
+  });
+
+  // Format and prepare response
+  const data = (response.data?.response?.resultPacket?.results || []).map(
+    formatPerson
+  );
+
+  return { response, data };
+}
+
+/**
+ * Cleans program titles by removing HTML tags and selecting first pipe-separated value
+ *
+ * @param {string} title - Raw title from Funnelback
+ * @returns {string} Cleaned title without HTML tags and additional metadata
+ */
+function cleanProgramTitle(title) {
+  if (!title) return "";
+
+  // Get first pipe-separated value
+  const firstTitle = title.split("|")[0];
+
+  // Remove HTML tags and trim whitespace
+  return firstTitle
+    .replace(/<[^>]+>/g, "") // Remove HTML tags
+    .trim(); // Clean up whitespace
+}
+
+/**
+ * Formats a programs search response for the frontend
+ *
+ * @param {Object} body - Funnelback search.json response body
+ * @param {string} searchTerm - The query searched for
+ * @returns {Object} Programs response ({ metadata, programs })
+ */
+function formatPrograms(body, searchTerm) {
+  return {
+    metadata: {
+      totalResults:
+        body.response?.resultPacket?.resultsSummary?.totalMatching || 0,
+      queryTime: body.response?.resultPacket?.resultsSummary?.queryTime || 0,
+      searchTerm,
+    },
+    programs: (body.response?.resultPacket?.results || []).map((result) => ({
+      id: result.rank,
+      title: cleanProgramTitle(result.title),
+      url: result.liveUrl,
+      details: {
+        type: result.listMetadata?.programCredentialType?.[0] || null,
+        school: result.listMetadata?.provider?.[0] || null,
+        credits: result.listMetadata?.credits?.[0] || null,
+        area: result.listMetadata?.areaOfStudy?.[0] || null,
+        level: result.listMetadata?.category?.[0] || null,
+        mode: result.listMetadata?.programMode?.[0] || null,
+      },
+      image: result.listMetadata?.image?.[0] || null,
+      description: result.listMetadata?.c?.[0] || null,
+    })),
+  };
+}
+
+/**
+ * Fetches program results from Funnelback and formats them for the frontend
+ *
+ * @param {Object} requestQuery - Query parameters from the request
+ * @param {Object} context - Request context
+ * @param {string} context.clientIp - End-user IP to forward upstream
+ * @param {Object} context.locationData - Geo location data to forward upstream
+ * @param {string} context.requestId - Request ID for tracking
+ * @returns {Promise<Object>} The upstream response and formatted response ({ response, data })
+ */
+async function fetchPrograms(requestQuery, { clientIp, locationData, requestId }) {
+  const query = {
+    ...requestQuery,
+    collection: "seattleu~ds-programs",
+    profile: "_default",
+    num_ranks: 5,
+    form: "partial",
+  };
+
+  // Log outgoing request
+  commonUtils.logEvent("info", "outgoing_request", "suggest-programs", {
+    requestId,
+    query: query.query || "",
+  });
+
+  // Make request to Funnelback with proper IP forwarding
+  const response = await funnelbackClient.get("search.json", {
+    params: query,
+    clientIp,
+    locationData,
+    requestId,
+    accept: "application/json",
+    headers: { "Content-Type": "application/json" },
+    type: "suggest",
+    handlerName: "suggest-programs",
+    breaker: "programs",
+  });
+
+  // Log successful response
+  commonUtils.logEvent("info", "funnelback_response", "suggest-programs", {
+    requestId,
+    status: response.status,
+    resultCount: response.data?.response?.resultPacket?.results?.length || 0,
+  });
+
+  // Format response for frontend consumption with correct path traversal
+  const data = formatPrograms(response.data, query.query || "");
+
+  return { response, data };
+}
+
+/**
+ * Extracts spelling suggestions from HTML response
+ *
+ * @param {string} htmlContent - The HTML response from Funnelback
+ * @returns {Array} Array of spelling suggestions, or empty array if none found
+ */
+function extractSpellingSuggestions(htmlContent) {
+  try {
+    // Simple regex to extract spelling suggestions
+    const regex = /class="spelling">Did you mean:([^<]+)</g;
+    const matches = [];
+    let match;
+
+    while ((match = regex.exec(htmlContent)) !== null) {
+      if (match[1]) {
+        matches.push(match[1].trim());
+      }
+    }
+
+    return matches;
+  } catch (error) {
+    console.error("Error extracting spelling suggestions:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches the partial search page from Funnelback and extracts spelling suggestions
+ *
+ * @param {Object} query - Query parameters to forward
+ * @param {Object} context - Request context
+ * @param {string} context.clientIp - End-user IP to forward upstream
+ * @param {Object} context.locationData - Geo location data to forward upstream
+ * @param {string} context.requestId - Request ID for tracking
+ * @returns {Promise<Object>} The upstream response and suggestions ({ response, data })
+ */
+async function fetchSpelling(query, { clientIp, locationData, requestId }) {
+  const params = new URLSearchParams({
+    ...query,
+    collection: "seattleu~sp-search",
+    profile: "_default",
+    form: "partial",
+  });
+
+  const response = await funnelbackClient.get("search.html", {
+    params,
+    clientIp,
+    locationData,
+    requestId,
+    accept: "text/html",
+    type: "search",
+    handlerName: "spelling",
+  });
+
+  return {
+    response,
+    data: extractSpellingSuggestions(response.data),
+  };
+}
+
+/**
+ * Describes the shape of a formatted value: its keys, recursively, with an
+ * array described by its first item
+ *
+ * @param {*} value - Formatted value
+ * @returns {string} Shape description
+ * @private
+ */
+function describeShape(value) {
+  if (Array.isArray(value)) {
+    return `[${value.length > 0 ? describeShape(value[0]) : ""}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${key}:${describeShape(value[key])}`).join(",")}}`;
+  }
+  return "";
+}
+
+/**
+ * Response schema version per cache endpoint
+ * Each is a hash of the shape its formatter produces for an empty result, so
+ * adding, removing or renaming a field changes it. The formatters therefore
+ * always return every field, null when the result has no value.
+ */
+const RESPONSE_SCHEMA_VERSIONS = Object.fromEntries(
+  Object.entries({
+    suggestions: [formatSuggestion("", {})],
+    people: [formatPerson({})],
+    programs: formatPrograms({ response: { resultPacket: { results: [{}] } } }, ""),
+  }).map(([endpoint, sample]) => [
+    endpoint,
+    crypto.createHash("sha256").update(describeShape(sample)).digest("hex").slice(0, 12),
+  ])
+);
+
+module.exports = {
+  RESPONSE_SCHEMA_VERSIONS,
+  formatSuggestion,
+  enrichSuggestions,
+  cleanTitle,
+  formatPerson,
+  cleanProgramTitle,
+  formatPrograms,
+  fetchSuggestions,
+  fetchPeople,
+  fetchPrograms,
+  extractSpellingSuggestions,
+  fetchSpelling,
+};
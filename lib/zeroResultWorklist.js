@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Zero-Result Query Worklist
+ *
+ * Builds a worklist of queries that returned nothing, for the content team to
+ * fix with synonyms, best bets or new content. Queries are clustered by their
+ * normalized text, and each cluster's most common wording is looked up in
+ * the spelling and suggest endpoints to show what Funnelback could have offered.
+ *
+ * Features:
+ * - Clusters ignore case, accents, punctuation, word order and repeated words
+ * - Includes the aggregate counters kept for visitors without consent
+ * - Spelling and suggestion lookups within a time budget, a few at a time
+ * - Suggested action per cluster: synonym, best_bet or content_gap
+ * - Each run is stored, so the worklist is served without upstream calls
+ * - CSV export for spreadsheets
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace zeroResultWorklist
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const commonUtils = require("./commonUtils");
+const { Query, connectToMongoDB } = require("./queryAnalytics");
+const {
+  EMPTY_QUERIES,
+  PROJECT_QUERY,
+  buildQueryMatch,
+  unionCounters,
+} = require("./analyticsReports");
+const { fetchSpelling, fetchSuggestions } = require("./suggestionFetchers");
+
+/** Worklist defaults, overridable per run */
+const WORKLIST_DEFAULTS = {
+  days: 30,
+  limit: parseInt(process.env.ZERO_RESULT_WORKLIST_LIMIT, 10) || 100,
+  maxDurationMs: parseInt(process.env.ZERO_RESULT_WORKLIST_MAX_DURATION_MS, 10) || 45000,
+  // Upstream lookups made at the same time
+  concurrency: 4,
+};
+
+/** Handlers whose empty responses mean a visitor found nothing */
+const ZERO_RESULT_HANDLERS = [
+  "search",
+  "server",
+  "suggest",
+  "suggestPeople",
+  "suggestPrograms",
+];
+
+/** Most distinct queries read per run, most frequent first */
+const MAX_DISTINCT_QUERIES = 5000;
+
+/** Stored runs are kept for 90 days (in seconds) */
+const WORKLIST_TTL = 60 * 60 * 24 * 90;
+
+/** CSV columns, in order */
+const CSV_COLUMNS = [
+  "rank",
+  "term",
+  "searches",
+  "variants",
+  "handlers",
+  "firstSeen",
+  "lastSeen",
+  "spellingSuggestions",
+  "suggestions",
+  "suggestedAction",
+];
+
+const ClusterSchema = new Schema(
+  {
+    key: { type: String },
+    term: { type: String }, // Most common wording, used for the lookups
+    searches: { type: Number },
+    variants: [{ query: String, searches: Number, _id: false }],
+    handlers: [{ type: String }],
+    firstSeen: { type: Date },
+    lastSeen: { type: Date },
+    spellingSuggestions: [{ type: String }],
+    suggestions: [{ type: String }],
+    // 'synonym', 'best_bet', 'content_gap', or 'review' when lookups failed or were skipped
+    suggestedAction: { type: String },
+  },
+  { _id: false }
+);
+
+const WorklistSchema = new Schema({
+  generatedAt: { type: Date, default: Date.now },
+  from: { type: Date },
+  to: { type: Date },
+  handlers: [{ type: String }],
+  searchCollection: { type: String },
+  distinctQueries: { type: Number },
+  totalClusters: { type: Number },
+  lookupsTruncated: { type: Boolean },
+  clusters: [ClusterSchema],
+  requestId: { type: String },
+  expiresAt: { type: Date },
+});
+
+WorklistSchema.index({ generatedAt: -1 });
+WorklistSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+let ZeroResultWorklist;
+try {
+  ZeroResultWorklist = mongoose.model("ZeroResultWorklist");
+} catch (error) {
+  ZeroResultWorklist = mongoose.model(
+    "ZeroResultWorklist",
+    WorklistSchema,
+    "zeroresultworklists"
+  );
+}
+
+/**
+ * Normalizes query text into a cluster key
+ * "Nursing, B.S.N." and "bsn nursing" share the key "bsn nursing".
+ *
+ * @param {string} query - Query text
+ * @returns {string} Cluster key, or an empty string for queries without words
+ */
+function normalizeQueryText(query) {
+  const words = String(query || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/(\p{L})\.(?=\p{L})/gu, "$1")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return [...new Set(words)].sort().join(" ");
+}
+
+/**
+ * Reads zero-result queries, grouped by their lowercased text
+ *
+ * @param {Object} filters - Run filters ({ from, to, handler, collection })
+ * @returns {Promise<Array<Object>>} Queries ({ query, searches, handlers, firstSeen, lastSeen })
+ * @private
+ */
+async function findZeroResultQueries(filters) {
+  const handlers = filters.handler ? [filters.handler] : ZERO_RESULT_HANDLERS;
+
+  return Query.aggregate([
+    {
+      $match: {
+        ...buildQueryMatch(filters),
+        handler: { $in: handlers },
+        hasResults: false,
+      },
+    },
+    PROJECT_QUERY,
+    unionCounters(filters),
+    {
+      $match: {
+        handler: { $in: handlers },
+        query: { $nin: EMPTY_QUERIES },
+        zeroResults: { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: "$query",
+        searches: { $sum: "$zeroResults" },
+        handlers: { $addToSet: "$handler" },
+        firstSeen: { $min: "$timestamp" },
+        lastSeen: { $max: "$timestamp" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: MAX_DISTINCT_QUERIES },
+    { $project: { _id: 0, query: "$_id", searches: 1, handlers: 1, firstSeen: 1, lastSeen: 1 } },
+  ]).allowDiskUse(true);
+}
+
+/**
+ * Clusters queries by normalized text, most searched first
+ *
+ * @param {Array<Object>} queries - Result of findZeroResultQueries
+ * @returns {Array<Object>} Clusters
+ */
+function clusterQueries(queries) {
+  const clusters = new Map();
+
+  for (const entry of queries) {
+    const key = normalizeQueryText(entry.query);
+    if (!key) continue;
+
+    let cluster = clusters.get(key);
+    if (!cluster) {
+      cluster = {
+        key,
+        searches: 0,
+        variants: [],
+        handlers: new Set(),
+        firstSeen: entry.firstSeen,
+        lastSeen: entry.lastSeen,
+      };
+      clusters.set(key, cluster);
+    }
+
+    cluster.searches += entry.searches;
+    cluster.variants.push({ query: entry.query, searches: entry.searches });
+    entry.handlers.forEach((handler) => cluster.handlers.add(handler));
+    if (entry.firstSeen < cluster.firstSeen) cluster.firstSeen = entry.firstSeen;
+    if (entry.lastSeen > cluster.lastSeen) cluster.lastSeen = entry.lastSeen;
+  }
+
+  return [...clusters.values()]
+    .map((cluster) => {
+      const variants = cluster.variants
+        .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query))
+        .slice(0, 10);
+      return {
+        ...cluster,
+        term: variants[0].query,
+        variants,
+        handlers: [...cluster.handlers].sort(),
+      };
+    })
+    .sort((a, b) => b.searches - a.searches || a.key.localeCompare(b.key));
+}
+
+/**
+ * Looks up what spelling.js and suggest.js would offer for a cluster's term
+ *
+ * @param {Object} cluster - Cluster from clusterQueries
+ * @param {string} requestId - Request ID for tracking
+ * @returns {Promise<Object>} Cluster with lookups and a suggested action
+ * @private
+ */
+async function addRemediation(cluster, requestId) {
+  const context = { clientIp: null, locationData: {}, requestId };
+  const [spelling, suggest] = await Promise.allSettled([
+    fetchSpelling({ query: cluster.term }, context),
+    fetchSuggestions({ query: cluster.term, collection: "seattleu~sp-search" }, context),
+  ]);
+
+  const spellingSuggestions =
+    spelling.status === "fulfilled" ? spelling.value.data : [];
+  const suggestions =
+    suggest.status === "fulfilled"
+      ? suggest.value.data
+          .map((suggestion) => suggestion.display)
+          .filter((display) => display && display.toLowerCase() !== cluster.term)
+          .slice(0, 5)
+      : [];
+
+  let suggestedAction = "content_gap";
+  if (spellingSuggestions.length > 0) {
+    suggestedAction = "synonym";
+  } else if (suggestions.length > 0) {
+    suggestedAction = "best_bet";
+  } else if (spelling.status === "rejected" || suggest.status === "rejected") {
+    suggestedAction = "review";
+  }
+
+  return { ...cluster, spellingSuggestions, suggestions, suggestedAction };
+}
+
+/**
+ * Builds and stores a zero-result worklist
+ *
+ * @param {Object} filters - Run filters ({ from, to, handler, collection })
+ * @param {Object} [options] - Run options
+ * @param {number} [options.limit] - Clusters kept in the worklist
+ * @param {number} [options.maxDurationMs] - Time budget for the lookups
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @returns {Promise<Object>} The stored worklist
+ */
+async function generateWorklist(filters, options = {}) {
+  const startTime = Date.now();
+  const settings = { ...WORKLIST_DEFAULTS, ...options };
+  const requestId = settings.requestId || "zero-result-worklist";
+
+  await connectToMongoDB();
+
+  const queries = await findZeroResultQueries(filters);
+  const allClusters = clusterQueries(queries);
+  const clusters = allClusters.slice(0, settings.limit);
+
+  let lookupsTruncated = false;
+  for (let index = 0; index < clusters.length; index += settings.concurrency) {
+    if (Date.now() - startTime > settings.maxDurationMs) {
+      lookupsTruncated = true;
+      break;
+    }
+    const batch = clusters.slice(index, index + settings.concurrency);
+    const remediated = await Promise.all(
+      batch.map((cluster) => addRemediation(cluster, requestId))
+    );
+    clusters.splice(index, remediated.length, ...remediated);
+  }
+
+  for (const cluster of clusters) {
+    if (!cluster.suggestedAction) cluster.suggestedAction = "review";
+  }
+
+  const worklist = await ZeroResultWorklist.create({
+    from: filters.from,
+    to: filters.to,
+    handlers: filters.handler ? [filters.handler] : ZERO_RESULT_HANDLERS,
+    searchCollection: filters.collection || undefined,
+    distinctQueries: queries.length,
+    totalClusters: allClusters.length,
+    lookupsTruncated,
+    clusters,
+    requestId,
+    expiresAt: new Date(Date.now() + WORKLIST_TTL * 1000),
+  });
+
+  commonUtils.logEvent("info", "worklist_generated", "zero-result-worklist", {
+    requestId,
+    distinctQueries: queries.length,
+    totalClusters: allClusters.length,
+    clusters: clusters.length,
+    lookupsTruncated,
+    duration: `${Date.now() - startTime}ms`,
+  });
+
+  return worklist.toObject();
+}
+
+/**
+ * Reads the most recently stored worklist
+ *
+ * @returns {Promise<Object|null>} The worklist, or null if none was generated yet
+ */
+async function getLatestWorklist() {
+  await connectToMongoDB();
+  return ZeroResultWorklist.findOne().sort({ generatedAt: -1 }).lean();
+}
+
+/**
+ * Formats a worklist as CSV, one row per cluster
+ *
+ * @param {Object} worklist - Stored worklist
+ * @returns {string} CSV with a header row
+ */
+function toCsv(worklist) {
+  const rows = worklist.clusters.map((cluster, index) => ({
+    ...cluster,
+    rank: index + 1,
+    variants: cluster.variants.map((variant) => `${variant.query} (${variant.searches})`),
+  }));
+  return commonUtils.formatCsv(CSV_COLUMNS, rows);
+}
+
+module.exports = {
+  ZeroResultWorklist,
+  WORKLIST_DEFAULTS,
+  ZERO_RESULT_HANDLERS,
+  normalizeQueryText,
+  clusterQueries,
+  generateWorklist,
+  getLatestWorklist,
+  toCsv,
+};
@@ -5,80 +5,54 @@
  * provides critical infrastructure-level functionality:
  *
  * - Rate limiting to prevent abuse and DDoS attacks
+ * - Configurable rate limit keys and IP allow/deny lists
+ * - Bot scoring on the public /proxy/* routes: suspected bots are throttled or
+ *   challenged, and the score is passed to the handlers in an x-bot-score header
+ * - CORS preflight answered from the shared origin allowlist (lib/corsPolicy.js)
  * - IP address preservation for accurate analytics
  * - Session ID generation and tracking
  * - Request header augmentation
  *
  * The middleware uses different rate limits for different endpoint types,
- * with higher limits for suggestion endpoints that are called during typing
- * and lower limits for admin dashboard functions. It preserves the original
- * client IP in a custom header and ensures every request has a session ID
- * either from URL parameters or by generating a new one.
+ * with larger burst allowances for suggestion endpoints that are called during
+ * typing and lower limits for admin dashboard functions. Limits are token
+ * buckets kept in a shared Redis store (see lib/rateLimiter.js), so they hold
+ * across edge isolates. It preserves the original client IP in a custom
+ * header and ensures every request has a session ID either from URL
+ * parameters or by generating a new one.
  *
  * For security and scalability reasons, all rate limiting is performed
  * at the edge before requests reach serverless functions.
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.7.0
  * @environment development
  * @status in-progress
- * @lastModified 2025-04-25
+ * @lastModified 2026-10-18
  * @module middleware
  * @license MIT
  */
 
-/**
- * In-memory cache mapping IP addresses to their rate limiting data
- * @type {Map<string, Object>}
- * @private
- */
-const ipCache = new Map();
-
-/**
- * Time window for rate limiting in milliseconds
- * @type {number}
- * @constant
- * @private
- */
-const WINDOW_MS = 60 * 1000; // 1 minute
+import {
+  createRateLimiter,
+  getRouteForPath,
+  getRateLimitHeaders,
+} from "./lib/rateLimiter";
+import { createKeyPolicy } from "./lib/rateLimitKeys";
+import { BOT_CONFIG, scoreRequest, getBotAction } from "./lib/botDetection";
+import { getCorsHeaders, isOriginAllowed } from "./lib/corsPolicy";
 
 /**
- * Rate limits for different endpoint types (requests per minute)
- * @type {Object}
- * @property {number} search - Limit for search endpoints
- * @property {number} suggest - Limit for suggestion endpoints (higher to support typing)
- * @property {number} suggestPeople - Limit for people suggestion endpoints
- * @property {number} suggestPrograms - Limit for programs suggestion endpoints
- * @property {number} analytics - Limit for analytics collection endpoints
- * @property {number} default - Default limit for all other endpoints
- * @constant
+ * Shared token bucket rate limiter (Redis over REST, in-memory fallback)
  * @private
  */
-const LIMITS = {
-  search: 60, // Search endpoints
-  suggest: 60, // General suggestion endpoints
-  suggestPeople: 60, // People suggestion endpoints
-  suggestPrograms: 60, // Program suggestion endpoints
-  analytics: 50, // Analytics endpoints
-  default: 30, // Default for any other endpoints
-};
+const rateLimiter = createRateLimiter();
 
 /**
- * Cleans up expired entries from the IP cache
- * This helps prevent memory leaks in long-running edge functions
- *
+ * Rate limit key strategy and allow/deny lists from the environment
  * @private
- * @function
- * @returns {void}
  */
-function cleanupCache() {
-  const now = Date.now();
-  for (const [key, value] of ipCache.entries()) {
-    if (now > value.resetTime) {
-      ipCache.delete(key);
-    }
-  }
-}
+const keyPolicy = createKeyPolicy();
 
 /**
  * Logs detailed information about IP sources for debugging
@@ -203,6 +177,32 @@ function logSessionInfo(request, sessionId, wasGenerated, requestId) {
   );
 }
 
+/**
+ * Gets the CORS profile for a request path
+ *
+ * @param {string} path - The request path
+ * @returns {string} 'analytics' for the analytics endpoints, 'default' otherwise
+ * @private
+ */
+function getCorsProfile(path) {
+  return /\/(proxy|api)\/analytics/.test(path) ? "analytics" : "default";
+}
+
+/**
+ * Adds CORS headers to responses the middleware returns itself (429, 403)
+ *
+ * @param {Response} response - The response to modify
+ * @param {string} path - The request path
+ * @param {string} origin - The request's Origin header
+ * @private
+ */
+function setErrorCorsHeaders(response, path, origin) {
+  const headers = getCorsHeaders(origin, { profile: getCorsProfile(path) });
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+}
+
 /**
  * Middleware function that processes requests at the edge
  *
@@ -215,15 +215,20 @@ export default async function middleware(request) {
     .toString(36)
     .substring(2, 10)}`;
 
-  // Clean up expired entries
-  cleanupCache();
-
   const url = new URL(request.url);
   const path = url.pathname;
 
-  // Handle OPTIONS requests specially to maintain CORS
+  const origin = request.headers.get("origin");
+
+  // Answer preflight requests here so every endpoint gets the same policy
   if (request.method === "OPTIONS") {
-    return fetch(request);
+    return new Response(null, {
+      status: isOriginAllowed(origin) ? 204 : 403,
+      headers: getCorsHeaders(origin, {
+        profile: getCorsProfile(path),
+        preflight: true,
+      }),
+    });
   }
 
   // Start with logging the incoming request
@@ -245,96 +250,117 @@ export default async function middleware(request) {
   // Log detailed IP source information
   logIpSources(request, clientIp, requestId);
 
-  const now = Date.now();
+  // Denylisted addresses are rejected; allowlisted ones skip rate limiting
+  const { access, range } = keyPolicy.getAccess(clientIp);
 
-  // Determine appropriate rate limit based on endpoint type
-  let rateLimit = LIMITS.default;
+  if (access === "deny") {
+    const response = new Response(JSON.stringify({ error: "Forbidden" }), {
+      status: 403,
+      headers: { "Content-Type": "application/json" },
+    });
+    setErrorCorsHeaders(response, path, origin);
 
-  if (path.includes("/proxy/funnelback/suggest")) {
-    rateLimit = LIMITS.suggest;
-  } else if (path.includes("/proxy/suggestPeople")) {
-    rateLimit = LIMITS.suggestPeople;
-  } else if (path.includes("/proxy/suggestPrograms")) {
-    rateLimit = LIMITS.suggestPrograms;
-  } else if (
-    path.includes("/proxy/funnelback/search") ||
-    path.includes("/proxy/funnelback/spelling")
-  ) {
-    rateLimit = LIMITS.search;
-  } else if (
-    path.includes("/proxy/analytics") ||
-    path.includes("/api/analytics")
-  ) {
-    rateLimit = LIMITS.analytics;
-  }
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: "edge-middleware",
+        requestId,
+        event: "client_denied",
+        clientIp,
+        range,
+        path,
+      })
+    );
 
-  // Initialize or get current rate limit data
-  if (!ipCache.has(clientIp)) {
-    ipCache.set(clientIp, {
-      count: 0,
-      resetTime: now + WINDOW_MS,
-    });
+    return response;
   }
 
-  const rateData = ipCache.get(clientIp);
+  const route = getRouteForPath(path);
+  let bot = { score: 0, reasons: [] };
+  let rateResult = null;
+  let rateHeaders = {};
+
+  if (access === "limit") {
+    const clientSessionId =
+      url.searchParams.get("sessionId") || request.headers.get("x-session-id");
+
+    // Score public traffic only; /api/* admin routes are called by scripts and
+    // Vercel cron and are protected by their own credentials (lib/adminAuth.js).
+    // Cadence is tracked per session, or per IP without one
+    if (path.startsWith("/proxy/")) {
+      bot = scoreRequest(request.headers, {
+        cadenceKey: clientSessionId || clientIp,
+      });
+    }
+    const botAction = getBotAction(bot.score);
+
+    if (bot.score >= BOT_CONFIG.throttleThreshold) {
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          service: "edge-middleware",
+          requestId,
+          event: "bot_detected",
+          clientIp,
+          path,
+          score: bot.score,
+          reasons: bot.reasons,
+          action: botAction,
+          userAgent: request.headers.get("user-agent"),
+        })
+      );
+    }
+
+    if (botAction === "challenge") {
+      const response = new Response(
+        JSON.stringify({ error: "Automated traffic is not allowed" }),
+        {
+          status: 403,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      setErrorCorsHeaders(response, path, origin);
+      return response;
+    }
 
-  // Reset counter if time window has elapsed
-  if (now > rateData.resetTime) {
-    rateData.count = 0;
-    rateData.resetTime = now + WINDOW_MS;
+    // Take tokens from this client's bucket for the route; throttled bots pay more
+    const rateKey = keyPolicy.getKey(route, {
+      clientIp,
+      sessionId: clientSessionId,
+    });
+    const cost = botAction === "throttle" ? BOT_CONFIG.throttleCost : 1;
+    rateResult = await rateLimiter.check(route, rateKey, { cost });
+
+    // Session IDs come from the client, so session buckets share an IP or
+    // subnet ceiling that rotating them cannot escape
+    const ceilingKey = keyPolicy.getCeilingKey(route, { clientIp });
+    if (rateResult.allowed && ceilingKey) {
+      const ceilingResult = await rateLimiter.check(route, ceilingKey, {
+        cost,
+        scale: keyPolicy.ceilingScale,
+      });
+      if (!ceilingResult.allowed) rateResult = ceilingResult;
+    }
+    rateHeaders = getRateLimitHeaders(rateResult);
   }
 
-  // Increment counter
-  rateData.count++;
-
   // Check if rate limit is exceeded
-  if (rateData.count > rateLimit) {
+  if (rateResult && !rateResult.allowed) {
     const response = new Response(
       JSON.stringify({
         error: "Too many requests",
-        retryAfter: Math.ceil((rateData.resetTime - now) / 1000),
+        retryAfter: rateResult.retryAfter,
       }),
       {
         status: 429,
         headers: {
           "Content-Type": "application/json",
-          "Retry-After": Math.ceil(
-            (rateData.resetTime - now) / 1000
-          ).toString(),
+          ...rateHeaders,
         },
       }
     );
 
-    // Add CORS headers to error responses
-    if (path.includes("/proxy/analytics")) {
-      response.headers.set(
-        "Access-Control-Allow-Origin",
-        "https://www.seattleu.edu"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Methods",
-        "GET,OPTIONS,PATCH,DELETE,POST,PUT"
-      );
-      response.headers.set("Access-Control-Allow-Credentials", "true");
-      response.headers.set(
-        "Access-Control-Allow-Headers",
-        "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Origin"
-      );
-    } else {
-      // Default CORS headers for other paths
-      response.headers.set(
-        "Access-Control-Allow-Origin",
-        "https://www.seattleu.edu"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Methods",
-        "GET, POST, OPTIONS"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Headers",
-        "Content-Type, Origin"
-      );
-    }
+    setErrorCorsHeaders(response, path, origin);
 
     // Log rate limit exceeded
     console.log(
@@ -345,9 +371,11 @@ export default async function middleware(request) {
         event: "rate_limit_exceeded",
         clientIp,
         path,
-        rateLimit,
-        currentCount: rateData.count,
-        resetTime: new Date(rateData.resetTime).toISOString(),
+        route,
+        keyStrategy: keyPolicy.strategy,
+        policy: rateResult.policy,
+        retryAfter: rateResult.retryAfter,
+        store: rateResult.store,
       })
     );
 
@@ -362,6 +390,7 @@ export default async function middleware(request) {
   requestHeaders.set("x-original-client-ip", clientIp);
   requestHeaders.set("x-middleware-processed", "true");
   requestHeaders.set("x-request-id", requestId);
+  requestHeaders.set("x-bot-score", String(bot.score));
 
   // Add redundant IP headers to ensure downstream functions have access
   // to the true client IP regardless of which header they check
@@ -453,6 +482,7 @@ export default async function middleware(request) {
         "x-middleware-processed": "true",
         "x-request-id": requestId,
         "x-session-id": sessionId,
+        "x-bot-score": String(bot.score),
       },
     })
   );
@@ -476,12 +506,9 @@ export default async function middleware(request) {
   const newResponse = new Response(response.body, response);
 
   // Add rate limit information to headers
-  newResponse.headers.set("X-RateLimit-Limit", rateLimit.toString());
-  newResponse.headers.set(
-    "X-RateLimit-Remaining",
-    (rateLimit - rateData.count).toString()
-  );
-  newResponse.headers.set("X-RateLimit-Reset", rateData.resetTime.toString());
+  for (const [name, value] of Object.entries(rateHeaders)) {
+    newResponse.headers.set(name, value);
+  }
   newResponse.headers.set("X-Request-ID", requestId);
 
   return newResponse;
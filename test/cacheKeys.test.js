@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Cache Key Normalization Tests
+ *
+ * Checks that requests differing only in casing, whitespace, Unicode form,
+ * parameter aliases, tracking parameters or default values share one cache
+ * key (lib/cacheService.js normalizeCacheParams / generateCacheKey).
+ *
+ * Run with `npm test`.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeCacheParams,
+  generateCacheKey,
+} = require("../lib/cacheService");
+
+/**
+ * Asserts that every parameter set produces the same cache key
+ *
+ * @param {string} endpoint - The cache endpoint
+ * @param {Array<Object>} variants - Equivalent query parameters
+ */
+function assertSameKey(endpoint, variants) {
+  const [first, ...rest] = variants.map((params) => generateCacheKey(endpoint, params));
+  for (const key of rest) {
+    assert.equal(key, first);
+  }
+}
+
+// generateCacheKey logs every key it builds
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+});
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test("query casing does not change the key", () => {
+  assertSameKey("suggestions", [
+    { query: "nursing" },
+    { query: "Nursing" },
+    { query: "NURSING" },
+  ]);
+});
+
+test("surrounding and repeated whitespace is collapsed", () => {
+  assertSameKey("suggestions", [
+    { query: "computer science" },
+    { query: "  computer science " },
+    { query: "computer \t  science" },
+  ]);
+});
+
+test("Unicode values are NFC-normalized", () => {
+  const composed = "caf\u00e9";
+  const decomposed = "cafe\u0301";
+  assert.notEqual(composed, decomposed);
+
+  assertSameKey("suggestions", [{ query: composed }, { query: decomposed }]);
+  assertSameKey("people", [{ query: composed }, { query: decomposed }]);
+});
+
+test("partial_query is an alias of query", () => {
+  assertSameKey("suggestions", [
+    { query: "biology", collection: "seattleu~sp-search" },
+    { partial_query: "biology", collection: "seattleu~sp-search" },
+  ]);
+});
+
+test("an explicit query wins over partial_query", () => {
+  assert.deepEqual(
+    normalizeCacheParams("suggestions", { query: "law", partial_query: "la" }),
+    { query: "law" }
+  );
+});
+
+test("tracking, cache-buster and session parameters are dropped", () => {
+  assertSameKey("suggestions", [
+    { query: "housing" },
+    {
+      query: "housing",
+      utm_source: "newsletter",
+      utm_campaign: "fall",
+      fbclid: "abc",
+      gclid: "def",
+      _: "1760000000000",
+      cb: "42",
+      sessionId: "sess_123",
+    },
+  ]);
+  assertSameKey("default", [
+    { query: "housing", collection: "seattleu~sp-search" },
+    { query: "housing", collection: "seattleu~sp-search", utm_medium: "email", _t: "9" },
+  ]);
+});
+
+test("default values are dropped", () => {
+  assertSameKey("suggestions", [
+    { query: "art" },
+    { query: "art", profile: "_default" },
+    { query: "art", profile: " _default " },
+  ]);
+});
+
+test("non-default values and other queries keep distinct keys", () => {
+  const base = generateCacheKey("suggestions", { query: "art" });
+
+  assert.notEqual(generateCacheKey("suggestions", { query: "art", profile: "_staff" }), base);
+  assert.notEqual(generateCacheKey("suggestions", { query: "arts" }), base);
+  assert.notEqual(generateCacheKey("programs", { query: "art" }), base);
+});
+
+test("parameter order does not change the key", () => {
+  assertSameKey("programs", [
+    { query: "nursing", sort: "title", start_rank: "11" },
+    { start_rank: "11", sort: "title", query: "nursing" },
+  ]);
+});
+
+test("parameters outside an endpoint's allowlist are dropped", () => {
+  assert.deepEqual(
+    normalizeCacheParams("people", { query: "Smith", collection: "other", num_ranks: "50" }),
+    { query: "smith" }
+  );
+});
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Rate Limit Key and Access List Tests
+ *
+ * Checks IPv4 and IPv6 parsing and CIDR matching, which decide who skips or
+ * is refused by every limit, and the bucket and ceiling keys of each key
+ * strategy (lib/rateLimitKeys.js).
+ *
+ * Run with `npm test`.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createKeyPolicy,
+  parseIp,
+  parseCidrList,
+  findMatchingRange,
+  getSubnet,
+} = require("../lib/rateLimitKeys");
+
+/**
+ * Gets the source of the range matching an IP
+ *
+ * @param {string} ip - The IP address
+ * @param {string} list - IPs and CIDR ranges
+ * @returns {string|null} The matching entry, or null
+ */
+function matchSource(ip, list) {
+  return findMatchingRange(ip, parseCidrList(list))?.source ?? null;
+}
+
+// Invalid list entries are logged
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+});
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test("IPv4 and IPv6 addresses are parsed", () => {
+  assert.deepEqual(parseIp("192.0.2.1"), { version: 4, value: 0xc0000201n });
+  assert.deepEqual(parseIp(" 10.0.0.255 "), { version: 4, value: 0x0a0000ffn });
+  assert.deepEqual(parseIp("2001:db8::1"), {
+    version: 6,
+    value: 0x20010db8000000000000000000000001n,
+  });
+  assert.deepEqual(parseIp("::"), { version: 6, value: 0n });
+  assert.deepEqual(parseIp("fe80::1%eth0"), {
+    version: 6,
+    value: 0xfe800000000000000000000000000001n,
+  });
+  assert.deepEqual(parseIp("64:ff9b::192.0.2.1"), {
+    version: 6,
+    value: 0x0064ff9b0000000000000000c0000201n,
+  });
+});
+
+test("IPv4-mapped IPv6 addresses are parsed as IPv4", () => {
+  assert.deepEqual(parseIp("::ffff:192.0.2.1"), { version: 4, value: 0xc0000201n });
+  assert.deepEqual(parseIp("::ffff:c000:201"), { version: 4, value: 0xc0000201n });
+});
+
+test("invalid addresses are rejected", () => {
+  const invalid = [
+    "",
+    "256.0.0.1",
+    "1.2.3",
+    "1.2.3.4.5",
+    "01234.1.1.1",
+    "1::2::3",
+    "1:2:3:4:5:6:7",
+    "1:2:3:4:5:6:7:8:9",
+    "2001:db8::g",
+    "::ffff:300.0.0.1",
+    "localhost",
+  ];
+
+  for (const ip of invalid) {
+    assert.equal(parseIp(ip), null, ip);
+  }
+});
+
+test("IPv4 CIDR ranges match the addresses inside them only", () => {
+  const list = "10.0.0.0/8, 192.0.2.7, 198.51.100.128/25";
+
+  assert.equal(matchSource("10.255.1.2", list), "10.0.0.0/8");
+  assert.equal(matchSource("11.0.0.1", list), null);
+  assert.equal(matchSource("192.0.2.7", list), "192.0.2.7");
+  assert.equal(matchSource("192.0.2.8", list), null);
+  assert.equal(matchSource("198.51.100.128", list), "198.51.100.128/25");
+  assert.equal(matchSource("198.51.100.255", list), "198.51.100.128/25");
+  assert.equal(matchSource("198.51.100.127", list), null);
+});
+
+test("IPv6 CIDR ranges match the addresses inside them only", () => {
+  const list = "2001:db8::/32 2600:1f18:abcd:12::/64";
+
+  assert.equal(matchSource("2001:db8:ffff::1", list), "2001:db8::/32");
+  assert.equal(matchSource("2001:0DB8:0:0:0:0:0:1", list), "2001:db8::/32");
+  assert.equal(matchSource("2001:db9::1", list), null);
+  assert.equal(matchSource("2600:1f18:abcd:12:ffff::9", list), "2600:1f18:abcd:12::/64");
+  assert.equal(matchSource("2600:1f18:abcd:13::9", list), null);
+});
+
+test("IPv4 and IPv6 ranges never match each other's addresses", () => {
+  assert.equal(matchSource("::1", "0.0.0.0/0"), null);
+  assert.equal(matchSource("192.0.2.1", "::/0"), null);
+  assert.equal(matchSource("203.0.113.9", "0.0.0.0/0"), "0.0.0.0/0");
+  assert.equal(matchSource("2001:db8::1", "::/0"), "::/0");
+});
+
+test("IPv4-mapped clients and ranges match as IPv4", () => {
+  assert.equal(matchSource("::ffff:10.1.2.3", "10.0.0.0/8"), "10.0.0.0/8");
+  assert.equal(matchSource("192.0.2.9", "::ffff:192.0.2.0/120"), "::ffff:192.0.2.0/120");
+  assert.equal(matchSource("192.0.3.9", "::ffff:192.0.2.0/120"), null);
+});
+
+test("invalid list entries are skipped and logged", () => {
+  const ranges = parseCidrList("10.0.0.0/33, bogus, 192.0.2.0/24, 2001:db8::/129, 1.2.3.4/x");
+
+  assert.deepEqual(
+    ranges.map((range) => range.source),
+    ["192.0.2.0/24"]
+  );
+  assert.equal(console.log.mock.callCount(), 4);
+  assert.equal(findMatchingRange("not an ip", ranges), null);
+});
+
+test("the denylist wins over the allowlist", () => {
+  const policy = createKeyPolicy({
+    strategy: "ip",
+    routeStrategies: {},
+    allowlist: "10.0.0.0/8",
+    denylist: "10.6.6.0/24",
+    ceilingScale: 10,
+  });
+
+  assert.deepEqual(policy.getAccess("10.1.2.3"), { access: "allow", range: "10.0.0.0/8" });
+  assert.deepEqual(policy.getAccess("10.6.6.6"), { access: "deny", range: "10.6.6.0/24" });
+  assert.deepEqual(policy.getAccess("192.0.2.1"), { access: "limit", range: null });
+  assert.deepEqual(policy.getAccess(""), { access: "limit", range: null });
+});
+
+test("subnets are the /24 or /64 of an address", () => {
+  assert.equal(getSubnet("192.0.2.77"), "192.0.2.0/24");
+  assert.equal(getSubnet("::ffff:192.0.2.77"), "192.0.2.0/24");
+  assert.equal(getSubnet("2001:db8:1:2:3::4"), "2001:db8:1:2:0:0:0:0/64");
+  assert.equal(getSubnet("unknown"), null);
+});
+
+test("each strategy builds its bucket and ceiling keys", () => {
+  const policy = createKeyPolicy({
+    strategy: "ip",
+    routeStrategies: { search: "subnet", suggest: "session", analytics: "composite" },
+    allowlist: "",
+    denylist: "",
+    ceilingScale: 10,
+  });
+  const client = { clientIp: "192.0.2.77", sessionId: "sess_1" };
+
+  assert.equal(policy.getKey("default", client), "ip:192.0.2.77");
+  assert.equal(policy.getKey("search", client), "net:192.0.2.0/24");
+  assert.equal(policy.getKey("suggest", client), "sess:sess_1");
+  assert.equal(policy.getKey("analytics", client), "net:192.0.2.0/24|sess:sess_1");
+
+  assert.equal(policy.getCeilingKey("default", client), null);
+  assert.equal(policy.getCeilingKey("search", client), null);
+  assert.equal(policy.getCeilingKey("suggest", client), "ceil:ip:192.0.2.77");
+  assert.equal(policy.getCeilingKey("analytics", client), "ceil:net:192.0.2.0/24");
+});
+
+test("session strategies fall back without a usable session ID", () => {
+  const policy = createKeyPolicy({
+    strategy: "session",
+    routeStrategies: { analytics: "composite" },
+    allowlist: "",
+    denylist: "",
+    ceilingScale: 10,
+  });
+  const longSession = "s".repeat(129);
+
+  assert.equal(policy.getKey("suggest", { clientIp: "192.0.2.77" }), "ip:192.0.2.77");
+  assert.equal(
+    policy.getKey("suggest", { clientIp: "192.0.2.77", sessionId: longSession }),
+    "ip:192.0.2.77"
+  );
+  assert.equal(policy.getKey("analytics", { clientIp: "192.0.2.77" }), "net:192.0.2.0/24");
+  assert.equal(
+    policy.getKey("analytics", { clientIp: "bogus", sessionId: "s1" }),
+    "net:bogus|sess:s1"
+  );
+  assert.equal(policy.getCeilingKey("analytics", { clientIp: "bogus" }), "ceil:ip:bogus");
+  assert.equal(policy.getCeilingKey("suggest", {}), "ceil:ip:unknown");
+});
+
+test("unknown strategies fall back to ip and the ceiling scale defaults to 10", (t) => {
+  const configured = process.env.RATE_LIMIT_CEILING_SCALE;
+  delete process.env.RATE_LIMIT_CEILING_SCALE;
+  t.after(() => {
+    if (configured !== undefined) process.env.RATE_LIMIT_CEILING_SCALE = configured;
+  });
+
+  const policy = createKeyPolicy({
+    strategy: "cookie",
+    routeStrategies: "suggest=session, search=cookie",
+    allowlist: "",
+    denylist: "",
+  });
+
+  assert.equal(policy.strategy, "ip");
+  assert.equal(policy.getKey("search", { clientIp: "192.0.2.1", sessionId: "s" }), "ip:192.0.2.1");
+  assert.equal(policy.getKey("suggest", { clientIp: "192.0.2.1", sessionId: "s" }), "sess:s");
+  assert.equal(policy.ceilingScale, 10);
+  assert.equal(createKeyPolicy({ ceilingScale: 4 }).ceilingScale, 4);
+});
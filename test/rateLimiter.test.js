@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Token Bucket Rate Limiter Tests
+ *
+ * Checks refill and burst math, the RateLimit and Retry-After values, and the
+ * fallback from a failing REST store to the in-memory store
+ * (lib/rateLimiter.js), with an injected clock and fetch.
+ *
+ * Run with `npm test`.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ROUTE_LIMITS,
+  createRateLimiter,
+  createMemoryStore,
+  createRestStore,
+  getRouteForPath,
+  getRateLimitHeaders,
+} = require("../lib/rateLimiter");
+
+/** Six tokens a minute (one per 10 seconds), three at once */
+const TEST_ROUTES = {
+  slow: { limit: 6, burst: 3, windowMs: 60000 },
+  default: { limit: 30, burst: 30, windowMs: 60000 },
+};
+
+/**
+ * Creates a limiter on an in-memory store with a clock the test moves
+ *
+ * @param {Object} [routes] - Per-route limits
+ * @returns {Object} Limiter and clock ({ limiter, clock })
+ */
+function createTestLimiter(routes = TEST_ROUTES) {
+  const clock = { time: 1_000_000 };
+  const store = createMemoryStore({ now: () => clock.time });
+  return { limiter: createRateLimiter({ store, routes }), clock };
+}
+
+/**
+ * Takes tokens until the bucket rejects a request
+ *
+ * @param {Object} limiter - Limiter from createRateLimiter
+ * @param {string} route - Route name
+ * @param {string} key - Client key
+ * @returns {Promise<number>} Requests allowed before the first rejection
+ */
+async function countAllowed(limiter, route, key) {
+  let allowed = 0;
+  while ((await limiter.check(route, key)).allowed) allowed++;
+  return allowed;
+}
+
+// The limiter logs store failures
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+});
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test("a full bucket allows the route's burst, then rejects", async () => {
+  const { limiter } = createTestLimiter(ROUTE_LIMITS);
+
+  assert.equal(await countAllowed(limiter, "suggest", "ip:a"), 120);
+  assert.equal(await countAllowed(limiter, "search", "ip:a"), 60);
+  assert.equal(await countAllowed(limiter, "analytics", "ip:a"), 50);
+  assert.equal(await countAllowed(limiter, "unlisted", "ip:a"), 30);
+});
+
+test("tokens refill at the sustained rate and never beyond the burst", async () => {
+  const { limiter, clock } = createTestLimiter();
+  assert.equal(await countAllowed(limiter, "slow", "ip:a"), 3);
+
+  clock.time += 10000;
+  assert.equal(await countAllowed(limiter, "slow", "ip:a"), 1);
+
+  clock.time += 25000;
+  assert.equal(await countAllowed(limiter, "slow", "ip:a"), 2);
+
+  clock.time += 10 * 60000;
+  assert.equal(await countAllowed(limiter, "slow", "ip:a"), 3);
+});
+
+test("buckets are separate per route and per key", async () => {
+  const { limiter } = createTestLimiter();
+  await countAllowed(limiter, "slow", "ip:a");
+
+  assert.equal((await limiter.check("slow", "ip:b")).allowed, true);
+  assert.equal((await limiter.check("default", "ip:a")).allowed, true);
+});
+
+test("results report the burst, remaining tokens and reset", async () => {
+  const { limiter } = createTestLimiter();
+
+  const first = await limiter.check("slow", "ip:a");
+  assert.deepEqual(first, {
+    allowed: true,
+    limit: 3,
+    remaining: 2,
+    reset: 10,
+    retryAfter: 0,
+    policy: "6;w=60;burst=3",
+    store: "memory",
+  });
+  assert.equal(getRateLimitHeaders(first)["Retry-After"], undefined);
+});
+
+test("Retry-After is the wait for the next token", async () => {
+  const { limiter, clock } = createTestLimiter();
+  await countAllowed(limiter, "slow", "ip:a");
+
+  // 4.5 seconds refill 0.45 tokens; the next one is 5.5 seconds away
+  clock.time += 4500;
+  const result = await limiter.check("slow", "ip:a");
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.remaining, 0);
+  assert.equal(result.retryAfter, 6);
+  assert.equal(result.reset, 26);
+  assert.deepEqual(getRateLimitHeaders(result), {
+    "RateLimit-Limit": "3",
+    "RateLimit-Remaining": "0",
+    "RateLimit-Reset": "26",
+    "RateLimit-Policy": "6;w=60;burst=3",
+    "Retry-After": "6",
+  });
+});
+
+test("Retry-After is at least one second", async () => {
+  const { limiter, clock } = createTestLimiter();
+  await countAllowed(limiter, "slow", "ip:a");
+
+  clock.time += 9990;
+  assert.equal((await limiter.check("slow", "ip:a")).retryAfter, 1);
+});
+
+test("cost takes several tokens and scale multiplies the limits", async () => {
+  const { limiter } = createTestLimiter();
+
+  assert.equal((await limiter.check("slow", "ip:a", { cost: 2 })).remaining, 1);
+  assert.equal((await limiter.check("slow", "ip:a", { cost: 2 })).allowed, false);
+
+  const scaled = await limiter.check("slow", "ceil:ip:a", { scale: 2 });
+  assert.equal(scaled.limit, 6);
+  assert.equal(scaled.remaining, 5);
+  assert.equal(scaled.policy, "12;w=60;burst=6");
+});
+
+test("the memory store evicts the least recently used bucket", async () => {
+  const bucket = { capacity: 1, refillPerMs: 0, cost: 1 };
+  const store = createMemoryStore({ maxKeys: 2, now: () => 0 });
+
+  await store.consume("a", bucket);
+  await store.consume("b", bucket);
+  await store.consume("a", bucket);
+  await store.consume("c", bucket);
+
+  assert.equal((await store.consume("a", bucket)).allowed, false);
+  assert.equal((await store.consume("b", bucket)).allowed, true);
+});
+
+test("the REST store runs the bucket script on the bucket key", async () => {
+  const requests = [];
+  const store = createRestStore({
+    url: "https://kv.example/",
+    token: "secret",
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, json: async () => ({ result: [1, "4.5"] }) };
+    },
+  });
+  const limiter = createRateLimiter({ store, routes: TEST_ROUTES });
+
+  const result = await limiter.check("slow", "ip:203.0.113.9");
+
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 4);
+  assert.equal(result.store, "redis-rest");
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].init.headers.Authorization, "Bearer secret");
+  const [command, , keyCount, key, capacity, refillPerMs, cost] = JSON.parse(requests[0].init.body);
+  assert.deepEqual(
+    [command, keyCount, key, capacity, refillPerMs, cost],
+    ["EVAL", 1, "ratelimit:slow:ip:203.0.113.9", 3, 6 / 60000, 1]
+  );
+});
+
+test("a failing REST store falls back to the memory store", async () => {
+  const failures = {
+    "error reply": async () => ({ ok: true, json: async () => ({ error: "ERR script" }) }),
+    "HTTP error": async () => ({ ok: false, status: 503, json: async () => ({}) }),
+    "network error": async () => {
+      throw new Error("fetch failed");
+    },
+  };
+
+  for (const [name, fetchImpl] of Object.entries(failures)) {
+    const store = createRestStore({ url: "https://kv.example/", token: "t", fetchImpl });
+    const limiter = createRateLimiter({ store, routes: TEST_ROUTES });
+
+    const result = await limiter.check("slow", "ip:a");
+    assert.equal(result.allowed, true, name);
+    assert.equal(result.store, "memory", name);
+    // Later checks keep counting in the fallback bucket
+    assert.equal(await countAllowed(limiter, "slow", "ip:a"), 2, name);
+  }
+});
+
+test("a slow REST store times out and falls back", async () => {
+  const store = createRestStore({
+    url: "https://kv.example/",
+    token: "t",
+    timeoutMs: 10,
+    fetchImpl: (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => {
+          const error = new Error("aborted");
+          error.name = "AbortError";
+          reject(error);
+        });
+      }),
+  });
+  const limiter = createRateLimiter({ store, routes: TEST_ROUTES });
+
+  const result = await limiter.check("slow", "ip:a");
+
+  assert.equal(result.store, "memory");
+  const logged = console.log.mock.calls.map((call) => JSON.parse(call.arguments[0]));
+  assert.deepEqual(
+    logged.map(({ event, store: name, error }) => ({ event, store: name, error })),
+    [{ event: "store_failed", store: "redis-rest", error: "timeout" }]
+  );
+});
+
+test("paths map to their routes", () => {
+  const cases = {
+    "/proxy/funnelback/suggest": "suggest",
+    "/proxy/suggestPeople": "suggestPeople",
+    "/proxy/suggestPrograms": "suggestPrograms",
+    "/proxy/funnelback/search": "search",
+    "/proxy/funnelback/spelling": "search",
+    "/proxy/analytics/click": "analytics",
+    "/api/analytics/metrics": "analytics",
+    "/proxy/funnelback/tools": "default",
+    "/api/cache/stats": "default",
+  };
+
+  for (const [path, route] of Object.entries(cases)) {
+    assert.equal(getRouteForPath(path), route, path);
+  }
+});
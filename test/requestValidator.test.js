@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Request Validation Tests
+ *
+ * Runs the query strings of Funnelback-generated facet, paging and scope
+ * links, as the search UI sends them back through the proxy, through
+ * lib/requestValidator.js, and checks that invalid values are still rejected.
+ *
+ * Run with `npm test`.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @license MIT
+ * @lastModified 2026-10-18
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateRequest } = require("../lib/requestValidator");
+
+/**
+ * Parses a query string the way the handlers receive it: repeated
+ * parameters become arrays
+ *
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} The request query
+ */
+function parseQuery(search) {
+  const query = {};
+  for (const [name, value] of new URLSearchParams(search)) {
+    if (query[name] === undefined) query[name] = value;
+    else query[name] = [].concat(query[name], value);
+  }
+  return query;
+}
+
+// The validator logs the unknown parameters it drops
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+});
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+const SEARCH_LINKS = {
+  "tab facet":
+    "?collection=seattleu~sp-search&profile=_default&form=partial&query=nursing" +
+    "&f.Tabs%7Cseattleu%7Eds-programs=Programs" +
+    "&facetScope=f.Tabs%257Cseattleu%257Eds-programs%3DPrograms",
+  "next page":
+    "?collection=seattleu~sp-search&profile=_default&form=partial&query=nursing" +
+    "&f.Tabs%7Cseattleu%7Eds-staff=Faculty+%26+Staff&start_rank=11&num_ranks=10",
+  "repeated facet with a spaced name":
+    "?collection=seattleu~sp-search&query=admissions" +
+    "&f.Content+Type%7CcontentType=Events&f.Content+Type%7CcontentType=News" +
+    "&facetScope=f.Content%2BType%257CcontentType%3DEvents",
+  "scope, metadata and query operators":
+    "?collection=seattleu~sp-search&query=aid&gscope1=2&meta_d1=01Jan2026" +
+    "&meta_f_sand=undergraduate&query_phrase=financial+aid&sort=date",
+};
+
+for (const [name, link] of Object.entries(SEARCH_LINKS)) {
+  test(`search link passes: ${name}`, () => {
+    const query = parseQuery(link);
+
+    for (const route of ["search", "server"]) {
+      const result = validateRequest(route, query);
+      assert.deepEqual(result.violations, []);
+      // Every link parameter is forwarded unchanged
+      assert.deepEqual(result.params, query);
+      assert.deepEqual(result.unknown, []);
+    }
+  });
+}
+
+test("tools link passes with its path", () => {
+  const query = parseQuery(`${SEARCH_LINKS["tab facet"]}&path=search.html`);
+  const result = validateRequest("tools", query);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.params.path, undefined);
+  assert.equal(result.params.facetScope, query.facetScope);
+});
+
+test("unknown parameters are dropped instead of rejected", () => {
+  const query = parseQuery("?query=nursing&collection=seattleu~sp-search&lang=en&clive=x&utm_source=mail");
+  const result = validateRequest("search", query);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.params, { query: "nursing", collection: "seattleu~sp-search" });
+  assert.deepEqual(result.unknown, ["lang", "clive"]);
+  assert.deepEqual(result.dropped, ["utm_source"]);
+});
+
+test("link parameters are only forwarded on routes that serve links", () => {
+  const result = validateRequest("suggest", parseQuery("?partial_query=nur&facetScope=x&gscope1=2"));
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.params, { partial_query: "nur" });
+  assert.deepEqual(result.unknown, ["facetScope", "gscope1"]);
+});
+
+test("invalid values are still rejected", () => {
+  const cases = {
+    "?query=a&collection=other~collection": "not_allowed",
+    "?query=a&f.%3Cscript%3E%7Cx=1": "invalid_facet",
+    "?query=a&f.Author%7Cauthor=Smith": "unknown_facet",
+    "?query=a&meta_d1=%00": "invalid_characters",
+    [`?query=a&facetScope=${"x".repeat(1025)}`]: "too_long",
+    "?query=a&start_rank=0": "out_of_range",
+  };
+
+  for (const [link, code] of Object.entries(cases)) {
+    const result = validateRequest("search", parseQuery(link));
+    assert.equal(result.valid, false, link);
+    assert.equal(result.violations[0].code, code, link);
+  }
+});